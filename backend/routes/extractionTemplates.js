@@ -0,0 +1,113 @@
+import express from 'express';
+import {
+  listExtractionTemplates,
+  getExtractionTemplate,
+  createExtractionTemplate,
+  updateExtractionTemplate,
+  deleteExtractionTemplate
+} from '../services/extractionTemplates.js';
+import { readTemplatePages, suggestAnchors } from '../services/zoneExtractor.js';
+import { resolveFile } from '../services/fileHandles.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/extraction-templates
+ * List saved zone extraction templates
+ */
+router.get('/extraction-templates', async (req, res) => {
+  try {
+    const templates = await listExtractionTemplates();
+    res.json({ success: true, templates });
+  } catch (error) {
+    console.error('Extraction template listing error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/extraction-templates/:id
+ * Get a single zone extraction template
+ */
+router.get('/extraction-templates/:id', async (req, res) => {
+  try {
+    const template = await getExtractionTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Extraction template not found' });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Extraction template lookup error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/extraction-templates
+ * Save the zones drawn on a sample data PDF as an extraction template
+ * Body: { name, dataPdfFileId, zones: [{ name, page, x, y, width, height, type }], anchors }
+ * Page sizes are read from the sample; without anchors, the first lines of
+ * page 1 outside the zones (usually the form title) become the anchors.
+ */
+router.post('/extraction-templates', async (req, res) => {
+  const { name, dataPdfFileId, zones, anchors } = req.body;
+
+  if (!name || !dataPdfFileId) {
+    return res.status(400).json({ error: 'Name and sample PDF are required' });
+  }
+
+  try {
+    const sample = await resolveFile(dataPdfFileId, req.clientId, ['data-pdf']);
+    const pages = await readTemplatePages(sample.path);
+
+    const template = await createExtractionTemplate({
+      name,
+      pageSizes: pages.map(({ width, height }) => ({ width, height })),
+      anchors: anchors || suggestAnchors(pages, zones || []),
+      zones
+    });
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    console.error('Extraction template creation error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/extraction-templates/:id
+ * Update the name, anchors or zones of an extraction template
+ */
+router.put('/extraction-templates/:id', async (req, res) => {
+  try {
+    const template = await updateExtractionTemplate(req.params.id, req.body);
+    if (!template) {
+      return res.status(404).json({ error: 'Extraction template not found' });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Extraction template update error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/extraction-templates/:id
+ * Delete an extraction template
+ */
+router.delete('/extraction-templates/:id', async (req, res) => {
+  try {
+    const deleted = await deleteExtractionTemplate(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Extraction template not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Extraction template deletion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,32 +1,107 @@
+import crypto from 'crypto';
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs-extra';
 import { parseCSV, convertRowToFieldData, generateFieldMappings } from '../services/csvParser.js';
-import { fillPDFForm, pollAndDownloadPDF } from '../services/datalabService.js';
-import { parsePDF } from '../services/pdfParser.js';
+import { parseSpreadsheet, SPREADSHEET_EXTENSIONS, SPREADSHEET_MIME_TYPES } from '../services/spreadsheetParser.js';
+import { parseJSONData, JSON_EXTENSIONS, JSON_MIME_TYPES } from '../services/jsonParser.js';
+import { fillFormWithEngine, FILL_ENGINES } from '../services/formFillService.js';
+import { flattenPDFForm } from '../services/localFillService.js';
+import { batchFillRows, resolveRowIndexes, BATCH_OUTPUTS } from '../services/batchFillService.js';
+import { createJob, getJob, subscribeToJob, isJobFinished } from '../services/jobQueue.js';
+import { findProfileForFingerprint } from '../services/mappingProfiles.js';
+import { addTemplate, getTemplate, getTemplatePath } from '../services/templateLibrary.js';
+import { parsePDFDocuments, inspectFormFields } from '../services/pdfParser.js';
 import { parseText, generateTextFieldMappings } from '../services/textParser.js';
+import { storage, isPdfFile, UPLOAD_DIR } from '../services/uploadStorage.js';
+import { registerFile, resolveFile, toPublicHandle } from '../services/fileHandles.js';
+import { validateRow, validateRows, createValidationError } from '../services/dataValidator.js';
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const uploadDir = './uploads';
-    await fs.ensureDir(uploadDir);
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+/**
+ * Parse the data source referenced by a fill request
+ * Files are referenced by handle ID and resolved for the requesting client
+ * Returns rows in the same {headers, rows, rowCount} format for every source
+ * @param {object} source - Request body: textData, csvFileId (+ delimiter, encoding), spreadsheetFileId (+ sheet),
+ *   jsonFileId (+ arrayPolicy) or dataPdfFileIds (+ pagesPerDocument or pageRanges, method, forceMethod)
+ * @param {string} owner - Client ID of the request
+ */
+const loadSourceData = async (source, owner) => {
+  const { csvFileId, delimiter, encoding, spreadsheetFileId, sheet, jsonFileId, arrayPolicy, textData } = source;
+
+  if (textData) {
+    console.log('Using manual text input');
+    return parseText(textData);
   }
-});
+
+  if (csvFileId) {
+    console.log('Using CSV file');
+    const csvFile = await resolveFile(csvFileId, owner, ['csv']);
+    return parseCSV(csvFile.path, { delimiter, encoding });
+  }
+
+  if (spreadsheetFileId) {
+    console.log('Using spreadsheet file');
+    const spreadsheet = await resolveFile(spreadsheetFileId, owner, ['spreadsheet']);
+    return parseSpreadsheet(spreadsheet.path, { sheet });
+  }
+
+  if (jsonFileId) {
+    console.log('Using JSON file');
+    const jsonFile = await resolveFile(jsonFileId, owner, ['json']);
+    return parseJSONData(jsonFile.path, { arrayPolicy });
+  }
+
+  console.log('Using PDF file(s)');
+  const pdfResult = await loadDataPDFs(source, owner);
+  return pdfResult.data;
+};
+
+/**
+ * Resolve the data PDF handles of a request and extract one row per document
+ * @param {object} source - Request body: dataPdfFileIds, pagesPerDocument, pageRanges, method, forceMethod, diagnostics
+ * @param {string} owner - Client ID of the request
+ */
+const loadDataPDFs = async ({ dataPdfFileIds, pagesPerDocument, pageRanges, method, forceMethod, diagnostics }, owner) => {
+  if (!Array.isArray(dataPdfFileIds) || dataPdfFileIds.length === 0) {
+    throw Object.assign(new Error('Data PDF file IDs are required'), { status: 400 });
+  }
+
+  const dataPdfs = await Promise.all(dataPdfFileIds.map(fileId => resolveFile(fileId, owner, ['data-pdf'])));
+
+  return parsePDFDocuments(
+    dataPdfs.map(dataPdf => ({ path: dataPdf.path, originalName: dataPdf.originalName })),
+    { pagesPerDocument, pageRanges },
+    { method: method || 'auto', force: Boolean(forceMethod), diagnostics: Boolean(diagnostics) }
+  );
+};
+
+// Data file upload fields: the dataType they produce and how their file handle is registered
+const DATA_UPLOADS = {
+  csv: { dataType: 'csv', kind: 'csv', getMimeType: () => 'text/csv' },
+  spreadsheet: {
+    dataType: 'spreadsheet',
+    kind: 'spreadsheet',
+    getMimeType: (file) => SPREADSHEET_MIME_TYPES[path.extname(file.originalname).toLowerCase()]
+  },
+  json: {
+    dataType: 'json',
+    kind: 'json',
+    getMimeType: (file) => JSON_MIME_TYPES[path.extname(file.originalname).toLowerCase()]
+  },
+  dataPdf: { dataType: 'pdf', kind: 'data-pdf', getMimeType: () => 'application/pdf', multiple: true }
+};
+
+// Completed PDFs (e.g. returned questionnaires) that can be uploaded at once
+const MAX_DATA_PDFS = 50;
 
 const upload = multer({
   storage: storage,
   fileFilter: (req, file, cb) => {
     if (file.fieldname === 'pdf') {
-      if (file.mimetype === 'application/pdf') {
+      if (isPdfFile(file)) {
         cb(null, true);
       } else {
         cb(new Error('Only PDF files are allowed for PDF field'));
@@ -37,9 +112,21 @@ const upload = multer({
       } else {
         cb(new Error('Only CSV files are allowed for CSV field'));
       }
+    } else if (file.fieldname === 'spreadsheet') {
+      if (SPREADSHEET_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+        cb(null, true);
+      } else {
+        cb(new Error('Only XLSX or ODS files are allowed for spreadsheet field'));
+      }
+    } else if (file.fieldname === 'json') {
+      if (JSON_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+        cb(null, true);
+      } else {
+        cb(new Error('Only JSON or JSON Lines files are allowed for JSON field'));
+      }
     } else if (file.fieldname === 'dataPdf') {
       // PDF file used as data source (filled PDF)
-      if (file.mimetype === 'application/pdf') {
+      if (isPdfFile(file)) {
         cb(null, true);
       } else {
         cb(new Error('Only PDF files are allowed for data PDF field'));
@@ -58,70 +145,94 @@ const upload = multer({
  * Upload PDF and CSV/PDF files
  * Supports three modes:
  * 1. PDF form + CSV data
- * 2. PDF form + PDF data (extracts data from filled PDF)
- * 3. PDF form only (for manual text input mode)
+ * 2. PDF form + XLSX/ODS spreadsheet data
+ * 3. PDF form + JSON/JSON Lines data
+ * 4. PDF form + PDF data (one or more filled PDFs, one row per document)
+ * 5. PDF form only (for manual text input mode)
+ * Instead of uploading the PDF form, a library template can be chosen with
+ * the templateId field; a new PDF form is added to the template library
+ * (optionally named with templateName and templateTags).
+ * Data files are returned as opaque file handles (fileId) owned by the client;
+ * data PDFs are returned as a list of handles.
  */
 router.post('/upload', upload.fields([
   { name: 'pdf', maxCount: 1 },
   { name: 'csv', maxCount: 1 },
-  { name: 'dataPdf', maxCount: 1 }
+  { name: 'spreadsheet', maxCount: 1 },
+  { name: 'json', maxCount: 1 },
+  { name: 'dataPdf', maxCount: MAX_DATA_PDFS }
 ]), async (req, res) => {
   try {
-    if (!req.files || !req.files.pdf) {
-      return res.status(400).json({ error: 'PDF form file is required' });
+    req.files = req.files || {};
+    const { templateId, templateName, templateTags } = req.body;
+
+    let template;
+    if (req.files.pdf) {
+      // Stored once per unique PDF; re-uploading the same form reuses the template
+      const pdfFile = req.files.pdf[0];
+      ({ template } = await addTemplate(pdfFile.path, {
+        originalName: pdfFile.originalname,
+        name: templateName,
+        tags: templateTags
+      }));
+    } else if (templateId) {
+      template = await getTemplate(templateId);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+    } else {
+      return res.status(400).json({ error: 'PDF form file or template ID is required' });
     }
 
-    const pdfFile = req.files.pdf[0];
+    const pdfInfo = {
+      templateId: template.id,
+      originalName: template.originalName,
+      name: template.name,
+      size: template.size
+    };
+
+    // Suggest the mapping profile saved for this template's fingerprint
+    const suggestedProfile = await findProfileForFingerprint(template.fingerprint);
     
+    const dataField = Object.keys(DATA_UPLOADS).find(field => req.files[field]);
+
     // Check if this is text input mode (no data files)
-    if (!req.files.csv && !req.files.dataPdf) {
+    if (!dataField) {
       // Text input mode - only PDF uploaded
       return res.json({
         success: true,
         files: {
-          pdf: {
-            filename: pdfFile.filename,
-            originalName: pdfFile.originalname,
-            path: pdfFile.path,
-            size: pdfFile.size
-          }
+          pdf: pdfInfo
         },
-        dataType: 'text'
+        dataType: 'text',
+        templateFingerprint: template.fingerprint,
+        suggestedProfile
       });
     }
 
-    const dataFile = req.files.csv ? req.files.csv[0] : req.files.dataPdf[0];
-    const dataType = req.files.csv ? 'csv' : 'pdf';
+    const { dataType, kind, getMimeType, multiple } = DATA_UPLOADS[dataField];
 
     const response = {
       success: true,
       files: {
-        pdf: {
-          filename: pdfFile.filename,
-          originalName: pdfFile.originalname,
-          path: pdfFile.path,
-          size: pdfFile.size
-        }
+        pdf: pdfInfo
       },
-      dataType: dataType
+      dataType: dataType,
+      templateFingerprint: template.fingerprint,
+      suggestedProfile
     };
 
-    // Add data file info based on type
-    if (dataType === 'csv') {
-      response.files.csv = {
-        filename: dataFile.filename,
-        originalName: dataFile.originalname,
-        path: dataFile.path,
-        size: dataFile.size
-      };
-    } else {
-      response.files.dataPdf = {
-        filename: dataFile.filename,
-        originalName: dataFile.originalname,
-        path: dataFile.path,
-        size: dataFile.size
-      };
+    // Register the data files; the client only ever sees their handles
+    const handles = [];
+    for (const dataFile of req.files[dataField]) {
+      handles.push(toPublicHandle(await registerFile(dataFile.path, {
+        owner: req.clientId,
+        kind,
+        mimeType: getMimeType(dataFile),
+        originalName: dataFile.originalname
+      })));
     }
+    response.files[dataField] = multiple ? handles : handles[0];
 
     res.json(response);
   } catch (error) {
@@ -133,16 +244,19 @@ router.post('/upload', upload.fields([
 /**
  * POST /api/parse-csv
  * Parse CSV file and return data preview
+ * csvFileId: handle returned by /api/upload
+ * delimiter, encoding: optional overrides ('auto' by default)
  */
 router.post('/parse-csv', async (req, res) => {
   try {
-    const { csvPath } = req.body;
+    const { csvFileId, delimiter, encoding } = req.body;
 
-    if (!csvPath) {
-      return res.status(400).json({ error: 'CSV path is required' });
+    if (!csvFileId) {
+      return res.status(400).json({ error: 'CSV file ID is required' });
     }
 
-    const csvData = await parseCSV(csvPath);
+    const csvFile = await resolveFile(csvFileId, req.clientId, ['csv']);
+    const csvData = await parseCSV(csvFile.path, { delimiter, encoding });
     const fieldMappings = generateFieldMappings(csvData.headers);
 
     res.json({
@@ -152,40 +266,94 @@ router.post('/parse-csv', async (req, res) => {
     });
   } catch (error) {
     console.error('CSV parsing error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 /**
- * POST /api/parse-pdf
- * Parse filled PDF file and extract data
+ * POST /api/parse-spreadsheet
+ * Parse one sheet of an XLSX/ODS file and return data preview
+ * spreadsheetFileId: handle returned by /api/upload
+ * sheet: optional sheet name (defaults to the first sheet)
  */
-router.post('/parse-pdf', async (req, res) => {
+router.post('/parse-spreadsheet', async (req, res) => {
   try {
-    const { pdfPath } = req.body;
+    const { spreadsheetFileId, sheet } = req.body;
 
-    if (!pdfPath) {
-      return res.status(400).json({ error: 'PDF path is required' });
+    if (!spreadsheetFileId) {
+      return res.status(400).json({ error: 'Spreadsheet file ID is required' });
     }
 
-    // Get API key from environment
-    const apiKey = process.env.DATALAB_API_KEY;
-    if (!apiKey) {
-      return res.status(500).json({ error: 'DATALAB_API_KEY not configured' });
+    const spreadsheet = await resolveFile(spreadsheetFileId, req.clientId, ['spreadsheet']);
+    const { sheetNames, sheet: sheetName, ...sheetData } = await parseSpreadsheet(spreadsheet.path, { sheet });
+    const fieldMappings = generateFieldMappings(sheetData.headers);
+
+    res.json({
+      success: true,
+      data: sheetData,
+      fieldMappings: fieldMappings,
+      sheet: sheetName,
+      sheetNames
+    });
+  } catch (error) {
+    console.error('Spreadsheet parsing error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/parse-json
+ * Parse a JSON or JSON Lines file into one row per record
+ * jsonFileId: handle returned by /api/upload
+ * arrayPolicy: 'join' (default), 'index', 'first' or 'json'
+ */
+router.post('/parse-json', async (req, res) => {
+  try {
+    const { jsonFileId, arrayPolicy } = req.body;
+
+    if (!jsonFileId) {
+      return res.status(400).json({ error: 'JSON file ID is required' });
     }
 
-    const pdfData = await parsePDF(pdfPath, apiKey);
+    const jsonFile = await resolveFile(jsonFileId, req.clientId, ['json']);
+    const { arrayPolicy: appliedPolicy, ...jsonData } = await parseJSONData(jsonFile.path, { arrayPolicy });
+    const fieldMappings = generateFieldMappings(jsonData.headers);
+
+    res.json({
+      success: true,
+      data: jsonData,
+      fieldMappings: fieldMappings,
+      arrayPolicy: appliedPolicy
+    });
+  } catch (error) {
+    console.error('JSON parsing error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/parse-pdf
+ * Parse filled PDF files and extract one row per document
+ * dataPdfFileIds: handles returned by /api/upload
+ * pagesPerDocument or pageRanges ("1-2, 3-4"): optional, splits merged PDFs
+ * method: optional extraction method (zones, form-fields, pdf2json, text-extraction, ocr) tried first,
+ *   forceMethod: use only that method, diagnostics: run every method and report each in data.sources
+ */
+router.post('/parse-pdf', async (req, res) => {
+  try {
+    const pdfData = await loadDataPDFs(req.body, req.clientId);
     const fieldMappings = generateFieldMappings(pdfData.data.headers);
 
     res.json({
       success: true,
       data: pdfData.data,
       fieldMappings: fieldMappings,
-      extractedFieldCount: pdfData.extractedFieldCount
+      extractedFieldCount: pdfData.extractedFieldCount,
+      documentCount: pdfData.documentCount
     });
   } catch (error) {
     console.error('PDF parsing error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -218,145 +386,454 @@ router.post('/parse-text', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/preview-field-data
+ * Show the field_data a row is filled with, after mappings and value transforms
+ * Body: { row, customMappings } (the row as shown in the preview)
+ */
+router.post('/preview-field-data', (req, res) => {
+  const { row, customMappings } = req.body;
+
+  if (!row || typeof row !== 'object') {
+    return res.status(400).json({ error: 'Row is required' });
+  }
+
+  try {
+    res.json({ success: true, fieldData: convertRowToFieldData(row, customMappings) });
+  } catch (error) {
+    console.error('Field data preview error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Validate the fields shared by single and batch fill requests
+ * Returns an error message, or null if the request is valid
+ */
+const validateFillRequest = ({ templateId, csvFileId, spreadsheetFileId, jsonFileId, dataPdfFileIds, textData, engine = 'auto' }) => {
+  if (!templateId) {
+    return 'Template ID is required';
+  }
+
+  if (!csvFileId && !spreadsheetFileId && !jsonFileId && !dataPdfFileIds?.length && !textData) {
+    return 'Either CSV, spreadsheet, JSON or data PDF file ID, or text data is required';
+  }
+
+  if (!FILL_ENGINES.includes(engine)) {
+    return `Engine must be one of: ${FILL_ENGINES.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Create an error that the routes report as 400 Bad Request
+ */
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Resolve the PDF form of a fill request from the template library
+ */
+const resolveTemplatePath = async ({ templateId }) => {
+  const template = await getTemplate(templateId);
+  if (!template) {
+    throw Object.assign(new Error('Template not found'), { status: 404 });
+  }
+  return getTemplatePath(template.id);
+};
+
+/**
+ * List the AcroForm fields of a library template, for the required-field checks
+ * Templates without a readable form (flat forms filled by Datalab) have none
+ */
+const loadTemplateFields = async (templateId) => {
+  if (!templateId) {
+    return [];
+  }
+  try {
+    return await inspectFormFields(await resolveTemplatePath({ templateId }));
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    console.log('Template fields unavailable for validation:', error.message);
+    return [];
+  }
+};
+
+/**
+ * POST /api/validate
+ * Check row values before filling: IBAN checksum and length, SWIFT/BIC, ISO currency codes,
+ * email addresses, postcodes of the row's country and the template's required fields
+ * Body: { templateId, customMappings, booleanLocales, rowIndexes } plus either rows (as shown in the preview)
+ *   or the data source fields of a fill request
+ */
+router.post('/validate', async (req, res) => {
+  try {
+    const { templateId, customMappings, booleanLocales, rowIndexes } = req.body;
+    const rows = Array.isArray(req.body.rows) ? req.body.rows : (await loadSourceData(req.body, req.clientId)).rows;
+
+    let indexes = null;
+    if (rowIndexes !== undefined) {
+      try {
+        indexes = resolveRowIndexes(rowIndexes, rows.length);
+      } catch (error) {
+        throw badRequest(error.message);
+      }
+    }
+
+    const fields = await loadTemplateFields(templateId);
+    res.json({ success: true, ...validateRows(rows, { mappings: customMappings, fields, booleanLocales, rowIndexes: indexes }) });
+  } catch (error) {
+    console.error('Validation error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Fill the form with a single row
+ * Shared by the synchronous /fill-form route and fill jobs
+ * @param {object} body - Request body
+ * @param {string} owner - Client ID that owns the input and output files
+ * @param {function} onProgress - Progress callback
+ */
+const runFillRequest = async (body, owner, onProgress) => {
+  const { rowIndex, context, customMappings, engine = 'auto', flatten = false, booleanLocales, skipValidation = false } = body;
+  const pdfPath = await resolveTemplatePath(body);
+
+  onProgress({ stage: 'parsing', message: 'Reading data source' });
+
+  // Parse data based on source type
+  const parsedData = await loadSourceData(body, owner);
+
+  if (rowIndex < 0 || rowIndex >= parsedData.rows.length) {
+    throw badRequest('Invalid row index');
+  }
+
+  // Get the selected row
+  const selectedRow = parsedData.rows[rowIndex];
+
+  // Values with validation errors are not filled unless the request says so
+  if (!skipValidation) {
+    const issues = validateRow(selectedRow, { mappings: customMappings, fields: await loadTemplateFields(body.templateId), booleanLocales });
+    if (issues.some(entry => entry.severity === 'error')) {
+      throw createValidationError(issues);
+    }
+  }
+
+  // Convert to field data format
+  const fieldData = convertRowToFieldData(selectedRow, customMappings);
+
+  console.log('Processing form fill for row:', rowIndex);
+  console.log('Field data:', fieldData);
+
+  // Generate output path
+  const outputFilename = `filled-${crypto.randomUUID()}.pdf`;
+  const outputPath = path.join(UPLOAD_DIR, outputFilename);
+
+  // Fill with the local pdf-lib engine or the configured provider (the local engine needs no API key)
+  const result = await fillFormWithEngine({
+    pdfPath,
+    fieldData,
+    outputPath,
+    context: context || '',
+    engine,
+    flatten: Boolean(flatten),
+    booleanLocales,
+    onProgress
+  });
+
+  const filledPdf = await registerFile(outputPath, {
+    owner,
+    kind: 'filled',
+    mimeType: 'application/pdf',
+    originalName: outputFilename
+  });
+
+  return {
+    success: true,
+    filledPdfFileId: filledPdf.id,
+    filledPdfFilename: outputFilename,
+    fieldsFilledCount: result.fieldsFilledCount,
+    engine: result.engine,
+    flattened: result.flattened,
+    unmatchedFields: result.report.unmatched.map(entry => entry.column),
+    report: result.report,
+    requestId: result.requestId
+  };
+};
+
+/**
+ * Fill the form once per selected row
+ * Shared by the synchronous /fill-batch route and batch jobs
+ * @param {object} body - Request body
+ * @param {string} owner - Client ID that owns the input and output files
+ * @param {function} onProgress - Progress callback
+ */
+const runBatchFillRequest = async (body, owner, onProgress) => {
+  const {
+    rowIndexes = 'all',
+    output = 'zip',
+    filenameTemplate,
+    context,
+    customMappings,
+    engine = 'auto',
+    flatten = false,
+    booleanLocales,
+    skipValidation = false
+  } = body;
+  const pdfPath = await resolveTemplatePath(body);
+
+  onProgress({ stage: 'parsing', message: 'Reading data source' });
+
+  const parsedData = await loadSourceData(body, owner);
+
+  let indexes;
+  try {
+    indexes = resolveRowIndexes(rowIndexes, parsedData.rows.length);
+  } catch (error) {
+    throw badRequest(error.message);
+  }
+
+  const result = await batchFillRows({
+    pdfPath,
+    rows: parsedData.rows,
+    rowIndexes: indexes,
+    output,
+    filenameTemplate,
+    customMappings,
+    context: context || '',
+    engine,
+    flatten: Boolean(flatten),
+    booleanLocales,
+    validationFields: skipValidation ? null : await loadTemplateFields(body.templateId),
+    outputDir: UPLOAD_DIR,
+    onProgress
+  });
+
+  const batchFile = await registerFile(result.outputPath, {
+    owner,
+    kind: 'batch',
+    mimeType: result.output === 'zip' ? 'application/zip' : 'application/pdf',
+    originalName: result.outputFilename
+  });
+
+  return {
+    success: true,
+    output: result.output,
+    outputFileId: batchFile.id,
+    outputFilename: result.outputFilename,
+    manifest: result.manifest,
+    successCount: result.successCount,
+    failureCount: result.failureCount
+  };
+};
+
 /**
  * POST /api/fill-form
  * Fill PDF form with selected CSV/PDF/Text row data
  * Supports CSV, PDF, and manual text data sources
+ * engine: 'auto' (default), 'local' (pdf-lib, AcroForm only) or 'provider' (Datalab or mock, see FILL_PROVIDER)
+ * flatten: true to burn the values into the pages and remove the interactive form
+ * booleanLocales: yes/no vocabularies for checkboxes and radio groups (en, ro, de, fr; default all)
+ * The row is validated first (see /validate); errors fail the request with 422 and the
+ * issues in `validation`, unless skipValidation is true
  */
 router.post('/fill-form', async (req, res) => {
   try {
-    const { pdfPath, csvPath, dataPdfPath, textData, rowIndex, context, customMappings } = req.body;
-
-    if (!pdfPath) {
-      return res.status(400).json({ error: 'PDF path is required' });
-    }
-
-    if (!csvPath && !dataPdfPath && !textData) {
-      return res.status(400).json({ error: 'Either CSV path, data PDF path, or text data is required' });
+    const validationError = validateFillRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    if (rowIndex === undefined) {
+    if (req.body.rowIndex === undefined) {
       return res.status(400).json({ error: 'Row index is required' });
     }
 
-    let parsedData;
-    let selectedRow;
-
-    // Parse data based on source type
-    if (textData) {
-      // Parse manual text input
-      console.log('Using manual text input');
-      parsedData = parseText(textData);
-    } else if (csvPath) {
-      // Parse CSV
-      console.log('Using CSV file');
-      parsedData = await parseCSV(csvPath);
-    } else {
-      // Parse PDF
-      console.log('Using PDF file');
-      const apiKey = process.env.DATALAB_API_KEY;
-      if (!apiKey) {
-        return res.status(500).json({ error: 'DATALAB_API_KEY not configured' });
-      }
-      const pdfResult = await parsePDF(dataPdfPath, apiKey);
-      parsedData = pdfResult.data;
+    res.json(await runFillRequest(req.body, req.clientId, () => {}));
+  } catch (error) {
+    console.error('Form filling error:', error);
+    res.status(error.status || 500).json({ error: error.message, validation: error.validation });
+  }
+});
+
+/**
+ * POST /api/fill-batch
+ * Fill the PDF form once per selected row
+ * rowIndexes: array of row indexes or "all"
+ * output: 'zip' (individual PDFs + manifest.json) or 'merged' (single PDF)
+ * filenameTemplate: e.g. "{SURNAME}_{NAME}.pdf" ({index} is the row number)
+ * flatten: true to flatten every filled PDF (merged output is always flattened)
+ * Rows with validation errors are skipped and reported in the manifest, unless skipValidation is true
+ */
+router.post('/fill-batch', async (req, res) => {
+  try {
+    const validationError = validateFillRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    if (rowIndex < 0 || rowIndex >= parsedData.rows.length) {
-      return res.status(400).json({ error: 'Invalid row index' });
+    const { output = 'zip' } = req.body;
+    if (!BATCH_OUTPUTS.includes(output)) {
+      return res.status(400).json({ error: `Output must be one of: ${BATCH_OUTPUTS.join(', ')}` });
     }
 
-    // Get the selected row
-    selectedRow = parsedData.rows[rowIndex];
+    res.json(await runBatchFillRequest(req.body, req.clientId, () => {}));
+  } catch (error) {
+    console.error('Batch filling error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    // Convert to field data format
-    const fieldData = convertRowToFieldData(selectedRow, customMappings);
+/**
+ * POST /api/jobs
+ * Start a fill operation in the background and return its job ID immediately
+ * type: 'fill' (same body as /fill-form) or 'batch' (same body as /fill-batch)
+ */
+router.post('/jobs', (req, res) => {
+  const { type = 'fill', ...body } = req.body;
 
-    console.log('Processing form fill for row:', rowIndex);
-    console.log('Field data:', fieldData);
+  if (type !== 'fill' && type !== 'batch') {
+    return res.status(400).json({ error: 'Job type must be "fill" or "batch"' });
+  }
 
-    // Get API key from environment
-    const apiKey = process.env.DATALAB_API_KEY;
-    if (!apiKey) {
-      return res.status(500).json({ error: 'DATALAB_API_KEY not configured' });
-    }
+  const validationError = validateFillRequest(body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
 
-    // Call Datalab API
-    const fillResult = await fillPDFForm(pdfPath, fieldData, context || '', apiKey);
+  if (type === 'fill' && body.rowIndex === undefined) {
+    return res.status(400).json({ error: 'Row index is required' });
+  }
 
-    console.log('Form fill initiated:', fillResult);
+  if (type === 'batch' && !BATCH_OUTPUTS.includes(body.output || 'zip')) {
+    return res.status(400).json({ error: `Output must be one of: ${BATCH_OUTPUTS.join(', ')}` });
+  }
 
-    // Generate output path
-    const outputFilename = `filled-${Date.now()}.pdf`;
-    const outputPath = path.join('./uploads', outputFilename);
+  const runner = type === 'fill' ? runFillRequest : runBatchFillRequest;
+  const job = createJob(type, (reportProgress) => runner(body, req.clientId, reportProgress), req.clientId);
 
-    // Poll for completion and download
-    const result = await pollAndDownloadPDF(fillResult.requestId, outputPath, apiKey);
+  res.status(202).json({ success: true, jobId: job.id, job });
+});
 
-    res.json({
-      success: true,
-      filledPdfPath: outputPath,
-      filledPdfFilename: outputFilename,
-      fieldsFilledCount: result.fieldsFilledCount,
-      requestId: fillResult.requestId
-    });
+/**
+ * GET /api/jobs/:id
+ * Get the state, progress (including Datalab poll status) and result of a job
+ * Jobs are only visible to the client that created them
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id, req.clientId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
 
-  } catch (error) {
-    console.error('Form filling error:', error);
-    res.status(500).json({ error: error.message });
+  res.json({ success: true, job });
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Server-Sent Events stream of job updates
+ * Sends the current state immediately, then every change until the job finishes
+ */
+router.get('/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id, req.clientId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (status) => {
+    res.write(`data: ${JSON.stringify(status)}\n\n`);
+  };
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const unsubscribe = subscribeToJob(job.id, (status) => {
+    send(status);
+    if (isJobFinished(status)) {
+      close();
+    }
+  });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  send(job);
+  if (isJobFinished(job)) {
+    close();
   }
 });
 
 /**
- * GET /api/download/:filename
- * Download filled PDF
+ * GET /api/download/:fileId
+ * Download a filled PDF or batch output by its file handle
+ * ?flatten=true returns a flattened copy, so the editable and the flattened
+ * version can both be downloaded from the same fill result
  */
-router.get('/download/:filename', async (req, res) => {
+router.get('/download/:fileId', async (req, res) => {
   try {
-    const { filename } = req.params;
-    const filePath = path.join('./uploads', filename);
+    const file = await resolveFile(req.params.fileId, req.clientId);
+    const flatten = req.query.flatten === 'true' || req.query.flatten === '1';
+
+    if (!flatten) {
+      return res.download(file.path, file.originalName, (err) => {
+        if (err) {
+          console.error('Download error:', err);
+        }
+      });
+    }
 
-    // Check if file exists
-    const exists = await fs.pathExists(filePath);
-    if (!exists) {
-      return res.status(404).json({ error: 'File not found' });
+    if (file.mimeType !== 'application/pdf') {
+      return res.status(400).json({ error: 'Only PDF files can be flattened' });
     }
 
-    // Send file
-    res.download(filePath, filename, (err) => {
+    // Flattened copies are generated on demand and removed once sent
+    const flattenedPath = path.join(UPLOAD_DIR, `flattened-${Date.now()}-${Math.round(Math.random() * 1E9)}.pdf`);
+    await flattenPDFForm(file.path, flattenedPath);
+
+    res.download(flattenedPath, file.originalName.replace(/\.pdf$/i, '-flattened.pdf'), (err) => {
       if (err) {
         console.error('Download error:', err);
-        res.status(500).json({ error: 'Error downloading file' });
       }
+      fs.remove(flattenedPath);
     });
   } catch (error) {
     console.error('Download error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 /**
- * GET /api/preview/:filename
- * Preview PDF file
+ * GET /api/preview/:fileId
+ * Preview a filled PDF by its file handle
  */
-router.get('/preview/:filename', async (req, res) => {
+router.get('/preview/:fileId', async (req, res) => {
   try {
-    const { filename } = req.params;
-    const filePath = path.join('./uploads', filename);
-
-    // Check if file exists
-    const exists = await fs.pathExists(filePath);
-    if (!exists) {
-      return res.status(404).json({ error: 'File not found' });
-    }
+    const file = await resolveFile(req.params.fileId, req.clientId);
 
     // Send file
-    res.contentType('application/pdf');
-    const fileStream = fs.createReadStream(filePath);
+    res.contentType(file.mimeType);
+    const fileStream = fs.createReadStream(file.path);
     fileStream.pipe(res);
   } catch (error) {
     console.error('Preview error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -0,0 +1,106 @@
+import express from 'express';
+import {
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile
+} from '../services/mappingProfiles.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/profiles
+ * List saved mapping profiles
+ * Optional query: ?fingerprint=<template fingerprint>
+ */
+router.get('/profiles', async (req, res) => {
+  try {
+    const profiles = await listProfiles({ fingerprint: req.query.fingerprint });
+    res.json({ success: true, profiles });
+  } catch (error) {
+    console.error('Profile listing error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/profiles/:id
+ * Get a single mapping profile
+ */
+router.get('/profiles/:id', async (req, res) => {
+  try {
+    const profile = await getProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    res.json({ success: true, profile });
+  } catch (error) {
+    console.error('Profile lookup error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/profiles
+ * Save a named mapping profile for a template fingerprint
+ * Body: { name, fingerprint, mappings, context, options }
+ */
+router.post('/profiles', async (req, res) => {
+  const { name, fingerprint, mappings, context, options } = req.body;
+
+  if (!name || !fingerprint || !mappings) {
+    return res.status(400).json({ error: 'Name, fingerprint and mappings are required' });
+  }
+
+  try {
+    const profile = await createProfile({ name, fingerprint, mappings, context, options });
+    res.status(201).json({ success: true, profile });
+  } catch (error) {
+    console.error('Profile creation error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/profiles/:id
+ * Update the name, mappings, context or options of a profile
+ */
+router.put('/profiles/:id', async (req, res) => {
+  if ('name' in req.body && !req.body.name) {
+    return res.status(400).json({ error: 'Profile name is required' });
+  }
+
+  try {
+    const profile = await updateProfile(req.params.id, req.body);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    res.json({ success: true, profile });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/profiles/:id
+ * Delete a mapping profile
+ */
+router.delete('/profiles/:id', async (req, res) => {
+  try {
+    const deleted = await deleteProfile(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Profile deletion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
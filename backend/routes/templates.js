@@ -0,0 +1,210 @@
+import express from 'express';
+import multer from 'multer';
+import { inspectFormFields } from '../services/pdfParser.js';
+import { generateFieldMappings } from '../services/csvParser.js';
+import { suggestFieldMappings } from '../services/fieldMatcher.js';
+import {
+  addTemplate,
+  getTemplate,
+  getTemplatePath,
+  listTemplates,
+  updateTemplate,
+  deleteTemplate
+} from '../services/templateLibrary.js';
+import { storage, isPdfFile } from '../services/uploadStorage.js';
+
+const router = express.Router();
+
+const upload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (file.fieldname === 'pdf' && isPdfFile(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF files are allowed for PDF field'));
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+/**
+ * POST /api/templates
+ * Add a PDF form to the template library
+ * Multipart: pdf file plus optional name, description and tags (comma-separated)
+ * Uploading identical bytes again returns the existing template
+ */
+router.post('/templates', upload.single('pdf'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'PDF form file is required' });
+    }
+
+    const { name, description, tags } = req.body;
+    const { template, created } = await addTemplate(req.file.path, {
+      originalName: req.file.originalname,
+      name,
+      description,
+      tags
+    });
+
+    res.status(created ? 201 : 200).json({ success: true, template, created });
+  } catch (error) {
+    console.error('Template upload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/templates
+ * List or search the template library
+ * Optional query: ?q=<text>&tag=<tag>
+ */
+router.get('/templates', async (req, res) => {
+  try {
+    const templates = await listTemplates({ q: req.query.q, tag: req.query.tag });
+    res.json({ success: true, templates });
+  } catch (error) {
+    console.error('Template listing error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/templates/:id
+ * Get template metadata
+ */
+router.get('/templates/:id', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Template lookup error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/templates/:id
+ * Update the name, description or tags of a template
+ */
+router.patch('/templates/:id', async (req, res) => {
+  if ('name' in req.body && !req.body.name) {
+    return res.status(400).json({ error: 'Template name is required' });
+  }
+
+  try {
+    const template = await updateTemplate(req.params.id, req.body);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Template update error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/templates/:id
+ * Remove a template and its stored PDF from the library
+ */
+router.delete('/templates/:id', async (req, res) => {
+  try {
+    const deleted = await deleteTemplate(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Template deletion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/templates/:id/file
+ * Stream the template PDF
+ */
+router.get('/templates/:id/file', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.contentType('application/pdf');
+    res.sendFile(getTemplatePath(template.id), { root: process.cwd() });
+  } catch (error) {
+    console.error('Template file error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/templates/:id/fields
+ * List every AcroForm field in a library template
+ */
+router.get('/templates/:id/fields', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const fields = await inspectFormFields(getTemplatePath(template.id));
+
+    res.json({
+      success: true,
+      templateId: template.id,
+      fields,
+      fieldCount: fields.length
+    });
+  } catch (error) {
+    console.error('Template field inspection error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/templates/:id/mappings
+ * Suggest a template field for every data column
+ * Body: { headers }
+ * Columns are scored against the field names and tooltips of the template; every column
+ * gets a ranked list of { field, score } suggestions. Templates without AcroForm fields
+ * fall back to the bank form field descriptions and return no suggestions.
+ */
+router.post('/templates/:id/mappings', async (req, res) => {
+  const { headers } = req.body;
+
+  if (!Array.isArray(headers)) {
+    return res.status(400).json({ error: 'Column headers are required' });
+  }
+
+  try {
+    const template = await getTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const fields = await inspectFormFields(getTemplatePath(template.id));
+    if (fields.length === 0) {
+      return res.json({ success: true, mappings: generateFieldMappings(headers), suggestions: null });
+    }
+
+    const { mappings, suggestions } = suggestFieldMappings(headers, fields);
+    res.json({ success: true, mappings, suggestions });
+  } catch (error) {
+    console.error('Mapping suggestion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
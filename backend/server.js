@@ -3,6 +3,11 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import fs from 'fs-extra';
 import formFillingRoutes from './routes/formFilling.js';
+import mappingProfileRoutes from './routes/mappingProfiles.js';
+import templateRoutes from './routes/templates.js';
+import extractionTemplateRoutes from './routes/extractionTemplates.js';
+import { clientSession } from './services/clientSession.js';
+import { purgeExpiredFiles } from './services/fileHandles.js';
 
 // Load environment variables
 dotenv.config();
@@ -14,12 +19,22 @@ const PORT = process.env.PORT || 5000;
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(clientSession);
 
 // Ensure uploads directory exists
 await fs.ensureDir('./uploads');
 
+// Remove uploads and fill results whose file handles have expired
+const FILE_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const purgeFiles = () => purgeExpiredFiles().catch(error => console.error('File purge error:', error.message));
+purgeFiles();
+setInterval(purgeFiles, FILE_PURGE_INTERVAL_MS).unref();
+
 // Routes
 app.use('/api', formFillingRoutes);
+app.use('/api', mappingProfileRoutes);
+app.use('/api', templateRoutes);
+app.use('/api', extractionTemplateRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -35,5 +50,6 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  console.log(`Fill provider: ${process.env.FILL_PROVIDER || 'datalab'}`);
   console.log(`API Key configured: ${process.env.DATALAB_API_KEY ? 'Yes' : 'No'}`);
 });
@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import archiver from 'archiver';
+import { PDFDocument } from 'pdf-lib';
+import { convertRowToFieldData } from './csvParser.js';
+import { fillFormWithEngine } from './formFillService.js';
+import { validateRow, createValidationError } from './dataValidator.js';
+
+export const BATCH_OUTPUTS = ['zip', 'merged'];
+
+const DEFAULT_FILENAME_TEMPLATE = 'filled_{index}.pdf';
+
+/**
+ * Resolve the requested row indexes against the parsed data
+ * @param {array|string} rowIndexes - Array of indexes or 'all'
+ * @param {number} rowCount - Number of rows in the data source
+ */
+export const resolveRowIndexes = (rowIndexes, rowCount) => {
+  if (rowIndexes === 'all') {
+    return Array.from({ length: rowCount }, (_, index) => index);
+  }
+
+  if (!Array.isArray(rowIndexes) || rowIndexes.length === 0) {
+    throw new Error('Row indexes must be a non-empty array or "all"');
+  }
+
+  const indexes = [...new Set(rowIndexes.map(Number))];
+  const invalid = indexes.filter(index => !Number.isInteger(index) || index < 0 || index >= rowCount);
+  if (invalid.length > 0) {
+    throw new Error(`Invalid row indexes: ${invalid.join(', ')}`);
+  }
+
+  return indexes;
+};
+
+/**
+ * Build an output file name from a template like "{SURNAME}_{NAME}.pdf"
+ * Placeholders match column names case-insensitively; {index} is the 1-based row number
+ */
+export const buildOutputFilename = (template, row, rowIndex) => {
+  const columns = Object.keys(row);
+
+  const name = (template || DEFAULT_FILENAME_TEMPLATE).replace(/\{([^}]+)\}/g, (match, placeholder) => {
+    if (placeholder.toLowerCase() === 'index') {
+      return String(rowIndex + 1);
+    }
+    const column = columns.find(key => key.toLowerCase() === placeholder.toLowerCase());
+    return column && row[column] ? row[column].toString().trim() : '';
+  });
+
+  // Strip characters that are not safe in file names or ZIP entries
+  const safeName = name
+    .replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_')
+    .replace(/\s+/g, '_')
+    .replace(/^[._]+/, '');
+
+  // Empty placeholders leave dangling separators behind ("Popescu_.pdf")
+  const baseName = safeName
+    .replace(/\.pdf$/i, '')
+    .replace(/_{2,}/g, '_')
+    .replace(/[_-]+$/, '') || `filled_${rowIndex + 1}`;
+  return `${baseName}.pdf`;
+};
+
+/**
+ * Make a file name unique within the batch by appending a counter
+ */
+const uniqueFilename = (filename, usedNames) => {
+  let candidate = filename;
+  let counter = 2;
+
+  while (usedNames.has(candidate.toLowerCase())) {
+    candidate = filename.replace(/\.pdf$/i, `_${counter}.pdf`);
+    counter++;
+  }
+
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/**
+ * Write a ZIP with every filled PDF plus a manifest.json
+ */
+const writeZip = (outputPath, files, manifest) => {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', () => resolve(outputPath));
+    // A failed write (full disk, removed directory) would otherwise never close the stream
+    output.on('error', (error) => {
+      archive.abort();
+      reject(error);
+    });
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    for (const file of files) {
+      archive.file(file.path, { name: file.name });
+    }
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    archive.finalize();
+  });
+};
+
+/**
+ * Merge every filled PDF into a single document
+ */
+const writeMergedPDF = async (outputPath, files) => {
+  const mergedDoc = await PDFDocument.create();
+
+  for (const file of files) {
+    const pdfDoc = await PDFDocument.load(await fs.readFile(file.path));
+    // Flatten first so identically named fields from different rows do not collide
+    pdfDoc.getForm().flatten();
+    const pages = await mergedDoc.copyPages(pdfDoc, pdfDoc.getPageIndices());
+    pages.forEach(page => mergedDoc.addPage(page));
+  }
+
+  await fs.writeFile(outputPath, await mergedDoc.save());
+  return outputPath;
+};
+
+/**
+ * Fill the form once per selected row and bundle the results
+ * Rows are filled one after another; a failing row is recorded in the
+ * manifest and does not abort the batch.
+ * @param {object} options
+ * @param {string} options.pdfPath - Path to the PDF form template
+ * @param {array} options.rows - Parsed data rows
+ * @param {array|string} options.rowIndexes - Rows to fill, or 'all'
+ * @param {string} options.output - 'zip' or 'merged'
+ * @param {string} options.filenameTemplate - e.g. "{SURNAME}_{NAME}.pdf"
+ * @param {boolean} options.flatten - Flatten every filled PDF
+ * @param {array} options.booleanLocales - Yes/no vocabularies for checkboxes and radio groups
+ * @param {array} options.validationFields - Template fields to validate each row against
+ *   (rows with validation errors fail); null to fill without validating
+ * @param {string} options.outputDir - Directory for the batch output
+ * @param {function} options.onProgress - Optional callback receiving progress updates
+ */
+export const batchFillRows = async ({
+  pdfPath,
+  rows,
+  rowIndexes = 'all',
+  output = 'zip',
+  filenameTemplate = DEFAULT_FILENAME_TEMPLATE,
+  customMappings = null,
+  context = '',
+  engine = 'auto',
+  flatten = false,
+  booleanLocales = null,
+  validationFields = null,
+  provider,
+  outputDir = './uploads',
+  onProgress = () => {}
+}) => {
+  if (!BATCH_OUTPUTS.includes(output)) {
+    throw new Error(`Output must be one of: ${BATCH_OUTPUTS.join(', ')}`);
+  }
+
+  const indexes = resolveRowIndexes(rowIndexes, rows.length);
+  const batchId = `batch-${crypto.randomUUID()}`;
+  const workDir = path.join(outputDir, batchId);
+  await fs.ensureDir(workDir);
+
+  const usedNames = new Set();
+  const files = [];
+  const manifest = [];
+
+  try {
+    for (const rowIndex of indexes) {
+      const filename = uniqueFilename(buildOutputFilename(filenameTemplate, rows[rowIndex], rowIndex), usedNames);
+      const filePath = path.join(workDir, filename);
+
+      console.log(`Batch ${batchId}: filling row ${rowIndex} -> ${filename}`);
+
+      const rowProgress = { rowIndex, rowsCompleted: manifest.length, rowsTotal: indexes.length };
+      const rowLabel = `Row ${manifest.length + 1} of ${indexes.length}`;
+      onProgress({ ...rowProgress, message: `${rowLabel}: ${filename}` });
+
+      try {
+        if (validationFields) {
+          const issues = validateRow(rows[rowIndex], { mappings: customMappings, fields: validationFields, booleanLocales });
+          if (issues.some(entry => entry.severity === 'error')) {
+            throw createValidationError(issues);
+          }
+        }
+
+        const fieldData = convertRowToFieldData(rows[rowIndex], customMappings);
+        const result = await fillFormWithEngine({
+          pdfPath,
+          fieldData,
+          outputPath: filePath,
+          context,
+          engine,
+          flatten,
+          booleanLocales,
+          provider,
+          onProgress: (progress) => onProgress({ ...progress, ...rowProgress, message: `${rowLabel}: ${progress.message}` })
+        });
+
+        files.push({ name: filename, path: filePath });
+        manifest.push({
+          rowIndex,
+          filename,
+          success: true,
+          engine: result.engine,
+          fieldsFilledCount: result.fieldsFilledCount,
+          unmatchedFields: result.report.unmatched.map(entry => entry.column)
+        });
+      } catch (error) {
+        console.error(`Batch ${batchId}: row ${rowIndex} failed:`, error.message);
+        manifest.push({ rowIndex, filename, success: false, error: error.message, validation: error.validation });
+      }
+    }
+
+    if (files.length === 0) {
+      throw new Error(`No rows could be filled: ${manifest.map(entry => entry.error).join('; ')}`);
+    }
+
+    onProgress({ stage: 'bundling', rowsCompleted: manifest.length, rowsTotal: indexes.length, message: output === 'zip' ? 'Creating ZIP' : 'Merging PDFs' });
+
+    const outputFilename = `${batchId}.${output === 'zip' ? 'zip' : 'pdf'}`;
+    const outputPath = path.join(outputDir, outputFilename);
+
+    if (output === 'zip') {
+      await writeZip(outputPath, files, manifest);
+    } else {
+      await writeMergedPDF(outputPath, files);
+    }
+
+    return {
+      success: true,
+      output,
+      outputPath,
+      outputFilename,
+      manifest,
+      successCount: files.length,
+      failureCount: manifest.length - files.length
+    };
+  } finally {
+    await fs.remove(workDir);
+  }
+};
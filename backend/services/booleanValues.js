@@ -0,0 +1,123 @@
+/**
+ * Yes/no values for checkbox and radio group fields
+ * Datasets write a ticked box as YES, true, 1, x or Da; the vocabularies below
+ * turn these into an on/off state. Symbols and digits are understood in every
+ * locale; the words of each language only when its locale is enabled (all by
+ * default, or the BOOLEAN_LOCALES list, or booleanLocales of a fill request).
+ */
+
+const COMMON_VOCABULARY = {
+  true: ['1', 'x', '✓', '✔', '☑', '☒', '+'],
+  false: ['0', '-', '☐']
+};
+
+export const BOOLEAN_VOCABULARIES = {
+  en: {
+    true: ['yes', 'y', 'true', 't', 'on', 'checked', 'ticked', 'selected'],
+    false: ['no', 'n', 'false', 'f', 'off', 'unchecked', 'unticked', 'none']
+  },
+  ro: {
+    true: ['da', 'd', 'adevarat', 'bifat'],
+    false: ['nu', 'fals', 'nebifat']
+  },
+  de: {
+    true: ['ja', 'j', 'wahr', 'angekreuzt'],
+    false: ['nein', 'falsch']
+  },
+  fr: {
+    true: ['oui', 'o', 'vrai', 'coche'],
+    false: ['non', 'faux']
+  }
+};
+
+export const BOOLEAN_LOCALES = Object.keys(BOOLEAN_VOCABULARIES);
+
+/**
+ * Locales used when a request names none
+ */
+export const getDefaultBooleanLocales = () => (
+  process.env.BOOLEAN_LOCALES ? process.env.BOOLEAN_LOCALES.split(',').map(locale => locale.trim()) : BOOLEAN_LOCALES
+);
+
+/**
+ * Check a list of locales from a request
+ * @returns {array} The locales, or the defaults when none are given
+ */
+export const resolveBooleanLocales = (locales) => {
+  if (!locales || (Array.isArray(locales) && locales.length === 0)) {
+    return getDefaultBooleanLocales();
+  }
+
+  const list = Array.isArray(locales) ? locales : String(locales).split(',').map(locale => locale.trim());
+  const unknown = list.filter(locale => !BOOLEAN_LOCALES.includes(locale));
+  if (unknown.length > 0) {
+    throw Object.assign(new Error(`Boolean locales must be among: ${BOOLEAN_LOCALES.join(', ')}`), { status: 400 });
+  }
+  return list;
+};
+
+const normalizeWord = (value) => String(value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase()
+  .replace(/[.!]+$/, '');
+
+/**
+ * Read a yes/no value
+ * @param {string} value - Cell value, e.g. "YES", "Nu", "x" or "0"
+ * @param {array} locales - Enabled vocabularies (default: see getDefaultBooleanLocales)
+ * @returns {boolean|null} null when the value is not in any enabled vocabulary
+ */
+export const parseBoolean = (value, locales = getDefaultBooleanLocales()) => {
+  const word = normalizeWord(value);
+  const vocabularies = [COMMON_VOCABULARY, ...locales.map(locale => BOOLEAN_VOCABULARIES[locale]).filter(Boolean)];
+
+  if (vocabularies.some(vocabulary => vocabulary.true.includes(word))) return true;
+  if (vocabularies.some(vocabulary => vocabulary.false.includes(word))) return false;
+  return null;
+};
+
+/**
+ * Pick the radio option for a value
+ * Options are matched by name first ("Yes" for "YES"); a yes/no value then picks the
+ * option that reads as the same state ("Da" for "true"). A group with a single
+ * option is selected for yes and cleared for no.
+ * @param {array} options - Export values of the radio group
+ * @returns {object} { option } to select, { clear: true }, or { reason } when nothing fits
+ */
+export const resolveRadioValue = (options, value, locales = getDefaultBooleanLocales()) => {
+  const optionKey = (text) => normalizeWord(text).replace(/[^a-z0-9]+/g, '');
+  const byName = options.find(option => optionKey(option) === optionKey(value));
+  if (byName) {
+    return { option: byName };
+  }
+
+  const state = parseBoolean(value, locales);
+  if (state === null) {
+    return { reason: `"${value}" is not one of the options (${options.join(', ')}) or a yes/no value` };
+  }
+
+  const byState = options.find(option => parseBoolean(option, locales) === state);
+  if (byState) {
+    return { option: byState };
+  }
+  if (options.length === 1) {
+    return state ? { option: options[0] } : { clear: true };
+  }
+  return { reason: `"${value}" means ${state ? 'yes' : 'no'} but none of the options (${options.join(', ')}) does` };
+};
+
+/**
+ * Describe why a value cannot set a checkbox or radio group, or null when it can
+ * @param {object} field - { type, options } from inspectFormFields
+ */
+export const checkChoiceValue = (field, value, locales = getDefaultBooleanLocales()) => {
+  if (field.type === 'checkbox') {
+    return parseBoolean(value, locales) === null ? `"${value}" is not a yes/no value for checkbox ${field.name}` : null;
+  }
+  if (field.type === 'radio') {
+    return resolveRadioValue(field.options || [], value, locales).reason || null;
+  }
+  return null;
+};
@@ -0,0 +1,417 @@
+import { getMaxPages } from './ocrService.js';
+import { openPDF, renderGrayscale, readTextItems, placeCharacters } from './pdfRenderer.js';
+
+// Pages are rendered at 150 DPI: boxes are ~20px wide, which is plenty to measure
+const DETECTION_DPI = 150;
+
+// Pixels darker than this count as ink
+const INK_THRESHOLD = 160;
+
+// Box sides, in points
+const MIN_BOX_SIZE = 5;
+const MAX_BOX_SIZE = 30;
+
+// Share of a box interior that must be inked for it to count as ticked
+const CHECKED_RATIO = 0.08;
+
+/**
+ * Option captions next to tick boxes and the value each one stands for
+ */
+export const OPTION_VALUES = {
+  yes: 'YES',
+  no: 'NO',
+  da: 'YES',
+  nu: 'NO',
+  ja: 'YES',
+  nein: 'NO',
+  oui: 'YES',
+  non: 'NO'
+};
+
+// Single glyphs that are tick marks or ticked boxes rather than text
+const MARK_GLYPHS = /^[xXvV✓✔✗✘☒☑■●]$/;
+const SYMBOL_FONTS = /wingding|dingbat|symbol/i;
+
+const width = (box) => box.x1 - box.x0;
+const height = (box) => box.y1 - box.y0;
+const centerY = (box) => (box.y0 + box.y1) / 2;
+
+const sameRow = (a, b) => Math.abs(centerY(a) - centerY(b)) <= 0.6 * Math.max(height(a), height(b));
+
+const optionValue = (text) => OPTION_VALUES[text.toLowerCase().replace(/[^\p{L}]/gu, '')];
+
+/**
+ * Read the words of a page's text layer with their boxes in points
+ * Character boxes are placed within each text run by placeCharacters.
+ */
+export const readTextWords = async (page) => {
+  const words = [];
+  let word = null;
+
+  const finish = () => {
+    if (word) words.push(word);
+    word = null;
+  };
+
+  let baseline = null;
+  for (const item of await readTextItems(page)) {
+    // A run on another line starts a new word
+    if (baseline !== null && Math.abs(item.y - baseline) > item.size / 2) finish();
+    baseline = item.y;
+
+    for (const { char, x0, x1 } of placeCharacters(item)) {
+      if (!char.trim()) {
+        finish();
+        continue;
+      }
+
+      // A gap wider than half the font size also ends a word
+      if (word && x0 - word.x1 > item.size / 2) finish();
+
+      if (!word) {
+        word = { text: '', x0, y0: Infinity, x1: x0, y1: -Infinity, symbol: SYMBOL_FONTS.test(item.font) };
+      }
+      word.text += char;
+      word.x1 = Math.max(word.x1, x1);
+      word.y0 = Math.min(word.y0, item.top);
+      word.y1 = Math.max(word.y1, item.bottom);
+    }
+  }
+  finish();
+
+  return words;
+};
+
+/**
+ * Convert OCR words ({ text, bbox: { x, y, width, height } }) to the same shape
+ */
+export const readOcrWords = (ocrPage) => ocrPage.blocks
+  .flatMap(block => block.lines)
+  .flatMap(line => line.words || [])
+  .filter(word => word.text.trim())
+  .map(word => ({
+    text: word.text.trim(),
+    x0: word.bbox.x,
+    y0: word.bbox.y,
+    x1: word.bbox.x + word.bbox.width,
+    y1: word.bbox.y + word.bbox.height,
+    symbol: false,
+    confidence: word.confidence
+  }));
+
+/**
+ * Whether a word could be a tick box rather than text
+ * OCR reads boxes as short junk words such as "[]", "OJ" or "K]".
+ */
+const mayBeBox = (word) => {
+  const letters = (word.text.match(/[\p{L}\p{N}]/gu) || []).length;
+  const ratio = Math.min(width(word), height(word)) / Math.max(width(word), height(word));
+  return letters < 2 || (word.text.length <= 3 && ratio > 0.7 && Math.max(width(word), height(word)) <= MAX_BOX_SIZE);
+};
+
+/**
+ * Turn a rendered page into its ink mask with the text words erased
+ * What is left are boxes, rules, tick marks and handwriting.
+ * @param {object} image - { width, height, pixels } from renderGrayscale
+ */
+const toInkMask = ({ width: w, height: h, pixels }, words, scale) => {
+  const ink = pixels.map(pixel => (pixel < INK_THRESHOLD ? 1 : 0));
+
+  for (const word of words) {
+    if (!optionValue(word.text) && (word.symbol || MARK_GLYPHS.test(word.text) || mayBeBox(word))) {
+      continue;
+    }
+    const x0 = Math.max(0, Math.floor(word.x0 * scale) - 1);
+    const x1 = Math.min(w, Math.ceil(word.x1 * scale) + 1);
+    const y0 = Math.max(0, Math.floor(word.y0 * scale) - 1);
+    const y1 = Math.min(h, Math.ceil(word.y1 * scale) + 1);
+    for (let y = y0; y < y1; y++) {
+      ink.fill(0, y * w + x0, y * w + x1);
+    }
+  }
+
+  return { ink, w, h };
+};
+
+/**
+ * Find connected ink components (8-connected) with their pixel boxes
+ */
+const findComponents = ({ ink, w, h }) => {
+  const seen = new Uint8Array(w * h);
+  const stack = new Int32Array(w * h);
+  const components = [];
+
+  for (let start = 0; start < ink.length; start++) {
+    if (!ink[start] || seen[start]) continue;
+
+    let top = 0;
+    stack[top++] = start;
+    seen[start] = 1;
+    const component = { x0: w, y0: h, x1: 0, y1: 0, count: 0 };
+
+    while (top > 0) {
+      const index = stack[--top];
+      const x = index % w;
+      const y = (index - x) / w;
+      component.count++;
+      component.x0 = Math.min(component.x0, x);
+      component.x1 = Math.max(component.x1, x + 1);
+      component.y0 = Math.min(component.y0, y);
+      component.y1 = Math.max(component.y1, y + 1);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= w || ny >= h) continue;
+          const next = ny * w + nx;
+          if (ink[next] && !seen[next]) {
+            seen[next] = 1;
+            stack[top++] = next;
+          }
+        }
+      }
+    }
+
+    components.push(component);
+  }
+
+  return components;
+};
+
+/**
+ * Share of inked pixels in a pixel rectangle
+ */
+const inkRatio = ({ ink, w }, x0, y0, x1, y1) => {
+  let count = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      count += ink[y * w + x];
+    }
+  }
+  return count / Math.max(1, (x1 - x0) * (y1 - y0));
+};
+
+/**
+ * Whether a component is a square outline: all four sides mostly inked
+ */
+const isBoxOutline = (mask, c) => {
+  const band = 2;
+  return inkRatio(mask, c.x0, c.y0, c.x1, c.y0 + band) > 0.35
+    && inkRatio(mask, c.x0, c.y1 - band, c.x1, c.y1) > 0.35
+    && inkRatio(mask, c.x0, c.y0, c.x0 + band, c.y1) > 0.35
+    && inkRatio(mask, c.x1 - band, c.y0, c.x1, c.y1) > 0.35;
+};
+
+/**
+ * Interior of a box outline, inside its inked border on every side
+ * Borders can be thick on one side (shadowed boxes such as ❑), so each side is measured.
+ */
+const boxInterior = (mask, c) => {
+  const limit = Math.floor((c.x1 - c.x0) / 3);
+  const inked = (x0, y0, x1, y1) => inkRatio(mask, x0, y0, x1, y1) > 0.5;
+  const measure = (isBorder) => {
+    let depth = 0;
+    while (depth < limit && !isBorder(depth)) depth++; // stray pixels outside the border
+    while (depth < limit && isBorder(depth)) depth++;
+    return depth + 1;
+  };
+
+  const left = measure(d => inked(c.x0 + d, c.y0, c.x0 + d + 1, c.y1));
+  const right = measure(d => inked(c.x1 - d - 1, c.y0, c.x1 - d, c.y1));
+  const top = measure(d => inked(c.x0, c.y0 + d, c.x1, c.y0 + d + 1));
+  const bottom = measure(d => inked(c.x0, c.y1 - d - 1, c.x1, c.y1 - d));
+  return { x0: c.x0 + left, y0: c.y0 + top, x1: c.x1 - right, y1: c.y1 - bottom };
+};
+
+/**
+ * Find tick boxes and loose marks on a page, in points
+ */
+const findBoxesAndMarks = (mask, scale) => {
+  const boxes = [];
+  const marks = [];
+
+  for (const c of findComponents(mask)) {
+    const size = { w: (c.x1 - c.x0) / scale, h: (c.y1 - c.y0) / scale };
+    const rect = { x0: c.x0 / scale, y0: c.y0 / scale, x1: c.x1 / scale, y1: c.y1 / scale };
+    const square = size.w >= MIN_BOX_SIZE && size.h >= MIN_BOX_SIZE && size.w <= MAX_BOX_SIZE && size.h <= MAX_BOX_SIZE
+      && Math.min(size.w, size.h) / Math.max(size.w, size.h) > 0.7;
+
+    if (square && isBoxOutline(mask, c)) {
+      const inner = boxInterior(mask, c);
+      const filled = inkRatio(mask, inner.x0, inner.y0, inner.x1, inner.y1);
+      boxes.push({ ...rect, filled });
+    } else if (Math.max(size.w, size.h) >= 3 && size.w <= MAX_BOX_SIZE * 2 && size.h <= MAX_BOX_SIZE * 2) {
+      marks.push(rect);
+    }
+  }
+
+  return { boxes, marks };
+};
+
+/**
+ * Decide which option captions are ticked
+ * A box belongs to the nearest caption on its row; captions without a box
+ * are ticked by a mark right next to them or a circle drawn around them.
+ */
+const readOptions = (words, { boxes, marks }) => {
+  const options = words
+    .filter(word => optionValue(word.text))
+    .map(word => ({ word, value: optionValue(word.text), boxes: [], marks: [] }));
+
+  for (const box of boxes) {
+    let best = null;
+    for (const option of options) {
+      if (!sameRow(option.word, box)) continue;
+      const gap = box.x0 >= option.word.x1 ? box.x0 - option.word.x1 : option.word.x0 - box.x1;
+      if (gap > -height(option.word) * 0.3 && gap <= 3 * height(option.word) && (!best || gap < best.gap)) {
+        best = { option, gap };
+      }
+    }
+    if (best) best.option.boxes.push(box);
+  }
+
+  for (const option of options.filter(candidate => candidate.boxes.length === 0)) {
+    const { word } = option;
+    const reach = 1.5 * height(word);
+    option.marks = marks.filter(mark => {
+      const encloses = mark.x0 <= word.x0 && mark.x1 >= word.x1 && mark.y0 <= word.y0 && mark.y1 >= word.y1;
+      const beside = sameRow(word, mark) && mark.x0 < word.x1 + reach && mark.x1 > word.x0 - reach;
+      return encloses || beside;
+    });
+  }
+
+  return options.map(option => {
+    if (option.boxes.length > 0) {
+      const filled = Math.max(...option.boxes.map(box => box.filled));
+      const clear = filled >= 2 * CHECKED_RATIO || filled <= CHECKED_RATIO / 4;
+      return { ...option, checked: filled >= CHECKED_RATIO, confidence: clear ? 0.95 : 0.6 };
+    }
+    return { ...option, checked: option.marks.length > 0, confidence: 0.7 };
+  });
+};
+
+/**
+ * Text naming an option group: the words before it on its row, or the line above it
+ */
+const findQuestion = (words, group, rowStart) => {
+  const first = group[0].word;
+  const isCaption = (word) => optionValue(word.text) || MARK_GLYPHS.test(word.text);
+
+  let question = words.filter(word => sameRow(word, first) && word.x1 <= first.x0 && word.x0 >= rowStart && !isCaption(word));
+
+  if (question.length === 0) {
+    const above = words
+      .filter(word => centerY(word) < first.y0 && first.y0 - centerY(word) <= 3 * height(first) && !isCaption(word))
+      .sort((a, b) => centerY(b) - centerY(a));
+    question = above.length > 0 ? words.filter(word => sameRow(word, above[0]) && !isCaption(word)) : [];
+  }
+
+  return question
+    .sort((a, b) => a.x0 - b.x0)
+    .map(word => word.text)
+    .join(' ')
+    .replace(/^\(?\d+[.)]\s*/, '')
+    .replace(/\s*:$/, '')
+    .trim();
+};
+
+/**
+ * Group the ticked/unticked options of a page into questions
+ * Options on one row form a group until a value repeats ("YES NO  YES NO").
+ */
+const groupOptions = (words, options) => {
+  const rows = [];
+  for (const option of [...options].sort((a, b) => centerY(a.word) - centerY(b.word))) {
+    const row = rows.find(candidate => sameRow(candidate[0].word, option.word));
+    if (row) row.push(option);
+    else rows.push([option]);
+  }
+
+  return rows.flatMap(row => {
+    const groups = [];
+    for (const option of row.sort((a, b) => a.word.x0 - b.word.x0)) {
+      const group = groups[groups.length - 1];
+      if (group && !group.some(other => other.value === option.value)) group.push(option);
+      else groups.push([option]);
+    }
+
+    return groups.map((group, index) => ({
+      question: findQuestion(words, group, index > 0 ? groups[index - 1].at(-1).word.x1 : -Infinity),
+      options: group
+    }));
+  });
+};
+
+/**
+ * Detect tick boxes and tick marks next to option captions (YES/NO, DA/NU, ...)
+ * Works on flat PDFs from their text layer and on scanned PDFs from OCR words.
+ * Every question becomes a field such as "Quality (YES/NO)" whose value is the
+ * ticked option, or empty when nothing (or more than one answer) is ticked.
+ * @param {string} pdfPath - Path to the PDF
+ * @param {object} options - { ocrPages } OCR pages from recognizePDF for scanned PDFs
+ * @returns {object} { fields, fieldConfidence, questions: [{ label, value, confidence, page, options }] }
+ */
+export const detectCheckboxes = async (pdfPath, { ocrPages = [] } = {}) => {
+  const fields = {};
+  const fieldConfidence = {};
+  const questions = [];
+  const scale = DETECTION_DPI / 72;
+  const doc = await openPDF(pdfPath);
+
+  try {
+    const pageCount = Math.min(doc.numPages, getMaxPages());
+    for (let index = 0; index < pageCount; index++) {
+      const page = await doc.getPage(index + 1);
+      try {
+        const ocrPage = ocrPages.find(candidate => candidate.page === index + 1);
+        let words = ocrPage ? readOcrWords(ocrPage) : await readTextWords(page);
+        if (!words.some(word => optionValue(word.text))) continue;
+
+        const image = await renderGrayscale(page, scale);
+        // Read again now that the fonts are loaded, to know which words are symbols
+        if (!ocrPage) words = await readTextWords(page);
+
+        const options = readOptions(words, findBoxesAndMarks(toInkMask(image, words, scale), scale));
+
+        for (const { question, options: group } of groupOptions(words, options)) {
+          const values = [...new Set(group.map(option => option.value))];
+          if (values.length < 2) continue;
+
+          const ticked = [...new Set(group.filter(option => option.checked).map(option => option.value))];
+          const name = `${question || 'Option'} (${values.join('/')})`;
+          let label = name;
+          for (let count = 2; label in fields; count++) {
+            label = `${name} ${count}`;
+          }
+
+          const value = ticked.length === 1 ? ticked[0] : '';
+          const unmarked = ticked.length === 0 && group.every(option => option.boxes.length === 0);
+          const confidence = ticked.length > 1 ? 0.3 : unmarked ? 0.5 : Math.min(...group.map(option => option.confidence));
+
+          fields[label] = value;
+          fieldConfidence[label] = confidence;
+          questions.push({
+            label,
+            value,
+            confidence,
+            page: index + 1,
+            options: group.map(option => ({ text: option.word.text, checked: option.checked }))
+          });
+        }
+      } finally {
+        page.cleanup();
+      }
+    }
+  } catch (error) {
+    console.log('Checkbox detection failed:', error.message);
+  } finally {
+    await doc.destroy();
+  }
+
+  if (questions.length > 0) {
+    console.log(`Detected ${questions.length} tick box question(s)`);
+  }
+
+  return { fields, fieldConfidence, questions };
+};
@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+
+const COOKIE_NAME = 'pdf_filler_client';
+const CLIENT_ID_PATTERN = /^[a-f0-9]{32}$/;
+const COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Read a single cookie from a Cookie header
+ */
+const readCookie = (cookieHeader, name) => {
+  for (const part of (cookieHeader || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+};
+
+/**
+ * Express middleware that identifies the browser making the request
+ * Sets req.clientId from an HttpOnly cookie, issuing a new random ID on the
+ * first request. File handles are owned by this ID.
+ */
+export const clientSession = (req, res, next) => {
+  let clientId = readCookie(req.headers.cookie, COOKIE_NAME);
+
+  if (!CLIENT_ID_PATTERN.test(clientId || '')) {
+    clientId = crypto.randomBytes(16).toString('hex');
+    res.cookie(COOKIE_NAME, clientId, {
+      httpOnly: true,
+      sameSite: 'lax',
+      maxAge: COOKIE_MAX_AGE_MS
+    });
+  }
+
+  req.clientId = clientId;
+  next();
+};
@@ -1,101 +1,247 @@
 import Papa from 'papaparse';
 import fs from 'fs-extra';
+import { suggestFieldMappings } from './fieldMatcher.js';
+import { applyTransforms } from './valueTransforms.js';
+import { evaluateExpression } from './mappingExpressions.js';
+
+export const CSV_DELIMITERS = [',', ';', '\t', '|'];
+export const CSV_ENCODINGS = ['utf-8', 'windows-1252', 'iso-8859-1', 'iso-8859-2', 'utf-16le', 'utf-16be'];
+
+const BYTE_ORDER_MARKS = [
+  { encoding: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+  { encoding: 'utf-16le', bytes: [0xFF, 0xFE] },
+  { encoding: 'utf-16be', bytes: [0xFE, 0xFF] }
+];
+
+/**
+ * Make header names unique and non-empty
+ * Blank headers become "Column N"; repeated ones get a suffix ("IBAN", "IBAN_2")
+ * @param {array} names - Header names as strings
+ */
+export const makeUniqueHeaders = (names) => {
+  const seen = new Map();
+
+  return names.map((name, index) => {
+    const base = (name || '').trim() || `Column ${index + 1}`;
+    const count = (seen.get(base.toLowerCase()) || 0) + 1;
+    seen.set(base.toLowerCase(), count);
+    return count > 1 ? `${base}_${count}` : base;
+  });
+};
+
+/**
+ * Decode file bytes to text
+ * A byte order mark decides the encoding and is removed. Without one the file
+ * is read as UTF-8 when that is valid, otherwise as Windows-1252 (the usual
+ * encoding of European Excel/ERP exports).
+ * @param {Buffer} buffer - File content
+ * @param {string} encoding - One of CSV_ENCODINGS, or 'auto'
+ * @returns {object} { text, encoding }
+ */
+const decodeCSV = (buffer, encoding = 'auto') => {
+  const bom = BYTE_ORDER_MARKS.find(({ bytes }) => bytes.every((byte, index) => buffer[index] === byte));
+  const content = bom ? buffer.subarray(bom.bytes.length) : buffer;
+
+  let detected = encoding;
+  if (encoding === 'auto') {
+    if (bom) {
+      detected = bom.encoding;
+    } else {
+      try {
+        new TextDecoder('utf-8', { fatal: true }).decode(content);
+        detected = 'utf-8';
+      } catch (error) {
+        detected = 'windows-1252';
+      }
+    }
+  }
+
+  return {
+    text: new TextDecoder(detected).decode(content),
+    encoding: detected
+  };
+};
+
+/**
+ * Pick the delimiter that splits the first lines into the same number of
+ * columns as the header line (PapaParse's own guess gives up on files with
+ * broken quoting). Falls back to a comma.
+ */
+const detectDelimiter = (text) => {
+  let best = { delimiter: ',', score: 0 };
+
+  for (const delimiter of CSV_DELIMITERS) {
+    const { data } = Papa.parse(text, { delimiter, preview: 10, skipEmptyLines: 'greedy' });
+    const columnCount = data[0]?.length || 0;
+    if (columnCount < 2) {
+      continue;
+    }
+
+    const score = data.filter(cells => cells.length === columnCount).length;
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  }
+
+  return best.delimiter;
+};
+
+/**
+ * Line and column (both from 1) of a position in the text
+ */
+const locate = (text, position) => {
+  const before = text.slice(0, position);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return { line: before.split('\n').length, column: position - lineStart + 1 };
+};
 
 /**
  * Parse CSV file and return structured data
+ * Rows with too few or too many values, or stray quotes, are kept and
+ * reported in `warnings` ({ row, message }, row is the index in `rows`;
+ * null for problems with the header line) instead of failing the file.
+ * A quote that is never closed fails the file, since everything after it
+ * would be read as a single value.
+ * @param {string} filePath - Path to the CSV file
+ * @param {object} options - { delimiter, encoding } overrides; 'auto' (default) detects them
+ * @returns {object} { headers, rows, rowCount, warnings, delimiter, encoding }
  */
-export const parseCSV = async (filePath) => {
+export const parseCSV = async (filePath, { delimiter = 'auto', encoding = 'auto' } = {}) => {
+  if (delimiter !== 'auto' && !CSV_DELIMITERS.includes(delimiter)) {
+    throw Object.assign(new Error(`Delimiter must be one of: auto, ${CSV_DELIMITERS.map(d => JSON.stringify(d)).join(', ')}`), { status: 400 });
+  }
+  if (encoding !== 'auto' && !CSV_ENCODINGS.includes(encoding)) {
+    throw Object.assign(new Error(`Encoding must be one of: auto, ${CSV_ENCODINGS.join(', ')}`), { status: 400 });
+  }
+
+  let decoded;
   try {
-    const fileContent = await fs.readFile(filePath, 'utf8');
-    
-    return new Promise((resolve, reject) => {
-      Papa.parse(fileContent, {
-        header: true,
-        skipEmptyLines: true,
-        complete: (results) => {
-          if (results.errors.length > 0) {
-            reject(new Error(`CSV parsing errors: ${JSON.stringify(results.errors)}`));
-          } else {
-            resolve({
-              headers: results.meta.fields || [],
-              rows: results.data,
-              rowCount: results.data.length
-            });
-          }
-        },
-        error: (error) => {
-          reject(error);
-        }
-      });
-    });
+    decoded = decodeCSV(await fs.readFile(filePath), encoding);
   } catch (error) {
     throw new Error(`Failed to read CSV file: ${error.message}`);
   }
+
+  const results = Papa.parse(decoded.text, {
+    header: false,
+    skipEmptyLines: 'greedy',
+    delimiter: delimiter === 'auto' ? detectDelimiter(decoded.text) : delimiter
+  });
+
+  const unterminated = results.errors.find(error => error.code === 'MissingQuotes');
+  if (unterminated) {
+    // PapaParse reports the position just after the opening quote
+    const { line, column } = locate(decoded.text, decoded.text.lastIndexOf('"', unterminated.index));
+    throw Object.assign(new Error(`Unterminated quote opened at line ${line}, column ${column}; close the quoted value and upload the file again`), { status: 400 });
+  }
+
+  const [headerCells = [], ...records] = results.data;
+  const headers = makeUniqueHeaders(headerCells);
+  const warnings = [];
+
+  const rows = records.map((cells, index) => {
+    if (cells.length < headers.length) {
+      warnings.push({ row: index, message: `Row ${index + 1} has ${cells.length} of ${headers.length} values; the missing values are empty` });
+    } else if (cells.slice(headers.length).some(cell => cell.trim() !== '')) {
+      warnings.push({ row: index, message: `Row ${index + 1} has ${cells.length} values for ${headers.length} columns; the extra values were ignored` });
+    }
+
+    const row = {};
+    headers.forEach((header, column) => {
+      row[header] = cells[column] ?? '';
+    });
+    return row;
+  });
+
+  for (const error of results.errors) {
+    const row = error.row > 0 ? error.row - 1 : null;
+    warnings.push({ row, message: row === null ? `Header: ${error.message}` : `Row ${row + 1}: ${error.message}` });
+  }
+
+  if (warnings.length > 0) {
+    console.log(`CSV parsed with ${warnings.length} warning(s)`);
+  }
+
+  return {
+    headers,
+    rows,
+    rowCount: rows.length,
+    warnings,
+    delimiter: results.meta.delimiter,
+    encoding: decoded.encoding
+  };
 };
 
+/**
+ * Field descriptions of the bank details form, used when the template's own
+ * fields are not known (e.g. flat forms filled by Datalab)
+ */
+const BANK_FORM_FIELDS = [
+  'Title or Company Name',
+  'Surname or Last Name',
+  'First Name',
+  'Street Address',
+  'Street Number',
+  'Postal Code',
+  'Town or City',
+  'Country',
+  'Account Holder Name',
+  'IBAN Number',
+  'SWIFT Code (BIC)',
+  'Currency',
+  'Bank Account Number',
+  'Routing Number (US banks)',
+  'Bank Name',
+  'Bank Street Address',
+  'Bank Street Number',
+  'Bank Postal Code',
+  'Bank Town or City',
+  'Bank Country',
+  'SWIFT Correspondent'
+].map(name => ({ name }));
+
 /**
  * Convert CSV row to field_data format for Datalab API
- * Maps column names to field descriptions
+ * Maps column names to field descriptions. A mapping entry is either the field
+ * description or { field, transforms }; transforms reformat the value first (see valueTransforms).
+ * Computed entries { field, expression, transforms } fill a field from an expression over
+ * the row (see mappingExpressions); their key does not have to be a column.
  */
 export const convertRowToFieldData = (row, columnMappings = null) => {
   const fieldData = {};
-  
-  // Default mapping rules for common field names
-  const defaultMappings = {
-    'title': 'Title or Company Name',
-    'company_name': 'Company Name',
-    'company': 'Company Name',
-    'surname': 'Surname or Last Name',
-    'last_name': 'Surname or Last Name',
-    'lastname': 'Surname or Last Name',
-    'name': 'First Name',
-    'first_name': 'First Name',
-    'firstname': 'First Name',
-    'street': 'Street Address',
-    'address': 'Street Address',
-    'address_street': 'Street Address',
-    'number': 'Street Number',
-    'street_number': 'Street Number',
-    'postcode': 'Postal Code',
-    'postal_code': 'Postal Code',
-    'zip': 'Postal Code',
-    'zip_code': 'Postal Code',
-    'town': 'Town or City',
-    'city': 'Town or City',
-    'town_city': 'Town or City',
-    'country': 'Country',
-    'account_holder': 'Account Holder Name',
-    'iban': 'IBAN Number',
-    'swift': 'SWIFT Code (BIC)',
-    'swift_code': 'SWIFT Code (BIC)',
-    'bic': 'SWIFT Code (BIC)',
-    'currency': 'Currency',
-    'bank_account_number': 'Bank Account Number',
-    'account_number': 'Bank Account Number',
-    'routing_number': 'Routing Number (US banks)',
-    'bank_name': 'Bank Name',
-    'bank_street': 'Bank Street Address',
-    'bank_address': 'Bank Street Address',
-    'bank_number': 'Bank Street Number',
-    'bank_postcode': 'Bank Postal Code',
-    'bank_zip': 'Bank Postal Code',
-    'bank_town': 'Bank Town or City',
-    'bank_city': 'Bank Town or City',
-    'bank_country': 'Bank Country',
-    'swift_correspondent': 'SWIFT Correspondent'
-  };
-  
-  // Use custom mappings if provided, otherwise use defaults
-  const mappings = columnMappings || defaultMappings;
+
+  // Use custom mappings if provided, otherwise match the columns to the bank form fields
+  const mappings = columnMappings || generateFieldMappings(Object.keys(row));
   
   for (const [key, value] of Object.entries(row)) {
+    const normalizedKey = key.toLowerCase().replace(/\s+/g, '_');
+    const mapping = mappings[normalizedKey];
+    if (mapping?.expression !== undefined) {
+      continue; // computed below
+    }
+
     if (value && value.toString().trim() !== '') {
-      const normalizedKey = key.toLowerCase().replace(/\s+/g, '_');
-      const description = mappings[normalizedKey] || key;
-      
+      const description = (mapping && typeof mapping === 'object' ? mapping.field : mapping) || key;
+      const transformed = applyTransforms(value.toString().trim(), mapping?.transforms);
+
+      if (transformed !== '') {
+        fieldData[key] = {
+          value: transformed,
+          description: description
+        };
+      }
+    }
+  }
+
+  for (const [key, mapping] of Object.entries(mappings)) {
+    if (mapping?.expression === undefined) {
+      continue;
+    }
+
+    const computed = applyTransforms(evaluateExpression(mapping.expression, row).trim(), mapping.transforms);
+    if (computed !== '') {
       fieldData[key] = {
-        value: value.toString().trim(),
-        description: description
+        value: computed,
+        description: mapping.field || key
       };
     }
   }
@@ -105,44 +251,9 @@ export const convertRowToFieldData = (row, columnMappings = null) => {
 
 /**
  * Generate smart field mappings based on column headers
+ * Columns are matched fuzzily to the bank form field descriptions (see fieldMatcher);
+ * columns without a good match keep their own name.
  */
 export const generateFieldMappings = (headers) => {
-  const mappings = {};
-  
-  const fieldPatterns = [
-    { pattern: /(title|company.*name)/i, description: 'Title or Company Name' },
-    { pattern: /(surname|last.*name)/i, description: 'Surname or Last Name' },
-    { pattern: /(first.*name|given.*name)/i, description: 'First Name' },
-    { pattern: /(street|address.*street)/i, description: 'Street Address' },
-    { pattern: /(number|street.*number)/i, description: 'Street Number' },
-    { pattern: /(postcode|postal.*code|zip)/i, description: 'Postal Code' },
-    { pattern: /(town|city)/i, description: 'Town or City' },
-    { pattern: /country/i, description: 'Country' },
-    { pattern: /account.*holder/i, description: 'Account Holder Name' },
-    { pattern: /iban/i, description: 'IBAN Number' },
-    { pattern: /(swift|bic)/i, description: 'SWIFT Code (BIC)' },
-    { pattern: /currency/i, description: 'Currency' },
-    { pattern: /(bank.*account|account.*number)/i, description: 'Bank Account Number' },
-    { pattern: /routing/i, description: 'Routing Number (US banks)' },
-    { pattern: /bank.*name/i, description: 'Bank Name' },
-  ];
-  
-  headers.forEach(header => {
-    const normalizedKey = header.toLowerCase().replace(/\s+/g, '_');
-    let matched = false;
-    
-    for (const { pattern, description } of fieldPatterns) {
-      if (pattern.test(header)) {
-        mappings[normalizedKey] = description;
-        matched = true;
-        break;
-      }
-    }
-    
-    if (!matched) {
-      mappings[normalizedKey] = header;
-    }
-  });
-  
-  return mappings;
+  return suggestFieldMappings(headers, BANK_FORM_FIELDS).mappings;
 };
@@ -0,0 +1,267 @@
+import { convertRowToFieldData, generateFieldMappings } from './csvParser.js';
+import { tokenize } from './fieldMatcher.js';
+import { resolveFieldNames } from './localFillService.js';
+import { checkChoiceValue, resolveBooleanLocales } from './booleanValues.js';
+
+/**
+ * Validation of row values before they are filled in
+ * A column is checked by what it holds, told from its name and the field it is
+ * mapped to: IBANs, SWIFT/BIC codes, currencies, email addresses and postcodes.
+ * Required template fields must receive a value, and checkboxes and radio groups
+ * a yes/no value or one of their options. Values are checked after the
+ * mapping's value transforms, exactly as they would be filled.
+ */
+
+export const VALIDATION_RULES = ['iban', 'swift', 'currency', 'email', 'postcode', 'required', 'boolean'];
+
+// IBAN length per country (SWIFT IBAN registry)
+const IBAN_LENGTHS = {
+  AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BR: 29, BY: 28,
+  CH: 21, CR: 22, CY: 28, CZ: 24, DE: 22, DK: 18, DO: 28, EE: 20, EG: 29, ES: 24, FI: 18,
+  FO: 18, FR: 27, GB: 22, GE: 22, GI: 23, GL: 18, GR: 27, GT: 28, HR: 21, HU: 28, IE: 22,
+  IL: 23, IQ: 23, IS: 26, IT: 27, JO: 30, KW: 30, KZ: 20, LB: 28, LC: 32, LI: 21, LT: 20,
+  LU: 20, LV: 21, MC: 27, MD: 24, ME: 22, MK: 19, MR: 27, MT: 31, MU: 30, NL: 18, NO: 15,
+  PK: 24, PL: 28, PS: 29, PT: 25, QA: 29, RO: 24, RS: 22, SA: 24, SC: 31, SE: 24, SI: 19,
+  SK: 24, SM: 27, ST: 25, SV: 28, TL: 23, TN: 24, TR: 26, UA: 29, VA: 22, VG: 24, XK: 20
+};
+
+// Postcode format per country; values are upper-cased before matching
+const POSTCODE_PATTERNS = {
+  AT: /^\d{4}$/, BE: /^\d{4}$/, BG: /^\d{4}$/, CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/, CH: /^\d{4}$/,
+  CY: /^\d{4}$/, CZ: /^\d{3} ?\d{2}$/, DE: /^\d{5}$/, DK: /^\d{4}$/, EE: /^\d{5}$/, ES: /^\d{5}$/,
+  FI: /^\d{5}$/, FR: /^\d{5}$/, GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/, GR: /^\d{3} ?\d{2}$/,
+  HR: /^\d{5}$/, HU: /^\d{4}$/, IE: /^[A-Z]\d[\dW] ?[A-Z\d]{4}$/, IT: /^\d{5}$/, LT: /^(LT-)?\d{5}$/,
+  LU: /^(L-)?\d{4}$/, LV: /^(LV-)?\d{4}$/, MD: /^(MD-?)?\d{4}$/, NL: /^\d{4} ?[A-Z]{2}$/, NO: /^\d{4}$/,
+  PL: /^\d{2}-\d{3}$/, PT: /^\d{4}-\d{3}$/, RO: /^\d{6}$/, RS: /^\d{5}$/, SE: /^\d{3} ?\d{2}$/,
+  SI: /^\d{4}$/, SK: /^\d{3} ?\d{2}$/, TR: /^\d{5}$/, UA: /^\d{5}$/, US: /^\d{5}(-\d{4})?$/
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*\.[^\s@.]{2,}$/;
+
+const BIC_PATTERN = /^([A-Z]{4})([A-Z]{2})([A-Z0-9]{2})([A-Z0-9]{3})?$/;
+
+const CURRENCY_CODES = new Set(Intl.supportedValuesOf('currency'));
+
+const regionNames = ['en', 'ro', 'de', 'fr'].map(locale => new Intl.DisplayNames([locale], { type: 'region' }));
+
+const isCountryCode = (code) => /^[A-Z]{2}$/.test(code) && regionNames[0].of(code) !== code && code !== 'ZZ';
+
+const normalizeName = (name) => name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+
+let countryNames = null;
+
+/**
+ * Resolve a country written as an ISO code or a name ("RO", "Romania", "România", "Germany")
+ * @returns {string|null} ISO 3166 alpha-2 code
+ */
+const resolveCountry = (value) => {
+  const text = String(value).trim();
+  if (isCountryCode(text.toUpperCase())) {
+    return text.toUpperCase();
+  }
+
+  // Country names in every supported language, built on first use
+  if (!countryNames) {
+    countryNames = new Map();
+    for (let first = 65; first <= 90; first++) {
+      for (let second = 65; second <= 90; second++) {
+        const code = String.fromCharCode(first, second);
+        if (isCountryCode(code)) {
+          regionNames.forEach(names => countryNames.set(normalizeName(names.of(code)), code));
+        }
+      }
+    }
+    countryNames.set('uk', 'GB');
+    countryNames.set('usa', 'US');
+  }
+
+  return countryNames.get(normalizeName(text)) || null;
+};
+
+/**
+ * ISO 7064 mod-97 check of an IBAN without spaces
+ */
+const hasValidIbanChecksum = (iban) => {
+  const digits = `${iban.slice(4)}${iban.slice(0, 4)}`.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+};
+
+/**
+ * Tell which rule applies to a column from its name and the field it is mapped to
+ */
+const detectRule = (column, field) => {
+  const tokens = new Set([...tokenize(column), ...tokenize(field || '')]);
+  if (tokens.has('iban')) return 'iban';
+  if (tokens.has('swift')) return 'swift';
+  if (tokens.has('currency')) return 'currency';
+  if (tokens.has('email')) return 'email';
+  if (tokens.has('postcode')) return 'postcode';
+  return null;
+};
+
+/**
+ * Find the country a postcode column belongs to
+ * "Bank Postal Code" prefers "Bank Country"; otherwise any country column of the row is used.
+ */
+const findPostcodeCountry = (column, row) => {
+  const qualifiers = tokenize(column).filter(token => token !== 'postcode').sort().join(' ');
+  const countryColumns = Object.keys(row).filter(key => tokenize(key).includes('country') && String(row[key] ?? '').trim() !== '');
+  const sameGroup = countryColumns.find(key => tokenize(key).filter(token => token !== 'country').sort().join(' ') === qualifiers);
+  const countryColumn = sameGroup || countryColumns[0];
+  return countryColumn ? resolveCountry(row[countryColumn]) : null;
+};
+
+const issue = (severity, message) => ({ severity, message });
+
+/**
+ * Check one value against a rule
+ * @returns {object|null} { severity, message } or null when the value is fine
+ */
+const checkValue = (rule, value, column, row) => {
+  switch (rule) {
+    case 'iban': {
+      const iban = value.replace(/[\s-]/g, '').toUpperCase();
+      if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(iban)) {
+        return issue('error', 'IBAN must start with a country code and two check digits');
+      }
+      const country = iban.slice(0, 2);
+      const length = IBAN_LENGTHS[country];
+      if (length && iban.length !== length) {
+        return issue('error', `IBAN for ${country} must have ${length} characters, not ${iban.length}`);
+      }
+      if (!hasValidIbanChecksum(iban)) {
+        return issue('error', 'IBAN check digits are wrong (mod-97 checksum failed)');
+      }
+      return length ? null : issue('warning', `IBAN country ${country} is not in the IBAN registry`);
+    }
+
+    case 'swift': {
+      const match = value.replace(/\s/g, '').toUpperCase().match(BIC_PATTERN);
+      if (!match) {
+        return issue('error', 'SWIFT/BIC must have 8 or 11 characters: bank code, country, location and optional branch');
+      }
+      return isCountryCode(match[2]) ? null : issue('warning', `SWIFT/BIC country ${match[2]} is not a known country code`);
+    }
+
+    case 'currency': {
+      const code = value.trim().toUpperCase();
+      if (!/^[A-Z]{3}$/.test(code)) {
+        return issue('error', 'Currency must be a three-letter ISO 4217 code, e.g. EUR');
+      }
+      return CURRENCY_CODES.has(code) ? null : issue('error', `${code} is not an ISO 4217 currency code`);
+    }
+
+    case 'email':
+      return EMAIL_PATTERN.test(value.trim()) ? null : issue('error', 'Email address is not valid');
+
+    case 'postcode': {
+      const country = findPostcodeCountry(column, row);
+      const pattern = POSTCODE_PATTERNS[country];
+      if (!country) {
+        return /\d/.test(value) ? null : issue('warning', 'Postcode has no digits and its country is not known');
+      }
+      return !pattern || pattern.test(value.trim().toUpperCase())
+        ? null
+        : issue('error', `Postcode does not match the format used in ${regionNames[0].of(country)}`);
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validate the values of one row as they would be filled in
+ * @param {object} row - Data row
+ * @param {object} options - { mappings: column mappings (as for convertRowToFieldData), fields: template fields from inspectFormFields,
+ *   booleanLocales: yes/no vocabularies for checkboxes and radio groups }
+ * @returns {array} [{ column, field, rule, severity: 'error' or 'warning', message }]; column is null for
+ *   required fields that no column is mapped to
+ */
+export const validateRow = (row, { mappings = null, fields = [], booleanLocales = null } = {}) => {
+  const columnMappings = mappings || generateFieldMappings(Object.keys(row));
+  const fieldData = convertRowToFieldData(row, columnMappings);
+  const issues = [];
+
+  for (const [column, { value, description }] of Object.entries(fieldData)) {
+    const rule = detectRule(column, description);
+    const result = rule && checkValue(rule, String(value), column, row);
+    if (result) {
+      issues.push({ column, field: description, rule, ...result });
+    }
+  }
+
+  // Checkbox and radio values that are neither yes/no nor an option are left unfilled
+  const choiceFields = fields.filter(field => field.type === 'checkbox' || field.type === 'radio');
+  if (choiceFields.length > 0) {
+    const locales = resolveBooleanLocales(booleanLocales);
+    const { resolved } = resolveFieldNames(fieldData, fields.map(field => field.name));
+    for (const [column, { fieldName, value }] of Object.entries(resolved)) {
+      const field = choiceFields.find(candidate => candidate.name === fieldName);
+      const message = field && checkChoiceValue(field, String(value), locales);
+      if (message) {
+        issues.push({ column, field: fieldName, rule: 'boolean', severity: 'warning', message: `${message}; it will not be filled` });
+      }
+    }
+  }
+
+  // Required template fields must receive a value from some column, matched the way the local engine fills them
+  const required = fields.filter(field => field.required && !field.readOnly);
+  if (required.length > 0) {
+    const fieldNames = fields.map(field => field.name);
+    const filledFields = new Set(Object.values(resolveFieldNames(fieldData, fieldNames).resolved).map(({ fieldName }) => fieldName));
+    // Columns that would fill a field if they had a value
+    const allColumns = convertRowToFieldData(Object.fromEntries(Object.keys(row).map(key => [key, '-'])), columnMappings);
+    const columnFields = Object.entries(resolveFieldNames(allColumns, fieldNames).resolved);
+
+    for (const field of required.filter(field => !filledFields.has(field.name))) {
+      const column = columnFields.find(([, { fieldName }]) => fieldName === field.name)?.[0] || null;
+      issues.push({
+        column,
+        field: field.name,
+        rule: 'required',
+        severity: 'error',
+        message: column ? `${field.name} is required but column "${column}" is empty` : `${field.name} is required but no column is mapped to it`
+      });
+    }
+  }
+
+  return issues;
+};
+
+/**
+ * Validate several rows
+ * @param {array} rows - Data rows
+ * @param {object} options - { mappings, fields, booleanLocales, rowIndexes } (all rows by default)
+ * @returns {object} { valid, errorCount, warningCount, results: [{ rowIndex, issues }] } for rows with issues
+ */
+export const validateRows = (rows, { mappings = null, fields = [], booleanLocales = null, rowIndexes = null } = {}) => {
+  const indexes = rowIndexes || rows.map((row, index) => index);
+  const results = indexes
+    .map(rowIndex => ({ rowIndex, issues: validateRow(rows[rowIndex], { mappings, fields, booleanLocales }) }))
+    .filter(result => result.issues.length > 0);
+
+  const allIssues = results.flatMap(result => result.issues);
+  const errorCount = allIssues.filter(entry => entry.severity === 'error').length;
+
+  return {
+    valid: errorCount === 0,
+    errorCount,
+    warningCount: allIssues.length - errorCount,
+    results
+  };
+};
+
+/**
+ * Create the error thrown when a row is filled despite validation errors
+ * Reported as 422, with the issues in `validation`
+ */
+export const createValidationError = (issues) => {
+  const errors = issues.filter(entry => entry.severity === 'error');
+  const message = `Validation failed: ${errors.map(entry => `${entry.column || entry.field}: ${entry.message}`).join('; ')}`;
+  return Object.assign(new Error(message), { status: 422, validation: issues });
+};
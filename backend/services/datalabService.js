@@ -2,7 +2,13 @@ import axios from 'axios';
 import FormData from 'form-data';
 import fs from 'fs-extra';
 
-const DATALAB_API_BASE = 'https://www.datalab.to/api/v1';
+const DEFAULT_DATALAB_API_BASE = 'https://www.datalab.to/api/v1';
+
+/**
+ * Datalab API base URL (override with DATALAB_API_BASE)
+ * Read lazily so values loaded by dotenv at startup are picked up
+ */
+export const getDatalabApiBase = () => process.env.DATALAB_API_BASE || DEFAULT_DATALAB_API_BASE;
 
 /**
  * Fill PDF form using Datalab API
@@ -33,7 +39,7 @@ export const fillPDFForm = async (pdfPath, fieldData, context = '', apiKey) => {
     
     // Make the API request
     const response = await axios.post(
-      `${DATALAB_API_BASE}/fill`,
+      `${getDatalabApiBase()}/fill`,
       formData,
       {
         headers: {
@@ -64,7 +70,7 @@ export const fillPDFForm = async (pdfPath, fieldData, context = '', apiKey) => {
 export const checkFillStatus = async (requestId, apiKey) => {
   try {
     const response = await axios.get(
-      `${DATALAB_API_BASE}/fill/${requestId}`,
+      `${getDatalabApiBase()}/fill/${requestId}`,
       {
         headers: {
           'X-API-Key': apiKey
@@ -95,56 +101,3 @@ export const downloadFilledPDF = async (fileUrl, outputPath) => {
     throw new Error(`Download error: ${error.message}`);
   }
 };
-
-/**
- * Poll for completion and download the filled PDF
- */
-export const pollAndDownloadPDF = async (requestId, outputPath, apiKey, maxAttempts = 90, intervalMs = 3000) => {
-  let attempts = 0;
-  
-  while (attempts < maxAttempts) {
-    const status = await checkFillStatus(requestId, apiKey);
-    
-    console.log(`Poll attempt ${attempts + 1}/${maxAttempts}, status: ${status.status}`);
-    
-    // Check for complete, completed or finished status
-    if (status.status === 'complete' || status.status === 'completed' || status.status === 'finished') {
-      console.log('Form filling completed successfully!');
-      
-      // Check for base64 output (most common)
-      if (status.output_base64 && status.output_base64 !== '') {
-        const base64Data = status.output_base64;
-        const buffer = Buffer.from(base64Data, 'base64');
-        await fs.writeFile(outputPath, buffer);
-        console.log(`PDF saved to: ${outputPath}`);
-        
-        return {
-          success: true,
-          filePath: outputPath,
-          fieldsFilledCount: (status.fields_filled && status.fields_filled.length) || 0
-        };
-      }
-      
-      // Check for URL-based output (alternative)
-      const outputUrl = status.output_url || status.output_file_url || status.file_url || status.download_url || status.url;
-      if (outputUrl) {
-        await downloadFilledPDF(outputUrl, outputPath);
-        return {
-          success: true,
-          filePath: outputPath,
-          fieldsFilledCount: status.fields_filled_count || status.fieldsFilledCount || 0
-        };
-      }
-      
-      throw new Error(`No output data in completed response. Available fields: ${Object.keys(status).join(', ')}`);
-    } else if (status.status === 'failed' || status.status === 'error') {
-      throw new Error(`Form filling failed: ${status.error || 'Unknown error'}`);
-    }
-    
-    // Wait before next poll
-    await new Promise(resolve => setTimeout(resolve, intervalMs));
-    attempts++;
-  }
-  
-  throw new Error('Timeout waiting for form filling to complete');
-};
@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import { readStore, updateStore } from './jsonStore.js';
+
+const STORE_NAME = 'extraction-templates';
+
+/**
+ * Value types a zone can expect
+ * - text:     the words inside the zone, joined line by line
+ * - number:   the first number in the zone
+ * - date:     the first date in the zone
+ * - checkbox: YES when the zone is ticked or filled in, NO when it is blank
+ */
+export const ZONE_TYPES = ['text', 'number', 'date', 'checkbox'];
+
+// Page sizes may differ by a few points between exports of the same form
+const PAGE_SIZE_TOLERANCE = 3;
+
+const normalizeText = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Validate and clean the zones of a template
+ * Zones are rectangles in PDF points from the top-left corner of a page (pages start at 1).
+ */
+const cleanZones = (zones) => {
+  if (!Array.isArray(zones) || zones.length === 0) {
+    throw Object.assign(new Error('At least one zone is required'), { status: 400 });
+  }
+
+  const names = new Set();
+  return zones.map(({ name, page, x, y, width, height, type = 'text' }) => {
+    const zone = { name: String(name || '').trim(), page: Number(page), x: Number(x), y: Number(y), width: Number(width), height: Number(height), type };
+
+    if (!zone.name) {
+      throw Object.assign(new Error('Every zone needs a name'), { status: 400 });
+    }
+    if (names.has(zone.name)) {
+      throw Object.assign(new Error(`Zone name "${zone.name}" is used twice`), { status: 400 });
+    }
+    if (!Number.isInteger(zone.page) || zone.page < 1 || ![zone.x, zone.y, zone.width, zone.height].every(Number.isFinite) || zone.width <= 0 || zone.height <= 0) {
+      throw Object.assign(new Error(`Zone "${zone.name}" needs a page and a rectangle`), { status: 400 });
+    }
+    if (!ZONE_TYPES.includes(zone.type)) {
+      throw Object.assign(new Error(`Zone type must be one of: ${ZONE_TYPES.join(', ')}`), { status: 400 });
+    }
+
+    names.add(zone.name);
+    return zone;
+  });
+};
+
+const cleanAnchors = (anchors = []) => anchors
+  .map(({ page = 1, text }) => ({ page: Number(page), text: String(text || '').trim() }))
+  .filter(anchor => anchor.text);
+
+/**
+ * List saved extraction templates, most recently updated first
+ */
+export const listExtractionTemplates = async () => {
+  const templates = await readStore(STORE_NAME, []);
+  return templates.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+/**
+ * Get a single extraction template by ID, or null if it does not exist
+ */
+export const getExtractionTemplate = async (templateId) => {
+  const templates = await readStore(STORE_NAME, []);
+  return templates.find(template => template.id === templateId) || null;
+};
+
+/**
+ * Save a new extraction template
+ * @param {object} template - { name, pageSizes: [{ width, height }], anchors: [{ page, text }], zones }
+ */
+export const createExtractionTemplate = async ({ name, pageSizes, anchors, zones }) => {
+  if (!name || !name.trim()) {
+    throw Object.assign(new Error('Template name is required'), { status: 400 });
+  }
+  if (!Array.isArray(pageSizes) || pageSizes.length === 0) {
+    throw Object.assign(new Error('Page sizes are required'), { status: 400 });
+  }
+
+  const cleanedZones = cleanZones(zones);
+  if (cleanedZones.some(zone => zone.page > pageSizes.length)) {
+    throw Object.assign(new Error(`Zones must be on pages 1-${pageSizes.length}`), { status: 400 });
+  }
+
+  const now = new Date().toISOString();
+  const template = {
+    id: crypto.randomUUID(),
+    name: name.trim(),
+    pageSizes: pageSizes.map(({ width, height }) => ({ width: Number(width), height: Number(height) })),
+    anchors: cleanAnchors(anchors),
+    zones: cleanedZones,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  return updateStore(STORE_NAME, [], (templates) => ({ data: [...templates, template], result: template }));
+};
+
+/**
+ * Update the name, anchors or zones of an extraction template
+ * Returns the updated template, or null if it does not exist
+ */
+export const updateExtractionTemplate = async (templateId, changes) => {
+  const updates = {};
+
+  if ('name' in changes) {
+    if (!changes.name || !changes.name.trim()) {
+      throw Object.assign(new Error('Template name is required'), { status: 400 });
+    }
+    updates.name = changes.name.trim();
+  }
+  if ('anchors' in changes) {
+    updates.anchors = cleanAnchors(changes.anchors);
+  }
+  if ('zones' in changes) {
+    updates.zones = cleanZones(changes.zones);
+  }
+
+  return updateStore(STORE_NAME, [], (templates) => {
+    const index = templates.findIndex(template => template.id === templateId);
+    if (index === -1) {
+      return { result: null };
+    }
+
+    templates[index] = { ...templates[index], ...updates, updatedAt: new Date().toISOString() };
+    return { data: templates, result: templates[index] };
+  });
+};
+
+/**
+ * Delete an extraction template
+ * Returns true if a template was removed
+ */
+export const deleteExtractionTemplate = async (templateId) => {
+  return updateStore(STORE_NAME, [], (templates) => {
+    const remaining = templates.filter(template => template.id !== templateId);
+    if (remaining.length === templates.length) {
+      return { result: false };
+    }
+    return { data: remaining, result: true };
+  });
+};
+
+/**
+ * Whether a document has the page sizes of a template
+ * Extra trailing pages (attachments) are allowed.
+ * @param {object} template - Extraction template
+ * @param {array} pages - [{ width, height }] of the document
+ */
+export const matchesPageSizes = (template, pages) => template.pageSizes.length <= pages.length &&
+  template.pageSizes.every((size, index) =>
+    Math.abs(size.width - pages[index].width) <= PAGE_SIZE_TOLERANCE &&
+    Math.abs(size.height - pages[index].height) <= PAGE_SIZE_TOLERANCE);
+
+/**
+ * Pick the template for a document from templates with matching page sizes
+ * Every anchor must appear on its page; the template with the most anchors wins,
+ * so a template without anchors only matches when no anchored template does.
+ * @param {array} templates - Candidate templates
+ * @param {array} pages - [{ page, text }] of the document
+ * @returns {object|null} The best matching template
+ */
+export const matchExtractionTemplate = (templates, pages) => {
+  const pageTexts = pages.map(page => normalizeText(page.text || ''));
+
+  return templates
+    .filter(template => template.anchors.every(anchor => pageTexts[anchor.page - 1]?.includes(normalizeText(anchor.text))))
+    .sort((a, b) => b.anchors.length - a.anchors.length)[0] || null;
+};
@@ -0,0 +1,268 @@
+/**
+ * Fuzzy matching of data columns to form fields
+ * Column names and field names/tooltips are split into tokens, abbreviations and
+ * synonyms are reduced to one canonical token, and the token sets are compared
+ * with a weighted Dice score. Near-identical tokens (typos, truncations) count too.
+ */
+
+// Below this score a column is left unmapped
+export const MIN_MATCH_SCORE = 0.4;
+
+// Ranked suggestions returned per column
+const MAX_SUGGESTIONS = 5;
+
+// Multi-word synonyms, replaced before the text is split into tokens
+const PHRASES = [
+  [/\b(?:postal|post|zip) code\b/g, 'postcode'],
+  [/\b(?:last|family) name\b/g, 'surname'],
+  [/\b(?:first|given|fore) name\b/g, 'firstname'],
+  [/\be mail\b/g, 'email'],
+  [/\bdate of birth\b/g, 'birthdate'],
+  [/\b(?:phone|telephone|mobile) number\b/g, 'phone'],
+  [/\bvat (?:id|number|no)\b/g, 'vat'],
+  [/\btax (?:id|number|no)\b/g, 'taxid']
+];
+
+// Abbreviations and synonyms, mapped to a canonical token
+const SYNONYMS = {
+  no: 'number', nr: 'number', num: 'number', nbr: 'number', numar: 'number',
+  zip: 'postcode', plz: 'postcode', postal: 'postcode', cp: 'postcode',
+  town: 'city', locality: 'city', oras: 'city', localitate: 'city',
+  str: 'street', st: 'street', strada: 'street', road: 'street',
+  addr: 'address', adresa: 'address',
+  lastname: 'surname', nume: 'surname',
+  forename: 'firstname', prenume: 'firstname',
+  organisation: 'company', organization: 'company', firm: 'company', business: 'company', co: 'company', employer: 'company',
+  bic: 'swift',
+  acct: 'account', acc: 'account', cont: 'account',
+  tel: 'phone', telephone: 'phone', mobile: 'phone', cell: 'phone', ph: 'phone',
+  mail: 'email',
+  tara: 'country', nation: 'country',
+  ccy: 'currency', cur: 'currency', moneda: 'currency',
+  banca: 'bank',
+  dob: 'birthdate',
+  qty: 'quantity',
+  amt: 'amount',
+  ref: 'reference',
+  desc: 'description'
+};
+
+const STOP_WORDS = new Set(['or', 'and', 'of', 'the', 'for', 'if', 'a', 'an', 'to', 'in', 'on', 'only', 'with', 'de', 'si', 'la']);
+
+// Tokens that appear in many field names and say little on their own
+const GENERIC_TOKENS = new Set(['name', 'number', 'code', 'address', 'details', 'data', 'info', 'field', 'text', 'value']);
+
+/**
+ * Split a column or field name into canonical tokens
+ * "bankPostCode", "BANK_POSTAL CODE" and "Bank zip" all become ['bank', 'postcode'].
+ */
+export const tokenize = (text) => {
+  let normalized = String(text)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+  for (const [pattern, replacement] of PHRASES) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+
+  const words = normalized.split(' ').filter(Boolean);
+  // "(YES/NO)" option hints are not the abbreviation "No."
+  const isOptionList = words.includes('yes') && words.includes('no');
+
+  return [...new Set(words
+    .filter(word => !STOP_WORDS.has(word) && !(isOptionList && (word === 'yes' || word === 'no')))
+    .map(word => SYNONYMS[word] || word))];
+};
+
+// Section words of a column and the field words they point to: the number
+// of "BANK ADDRESS Number" is a street number, not an account number
+const SECTION_TOKENS = {
+  address: ['street', 'postcode', 'city', 'country'],
+  contact: ['phone', 'email']
+};
+
+const tokenWeight = (token) => (GENERIC_TOKENS.has(token) ? 0.5 : 1);
+
+// Credit for a generic word at the end of a compound word ("name" in "firstname")
+const COMPOUND_SIMILARITY = 0.6;
+
+const isCompoundMatch = (a, b) => {
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  return GENERIC_TOKENS.has(short) && long.length > short.length && long.endsWith(short);
+};
+
+/**
+ * Edit distance between two short strings
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * How alike two tokens are: 1 when equal, partial credit for truncations and typos
+ */
+const tokenSimilarity = (a, b) => {
+  if (a === b) return 1;
+  if (Math.min(a.length, b.length) >= 3 && (a.startsWith(b) || b.startsWith(a))) return 0.8;
+  if (isCompoundMatch(a, b)) return COMPOUND_SIMILARITY;
+  if (Math.min(a.length, b.length) >= 5) {
+    const ratio = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+    return ratio >= 0.8 ? ratio * 0.9 : 0;
+  }
+  return 0;
+};
+
+/**
+ * Weighted Dice score of two token lists, between 0 and 1
+ * @returns {object} { score, distinctive } - distinctive when a non-generic token matched
+ */
+const compareTokens = (columnTokens, fieldTokens) => {
+  const total = [...columnTokens, ...fieldTokens].reduce((sum, token) => sum + tokenWeight(token), 0);
+  if (total === 0) return { score: 0, distinctive: false };
+
+  let matched = 0;
+  let distinctive = false;
+  const unused = [...fieldTokens];
+  for (const token of columnTokens) {
+    let best = { index: -1, similarity: 0 };
+    unused.forEach((candidate, index) => {
+      const similarity = tokenSimilarity(token, candidate);
+      if (similarity > best.similarity) best = { index, similarity };
+    });
+    if (best.index !== -1) {
+      matched += best.similarity * (tokenWeight(token) + tokenWeight(unused[best.index])) / 2;
+      distinctive = distinctive || ((!GENERIC_TOKENS.has(token) || !GENERIC_TOKENS.has(unused[best.index])) && !isCompoundMatch(token, unused[best.index]));
+      unused.splice(best.index, 1);
+    }
+  }
+
+  return { score: (2 * matched) / total, distinctive };
+};
+
+/**
+ * Best comparison of a column against a field's name and tooltip
+ */
+const compareField = (column, field) => {
+  const columnTokens = tokenize(column);
+  if (columnTokens.length === 0) return { score: 0, distinctive: false };
+
+  return [field.name, field.tooltip]
+    .filter(Boolean)
+    .map(text => compareTokens(columnTokens, tokenize(text)))
+    .reduce((best, result) => (result.score > best.score ? result : best), { score: 0, distinctive: false });
+};
+
+/**
+ * Whether a field has a word that the column's section words point to
+ */
+const sharesSection = (column, field) => {
+  const expected = tokenize(column).flatMap(token => SECTION_TOKENS[token] || []);
+  return expected.length > 0 && [field.name, field.tooltip]
+    .filter(Boolean)
+    .some(text => tokenize(text).some(token => expected.includes(token)));
+};
+
+/**
+ * Score a column against a form field by its name and tooltip
+ * @param {string} column - Column header
+ * @param {object} field - { name, tooltip }
+ * @returns {number} 0-1
+ */
+export const scoreFieldMatch = (column, field) => compareField(column, field).score;
+
+// Best score first; ties go to the section match, then to the earlier column and field
+const comparePairs = (a, b) => (
+  b.score - a.score
+  || Number(b.section) - Number(a.section)
+  || a.headerIndex - b.headerIndex
+  || a.fieldIndex - b.fieldIndex
+);
+
+/**
+ * Suggest a form field for every column
+ * Every column gets a ranked list of candidate fields with scores; the mapping
+ * assigns each field to at most one column, best scores first. A pair is only
+ * mapped when a non-generic word matched ("BANK NAME" is "Bank Name"); equal
+ * scores go to the field sharing the column's section (ADDRESS -> Street), then
+ * to the earlier column and field. A column of a single generic word ("NAME",
+ * "Number") then takes the one field still free that matches it well enough, and
+ * stays unmapped when several do.
+ * @param {array} headers - Column headers of the data
+ * @param {array} fields - [{ name, tooltip, type }] form fields (buttons and signatures are skipped)
+ * @returns {object} { mappings: { mapping_key: fieldName or header }, suggestions: { mapping_key: [{ field, score }] } }
+ */
+export const suggestFieldMappings = (headers, fields) => {
+  const candidates = fields.filter(field => field.type !== 'button' && field.type !== 'signature');
+  const toKey = (header) => header.toLowerCase().replace(/\s+/g, '_');
+
+  const scored = headers.map((header, headerIndex) => {
+    const pairs = candidates
+      .map((field, fieldIndex) => {
+        const { score, distinctive } = compareField(header, field);
+        return {
+          header,
+          headerIndex,
+          fieldIndex,
+          field: field.name,
+          score: Math.round(score * 100) / 100,
+          distinctive,
+          section: sharesSection(header, field)
+        };
+      })
+      .filter(pair => pair.score > 0)
+      .sort(comparePairs);
+
+    return {
+      header,
+      pairs,
+      ranked: pairs.map(({ field, score }) => ({ field, score }))
+    };
+  });
+
+  // Greedy one-to-one assignment over all column/field pairs
+  const assigned = new Map();
+  const usedFields = new Set();
+  scored
+    .flatMap(({ pairs }) => pairs)
+    .filter(pair => pair.score >= MIN_MATCH_SCORE && pair.distinctive)
+    .sort(comparePairs)
+    .forEach(pair => {
+      if (!assigned.has(pair.header) && !usedFields.has(pair.field)) {
+        assigned.set(pair.header, pair.field);
+        usedFields.add(pair.field);
+      }
+    });
+
+  // Single generic words: only an unambiguous match among the free fields
+  for (const { header, pairs } of scored) {
+    const tokens = tokenize(header);
+    if (assigned.has(header) || tokens.length !== 1 || !GENERIC_TOKENS.has(tokens[0])) continue;
+
+    const free = pairs.filter(pair => pair.score >= MIN_MATCH_SCORE && !usedFields.has(pair.field));
+    if (free.length === 1) {
+      assigned.set(header, free[0].field);
+      usedFields.add(free[0].field);
+    }
+  }
+
+  const mappings = {};
+  const suggestions = {};
+  for (const { header, ranked } of scored) {
+    mappings[toKey(header)] = assigned.get(header) || header;
+    suggestions[toKey(header)] = ranked.slice(0, MAX_SUGGESTIONS);
+  }
+
+  return { mappings, suggestions };
+};
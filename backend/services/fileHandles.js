@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { readStore, updateStore } from './jsonStore.js';
+
+const STORE_NAME = 'file-handles';
+const DEFAULT_TTL_HOURS = 24;
+
+/**
+ * How long a handle stays valid (FILE_HANDLE_TTL_HOURS, default 24)
+ */
+const getTtlMs = () => Number(process.env.FILE_HANDLE_TTL_HOURS || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+
+const isExpired = (handle, now = Date.now()) => Date.parse(handle.expiresAt) <= now;
+
+/**
+ * File handle IDs are 128-bit random hex strings
+ */
+export const isFileHandleId = (fileId) => /^[a-f0-9]{32}$/.test(fileId || '');
+
+/**
+ * Public view of a handle (never exposes the server path or the owner)
+ */
+export const toPublicHandle = (handle) => ({
+  fileId: handle.id,
+  kind: handle.kind,
+  originalName: handle.originalName,
+  mimeType: handle.mimeType,
+  size: handle.size,
+  expiresAt: handle.expiresAt
+});
+
+/**
+ * Register a file on disk and return an opaque handle for it
+ * @param {string} filePath - File written by the server (upload or fill output)
+ * @param {object} metadata
+ * @param {string} metadata.owner - Client ID allowed to use the handle
+ * @param {string} metadata.kind - What the file is, e.g. 'csv', 'data-pdf', 'filled', 'batch'
+ * @param {string} metadata.mimeType - MIME type served on download/preview
+ * @param {string} metadata.originalName - File name shown to the user
+ */
+export const registerFile = async (filePath, { owner, kind, mimeType, originalName }) => {
+  if (!owner) {
+    throw new Error('File handle owner is required');
+  }
+
+  const { size } = await fs.stat(filePath);
+  const now = Date.now();
+  const handle = {
+    id: crypto.randomBytes(16).toString('hex'),
+    path: filePath,
+    owner,
+    kind,
+    mimeType,
+    originalName: originalName || path.basename(filePath),
+    size,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + getTtlMs()).toISOString()
+  };
+
+  await updateStore(STORE_NAME, [], (handles) => ({ data: [...handles, handle] }));
+  return handle;
+};
+
+/**
+ * Resolve a handle ID to its file for the requesting client
+ * Missing, expired and foreign handles all report "File not found", so
+ * handle IDs of other clients cannot be probed.
+ * @param {string} fileId - Handle ID from the client
+ * @param {string} owner - Client ID of the request
+ * @param {array} kinds - Optional list of accepted kinds
+ * @returns {object} The handle, including its server path
+ */
+export const resolveFile = async (fileId, owner, kinds = null) => {
+  const handles = await readStore(STORE_NAME, []);
+  const handle = isFileHandleId(fileId) ? handles.find(entry => entry.id === fileId) : null;
+
+  if (!handle || !owner || handle.owner !== owner || isExpired(handle) || !(await fs.pathExists(handle.path))) {
+    throw Object.assign(new Error('File not found'), { status: 404 });
+  }
+
+  if (kinds && !kinds.includes(handle.kind)) {
+    throw Object.assign(new Error(`Expected a ${kinds.join(' or ')} file`), { status: 400 });
+  }
+
+  return handle;
+};
+
+/**
+ * Remove expired handles and their files
+ * @returns {number} Number of handles removed
+ */
+export const purgeExpiredFiles = async () => {
+  const expired = await updateStore(STORE_NAME, [], (handles) => {
+    const now = Date.now();
+    const stale = handles.filter(handle => isExpired(handle, now));
+    if (stale.length === 0) {
+      return { result: [] };
+    }
+    return { data: handles.filter(handle => !isExpired(handle, now)), result: stale };
+  });
+
+  await Promise.all(expired.map(handle => fs.remove(handle.path)));
+  if (expired.length > 0) {
+    console.log(`Removed ${expired.length} expired file(s)`);
+  }
+
+  return expired.length;
+};
@@ -0,0 +1,68 @@
+/**
+ * Normalize a provider's fields_filled array to { column, fieldName, value, confidence }
+ * Datalab entries are objects keyed by the field_data key; plain strings are
+ * treated as the name of the form field that was filled.
+ */
+export const normalizeFilledFields = (fieldsFilled) => {
+  if (!Array.isArray(fieldsFilled)) {
+    return [];
+  }
+
+  return fieldsFilled.map((entry) => {
+    if (typeof entry === 'string') {
+      return { column: null, fieldName: entry, value: null, confidence: null };
+    }
+
+    const confidence = Number(entry.confidence ?? entry.score);
+    return {
+      column: entry.key ?? entry.field_key ?? entry.column ?? null,
+      fieldName: entry.field_name ?? entry.name ?? entry.field ?? null,
+      value: entry.value ?? null,
+      confidence: Number.isFinite(confidence) ? confidence : null
+    };
+  });
+};
+
+/**
+ * Build the per-field report of a fill
+ * Every field_data entry ends up either in `fields` (placed in a form field)
+ * or in `unmatched` (not placed anywhere), so dropped values are visible.
+ * @param {object} fieldData - field_data sent to the engine
+ * @param {array} fieldsFilled - [{ column, fieldName, value, confidence }] from the engine
+ * @param {object} reasons - Why a column's value was not placed, where known (e.g. an unknown yes/no value)
+ */
+export const buildFillReport = (fieldData, fieldsFilled = [], reasons = {}) => {
+  const entries = Object.entries(fieldData);
+  const placed = new Set();
+  const fields = [];
+
+  for (const filled of fieldsFilled) {
+    // Providers that do not echo the key are matched back by value
+    const column = entries.some(([key]) => key === filled.column)
+      ? filled.column
+      : entries.find(([key, { value }]) => !placed.has(key) && filled.value !== null && String(value) === String(filled.value))?.[0];
+
+    if (column) {
+      placed.add(column);
+    }
+
+    fields.push({
+      column: column || null,
+      description: column ? fieldData[column].description : null,
+      fieldName: filled.fieldName,
+      value: filled.value ?? (column ? fieldData[column].value : null),
+      confidence: filled.confidence
+    });
+  }
+
+  const unmatched = entries
+    .filter(([column]) => !placed.has(column))
+    .map(([column, { value, description }]) => ({ column, description, value, reason: reasons[column] || null }));
+
+  return {
+    fields,
+    unmatched,
+    filledCount: fields.length,
+    unmatchedCount: unmatched.length
+  };
+};
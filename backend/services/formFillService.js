@@ -0,0 +1,108 @@
+import { fillPDFFormLocally, flattenPDFForm, getFormFieldNames, resolveFieldNames, normalizeChoiceValues } from './localFillService.js';
+import { getFillProvider, pollAndFetchResult } from './providers/index.js';
+import { buildFillReport } from './fillReport.js';
+import { resolveBooleanLocales } from './booleanValues.js';
+
+// 'provider' sends the form to the configured fill provider (Datalab or mock);
+// 'datalab' is accepted as an alias for backwards compatibility
+export const FILL_ENGINES = ['auto', 'local', 'provider', 'datalab'];
+
+/**
+ * Decide which engine should fill the form
+ * 'auto' uses the local pdf-lib engine when the template has AcroForm
+ * fields and every mapped column resolves to one of them; anything that
+ * needs AI matching goes to the configured provider.
+ */
+export const selectFillEngine = async (pdfPath, fieldData, engine = 'auto') => {
+  if (engine === 'local') {
+    return 'local';
+  }
+  if (engine === 'provider' || engine === 'datalab') {
+    return 'provider';
+  }
+
+  const fieldNames = await getFormFieldNames(pdfPath);
+  if (fieldNames.length === 0) {
+    return 'provider';
+  }
+
+  const { resolved, unresolved } = resolveFieldNames(fieldData, fieldNames);
+  if (Object.keys(resolved).length > 0 && unresolved.length === 0) {
+    return 'local';
+  }
+
+  return 'provider';
+};
+
+/**
+ * Fill the form with the local engine or the configured provider
+ */
+const fillWithSelectedEngine = async ({ pdfPath, fieldData, outputPath, context = '', engine = 'auto', booleanLocales, provider = getFillProvider(), onProgress = () => {} }) => {
+  if (!FILL_ENGINES.includes(engine)) {
+    throw new Error(`Unknown fill engine: ${engine}`);
+  }
+
+  const selectedEngine = await selectFillEngine(pdfPath, fieldData, engine);
+  console.log('Using fill engine:', selectedEngine === 'local' ? 'local' : provider.name);
+
+  if (selectedEngine === 'local') {
+    onProgress({ stage: 'filling', engine: 'local', message: 'Filling form locally' });
+    const result = await fillPDFFormLocally(pdfPath, fieldData, outputPath, { booleanLocales });
+    return { ...result, engine: 'local' };
+  }
+
+  onProgress({ stage: 'submitting', engine: provider.name, message: `Submitting form to ${provider.name}` });
+  const fillResult = await provider.submit(pdfPath, fieldData, context);
+  console.log('Form fill initiated:', fillResult);
+
+  const result = await pollAndFetchResult(provider, fillResult.requestId, outputPath, {
+    onStatus: ({ status, attempt, maxAttempts }) => {
+      onProgress({
+        stage: 'polling',
+        requestId: fillResult.requestId,
+        providerStatus: status,
+        attempt,
+        maxAttempts,
+        message: `${provider.name} status: ${status} (poll ${attempt}/${maxAttempts})`
+      });
+    }
+  });
+
+  return {
+    ...result,
+    engine: provider.name,
+    requestId: fillResult.requestId
+  };
+};
+
+/**
+ * Fill a PDF form with the requested engine
+ * @param {object} options
+ * @param {string} options.pdfPath - Path to the PDF form template
+ * @param {object} options.fieldData - field_data built by convertRowToFieldData
+ * @param {string} options.outputPath - Where to write the filled PDF
+ * @param {string} options.context - Optional context for AI matching
+ * @param {string} options.engine - 'auto', 'local' or 'provider'
+ * @param {boolean} options.flatten - Burn values into the pages and remove the interactive form
+ * @param {array} options.booleanLocales - Yes/no vocabularies for checkboxes and radio groups (default: all)
+ * @param {object} options.provider - Fill provider (defaults to the configured one)
+ * @param {function} options.onProgress - Optional callback receiving progress updates
+ * @returns {object} Engine result plus a per-field report (see buildFillReport)
+ */
+export const fillFormWithEngine = async ({ flatten = false, ...options }) => {
+  // Checkbox and radio values become export values; unknown yes/no values are reported, not guessed
+  const booleanLocales = resolveBooleanLocales(options.booleanLocales);
+  const { fieldData, reasons } = await normalizeChoiceValues(options.pdfPath, options.fieldData, booleanLocales);
+  const result = await fillWithSelectedEngine({ ...options, fieldData, booleanLocales });
+
+  if (flatten) {
+    options.onProgress?.({ stage: 'flattening', message: 'Flattening filled PDF' });
+    await flattenPDFForm(options.outputPath, options.outputPath);
+  }
+
+  return {
+    ...result,
+    report: buildFillReport({ ...options.fieldData, ...fieldData }, result.fieldsFilled, { ...reasons, ...result.reasons }),
+    flattened: flatten
+  };
+};
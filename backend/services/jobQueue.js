@@ -0,0 +1,111 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+export const JOB_STATES = ['queued', 'running', 'completed', 'failed'];
+
+// Finished jobs are kept around this long so clients can still fetch the result
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+/**
+ * Public view of a job (never exposes internals)
+ * A failed job's error is { message, status } plus the issues of a failed
+ * validation in `validation`, like the error response of the matching route.
+ */
+const toJobStatus = (job) => ({
+  id: job.id,
+  type: job.type,
+  state: job.state,
+  progress: job.progress,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt
+});
+
+/**
+ * Apply an update to a job and notify subscribers
+ */
+const updateJob = (job, changes) => {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  events.emit(job.id, toJobStatus(job));
+};
+
+/**
+ * Create a job and start running it in the background
+ * @param {string} type - Job type, e.g. 'fill' or 'batch'
+ * @param {function} runner - async (reportProgress) => result
+ * @param {string} owner - Client ID of the request; only this client can read the job
+ * @returns {object} Job status snapshot
+ */
+export const createJob = (type, runner, owner) => {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    owner,
+    state: 'queued',
+    progress: { message: 'Queued' },
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  jobs.set(job.id, job);
+
+  const reportProgress = (progress) => {
+    updateJob(job, { progress: { ...job.progress, ...progress } });
+  };
+
+  setImmediate(async () => {
+    updateJob(job, { state: 'running', progress: { message: 'Started' } });
+
+    try {
+      const result = await runner(reportProgress);
+      updateJob(job, { state: 'completed', result, progress: { ...job.progress, message: 'Completed' } });
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error.message);
+      updateJob(job, {
+        state: 'failed',
+        error: {
+          message: error.message,
+          status: error.status || 500,
+          ...(error.validation && { validation: error.validation })
+        },
+        progress: { ...job.progress, message: 'Failed' }
+      });
+    }
+
+    setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+  });
+
+  return toJobStatus(job);
+};
+
+/**
+ * Get the current status of a job for the requesting client
+ * Returns null for unknown jobs and for jobs of other clients alike, like resolveFile
+ * @param {string} jobId - Job ID from the client
+ * @param {string} owner - Client ID of the request
+ */
+export const getJob = (jobId, owner) => {
+  const job = jobs.get(jobId);
+  return job && owner && job.owner === owner ? toJobStatus(job) : null;
+};
+
+/**
+ * Check whether a job has reached a final state
+ */
+export const isJobFinished = (job) => job.state === 'completed' || job.state === 'failed';
+
+/**
+ * Subscribe to status updates for a job
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeToJob = (jobId, listener) => {
+  events.on(jobId, listener);
+  return () => events.off(jobId, listener);
+};
@@ -0,0 +1,140 @@
+import fs from 'fs-extra';
+
+export const JSON_MIME_TYPES = {
+  '.json': 'application/json',
+  '.jsonl': 'application/x-ndjson',
+  '.ndjson': 'application/x-ndjson'
+};
+
+export const JSON_EXTENSIONS = Object.keys(JSON_MIME_TYPES);
+
+/**
+ * How arrays inside a record become columns
+ * - join:  values at the same path are joined ("tags" -> "a, b"; "accounts.iban" -> "RO1, RO2")
+ * - index: every element gets its own column ("accounts.0.iban", "accounts.1.iban")
+ * - first: only the first element is used ("accounts.iban" -> "RO1")
+ * - json:  the array is kept as a JSON string in one column
+ */
+export const ARRAY_POLICIES = ['join', 'index', 'first', 'json'];
+
+const JOIN_SEPARATOR = ', ';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Convert a leaf value to the string used for form filling
+ */
+const leafToString = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * Flatten a nested record into { 'dotted.path': 'value' }
+ * @param {object} record - Parsed JSON object
+ * @param {string} arrayPolicy - One of ARRAY_POLICIES
+ */
+export const flattenRecord = (record, arrayPolicy = 'join') => {
+  const row = {};
+
+  const add = (key, value) => {
+    // Under the join policy several array elements write to the same path
+    row[key] = key in row && arrayPolicy === 'join'
+      ? [row[key], value].filter(Boolean).join(JOIN_SEPARATOR)
+      : value;
+  };
+
+  const visit = (value, prefix) => {
+    if (Array.isArray(value)) {
+      if (arrayPolicy === 'json') {
+        add(prefix, JSON.stringify(value));
+      } else if (arrayPolicy === 'index') {
+        value.forEach((item, index) => visit(item, `${prefix}.${index}`));
+      } else if (arrayPolicy === 'first') {
+        visit(value[0], prefix);
+      } else {
+        value.forEach(item => visit(item, prefix));
+      }
+    } else if (isPlainObject(value)) {
+      for (const [key, child] of Object.entries(value)) {
+        visit(child, prefix ? `${prefix}.${key}` : key);
+      }
+    } else {
+      add(prefix, leafToString(value));
+    }
+  };
+
+  visit(record, '');
+  return row;
+};
+
+/**
+ * Read records from JSON (array, single object, or object wrapping one
+ * array of records such as { "vendors": [...] }) or JSON Lines
+ */
+const readRecords = (content) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    // Not a single JSON document: treat it as JSON Lines
+    return content.split(/\r?\n/).flatMap((line, index) => {
+      if (!line.trim()) {
+        return [];
+      }
+      try {
+        return [JSON.parse(line)];
+      } catch (lineError) {
+        throw Object.assign(new Error(`Invalid JSON on line ${index + 1}: ${lineError.message}`), { status: 400 });
+      }
+    });
+  }
+
+  if (Array.isArray(parsed)) {
+    return parsed;
+  }
+
+  if (isPlainObject(parsed)) {
+    const recordLists = Object.values(parsed).filter(value => Array.isArray(value) && value.some(isPlainObject));
+    return recordLists.length === 1 ? recordLists[0] : [parsed];
+  }
+
+  throw Object.assign(new Error('JSON data must be an object, an array of objects, or JSON Lines'), { status: 400 });
+};
+
+/**
+ * Parse a JSON or JSON Lines file into one row per record
+ * Nested keys are flattened to dotted headers like "bank.address.city";
+ * the headers are the union of all record keys in first-seen order.
+ * @param {string} filePath - Path to the .json/.jsonl file
+ * @param {object} options - { arrayPolicy } one of ARRAY_POLICIES (default 'join')
+ * @returns {object} { headers, rows, rowCount, arrayPolicy }
+ */
+export const parseJSONData = async (filePath, { arrayPolicy = 'join' } = {}) => {
+  if (!ARRAY_POLICIES.includes(arrayPolicy)) {
+    throw Object.assign(new Error(`Array policy must be one of: ${ARRAY_POLICIES.join(', ')}`), { status: 400 });
+  }
+
+  let content;
+  try {
+    content = (await fs.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+  } catch (error) {
+    throw new Error(`Failed to read JSON file: ${error.message}`);
+  }
+
+  const records = readRecords(content);
+  const invalidIndex = records.findIndex(record => !isPlainObject(record));
+  if (invalidIndex !== -1) {
+    throw Object.assign(new Error(`Record ${invalidIndex + 1} is not a JSON object`), { status: 400 });
+  }
+
+  const flattened = records.map(record => flattenRecord(record, arrayPolicy));
+  const headers = [...new Set(flattened.flatMap(row => Object.keys(row)))];
+  const rows = flattened.map(row => Object.fromEntries(headers.map(header => [header, row[header] ?? ''])));
+
+  console.log(`Parsed JSON data: ${rows.length} records, ${headers.length} columns`);
+
+  return {
+    headers,
+    rows,
+    rowCount: rows.length,
+    arrayPolicy
+  };
+};
@@ -0,0 +1,63 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+const DATA_DIR = './data';
+
+/**
+ * Read a JSON store from the data directory
+ * @param {string} name - Store name (file name without extension)
+ * @param {*} fallback - Value returned when the store does not exist yet
+ */
+export const readStore = async (name, fallback) => {
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+
+  if (!(await fs.pathExists(filePath))) {
+    return fallback;
+  }
+
+  try {
+    return await fs.readJson(filePath);
+  } catch (error) {
+    throw new Error(`Failed to read ${name} store: ${error.message}`);
+  }
+};
+
+/**
+ * Write a JSON store to the data directory
+ * Writes to a temporary file first so a crash never leaves a half-written store
+ */
+export const writeStore = async (name, data) => {
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  const tempPath = `${filePath}.tmp`;
+
+  await fs.ensureDir(DATA_DIR);
+  await fs.writeJson(tempPath, data, { spaces: 2 });
+  await fs.move(tempPath, filePath, { overwrite: true });
+
+  return data;
+};
+
+// Pending updates per store, so concurrent read-modify-write cycles do not overwrite each other
+const updateQueues = new Map();
+
+/**
+ * Read, modify and write a store as one serialized step
+ * @param {string} name - Store name
+ * @param {*} fallback - Initial value when the store does not exist yet
+ * @param {function} updater - async (data) => { data, result }; data is written back, result is returned
+ */
+export const updateStore = (name, fallback, updater) => {
+  const previous = updateQueues.get(name) || Promise.resolve();
+
+  const next = previous.catch(() => {}).then(async () => {
+    const current = await readStore(name, fallback);
+    const { data, result } = await updater(current);
+    if (data !== undefined) {
+      await writeStore(name, data);
+    }
+    return result;
+  });
+
+  updateQueues.set(name, next);
+  return next;
+};
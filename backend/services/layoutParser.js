@@ -0,0 +1,370 @@
+/**
+ * Layout-aware label/value pairing for flat (non-fillable) PDFs
+ *
+ * Works on positioned text runs in pdf2json page units (1 unit = 16pt, origin
+ * top-left). Runs are grouped into lines, lines into cells, and every value is
+ * paired with the label on its left or above it. Each pair gets a confidence
+ * depending on how it was found:
+ * - "Label: value" in one cell                      0.95
+ * - "Label:" followed by a cell on the same line     0.9
+ * - label followed by a value written in a form box  0.85
+ * - "Label:" with its value on the line below        0.75
+ * - table header cell with the cell under it         0.7
+ * - two-cell line without a colon                    0.6
+ */
+
+const UNITS_PER_POINT = 1 / 16;
+
+// Average glyph width as a share of the reported font size. pdf2json's run
+// widths are unreliable and its font sizes come out about 1.4x too large.
+const CHAR_WIDTH = 0.35;
+
+// Runs whose top edges are this close (in units) belong to the same line
+const LINE_TOLERANCE = 0.35;
+
+// How far below a label (in units) its value may start
+const MAX_VALUE_DISTANCE = 2;
+
+const MAX_LABEL_LENGTH = 60;
+
+export const PAIR_CONFIDENCE = {
+  inline: 0.95,
+  colon: 0.9,
+  box: 0.85,
+  below: 0.75,
+  table: 0.7,
+  adjacent: 0.6
+};
+
+// Dotted/underscored leaders that blank forms use as write-in lines
+const LEADER_PATTERN = /(?:[._…]\s*){3,}|…+/;
+const INLINE_PAIR_PATTERN = /^([^:]+?)\s*:\s*(.+)$/;
+
+// Checkbox captions are never labels on their own
+const OPTION_PATTERN = /^(?:(?:yes|no|y|n|x|da|nu)\s*)+$/i;
+
+const charWidth = (size) => size * CHAR_WIDTH * UNITS_PER_POINT;
+const estimateEnd = (item) => item.x + item.text.length * charWidth(item.size);
+
+const cleanText = (text) => text.replace(/\s+/g, ' ').trim();
+
+const isLabelText = (text) => text.length > 0
+  && text.length <= MAX_LABEL_LENGTH
+  && /\p{L}/u.test(text)
+  && !/^[(\[]/.test(text)
+  && !OPTION_PATTERN.test(text);
+
+const isColonLabel = (cell) => !cell.blank && cell.text.endsWith(':') && isLabelText(cell.text.slice(0, -1).trim());
+const isHint = (cell) => /^\(.*\)$/.test(cell.text);
+const isFormLabel = (text) => isLabelText(text) && /^\p{Lu}/u.test(text) && text.split(' ').length <= 6;
+const isHeading = (text) => /\p{Lu}/u.test(text) && !/\p{Ll}/u.test(text) && isLabelText(text);
+
+/**
+ * How far (in units) a run sits above a box's underline, or 0 inside a filled box
+ * Thin fills are underlines and hold the text just above them.
+ */
+const distanceAbove = (item, box) => {
+  if (box.height < 0.3) {
+    return box.y - item.y;
+  }
+  return item.y >= box.y - 0.3 && item.y <= box.y + box.height ? 0 : -1;
+};
+
+// Labels print a little higher in the row than values written into the box
+const inBoxRow = (item, box) => distanceAbove(item, box) >= 0 && distanceAbove(item, box) < 1.6;
+
+/**
+ * Find the box a run is written in (the closest one under it)
+ */
+const findBox = (item, boxes) => {
+  let found = -1;
+  boxes.forEach((box, index) => {
+    const above = distanceAbove(item, box);
+    const inside = item.x >= box.x - 0.5 && item.x < box.x + box.width && above >= 0 && above <= 1.05;
+    if (inside && (found === -1 || above < distanceAbove(item, boxes[found]))) {
+      found = index;
+    }
+  });
+  return found;
+};
+
+/**
+ * Group the runs of a page into lines sorted top to bottom, left to right
+ */
+const groupLines = (items) => {
+  const lines = [];
+  const sorted = [...items].sort((a, b) => a.y - b.y || a.x - b.x);
+
+  for (const item of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(item.y - line.y) <= LINE_TOLERANCE) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, items: [item] });
+    }
+  }
+
+  lines.forEach(line => line.items.sort((a, b) => a.x - b.x));
+  return lines;
+};
+
+/**
+ * Merge the runs of a line into cells
+ * A new cell starts at a gap wider than a character or where a run enters a box.
+ * Whitespace runs show where the text before them really ends, and a run that
+ * starts inside the cell at another height (a neighbouring line) starts a new one.
+ */
+const buildCells = (line, boxes) => {
+  const cells = [];
+  let current = null;
+
+  for (const item of line.items) {
+    const box = findBox(item, boxes);
+    const gap = current ? item.x - current.end : 0;
+
+    if (current && !item.text.trim()) {
+      current.raw += item.text;
+      current.end = Math.min(current.end, item.x) + item.text.length * charWidth(item.size);
+    } else if (current && gap <= charWidth(item.size) && box === current.box && (gap >= 0 || item.y === current.y)) {
+      const joint = gap > charWidth(item.size) * 0.6 && !/\s$/.test(current.raw) ? ' ' : '';
+      current.raw += joint + item.text;
+      current.end = Math.max(current.end, estimateEnd(item));
+    } else if (item.text.trim()) {
+      current = { raw: item.text, x: item.x, y: item.y, end: estimateEnd(item), box };
+      cells.push(current);
+    }
+  }
+
+  // Leaders end a cell: the text before one is a label whose write-in is left empty
+  const parts = cells.flatMap(cell => cell.raw.split(LEADER_PATTERN).map((raw, index, all) => ({
+    ...cell,
+    text: cleanText(raw),
+    blank: index < all.length - 1
+  })));
+
+  return parts.reduce((merged, part) => {
+    const previous = merged[merged.length - 1];
+
+    // ": ......" belongs to the label before it
+    if (previous && !previous.boxed && /^:?$/.test(part.text) && (part.text || part.blank)) {
+      previous.text = previous.text.replace(/\s*:?$/, ':');
+      previous.blank = previous.blank || part.blank;
+      return merged;
+    }
+
+    const cell = { text: part.text, x: part.x, y: part.y, end: part.end, box: part.box, boxed: part.box !== -1, blank: part.blank };
+    if (cell.text && !isHint(cell)) merged.push(cell);
+    return merged;
+  }, []);
+};
+
+/**
+ * Find table header lines (three or more label cells) and the rows aligned under them
+ * @returns {array} [{ header, rows }] with header/rows as line indexes
+ */
+const findTables = (lines) => {
+  const tables = [];
+
+  for (let index = 0; index < lines.length - 1; index++) {
+    const header = lines[index].cells;
+    if (header.length < 3 || !header.every(cell => isLabelText(cell.text) && !cell.text.includes(':') && !cell.boxed)) {
+      continue;
+    }
+
+    const rows = [];
+    for (let next = index + 1; next < lines.length; next++) {
+      const cells = lines[next].cells;
+      const aligned = cells.length === header.length
+        && cells.every((cell, column) => Math.abs(cell.x - header[column].x) <= 1);
+      if (!aligned) break;
+      rows.push(next);
+    }
+
+    if (rows.length > 0) {
+      tables.push({ header: index, rows });
+      index = rows[rows.length - 1];
+    }
+  }
+
+  return tables;
+};
+
+/**
+ * Find the label of every form box and the value written in it
+ * A box's label is the nearest cell left of the box in the same row, even when
+ * the value's baseline does not line up with the label. Labels of empty boxes
+ * are kept too so they are never taken as another label's value.
+ * @returns {Map} label cell -> value cell, or null for an empty box
+ */
+const findBoxLabels = (lines, boxes) => {
+  const cells = lines.flatMap(line => line.cells);
+  const labels = new Map();
+
+  boxes.forEach((box, index) => {
+    const label = cells
+      .filter(cell => !cell.boxed && cell.x < box.x && inBoxRow(cell, box) && isFormLabel(cell.text.replace(/:$/, '')))
+      .sort((a, b) => b.x - a.x)[0];
+    if (!label) return;
+
+    const value = cells.find(cell => cell.box === index) || null;
+    if (!labels.get(label)) {
+      labels.set(label, value);
+    }
+  });
+
+  return labels;
+};
+
+/**
+ * Convert OCR pages (recognizePDF, positions in points) to positioned runs
+ * The words of an OCR line are joined into runs, and a gap wider than two
+ * characters starts a new run, like the gaps between cells of a text layer.
+ * Runs sit at their line's top edge and get the font size that makes the
+ * estimated glyph width (see CHAR_WIDTH) match the line's real one.
+ * @param {array} ocrPages - [{ page, blocks: [{ lines: [{ bbox, words: [{ text, bbox }] }] }] }]
+ * @returns {array} Pages for pairLabelsAndValues
+ */
+export const toLayoutPages = (ocrPages) => ocrPages.map(({ page, blocks }) => ({
+  page,
+  items: blocks.flatMap(block => block.lines).flatMap(line => {
+    const words = (line.words || []).filter(word => word.text.trim());
+    const characters = words.reduce((total, word) => total + word.text.trim().length, 0);
+    if (characters === 0) return [];
+
+    const glyphWidth = words.reduce((total, word) => total + word.bbox.width, 0) / characters;
+    const size = glyphWidth / CHAR_WIDTH;
+    const runs = [];
+    let end = -Infinity;
+
+    for (const word of words) {
+      const text = word.text.trim();
+      if (word.bbox.x - end > 2 * glyphWidth) {
+        runs.push({ text, x: word.bbox.x * UNITS_PER_POINT, y: line.bbox.y * UNITS_PER_POINT, size });
+      } else {
+        runs[runs.length - 1].text += ` ${text}`;
+      }
+      end = word.bbox.x + word.bbox.width;
+    }
+
+    return runs;
+  }),
+  boxes: []
+}));
+
+/**
+ * Pair labels with values on positioned text
+ * @param {array} pages - [{ page, items: [{ text, x, y, size }], boxes: [{ x, y, width, height }] }]
+ *   in pdf2json units; size is the font size in points
+ * @returns {object} { fields: { label: value }, pairs: [{ label, value, confidence, page }], confidence }
+ */
+export const pairLabelsAndValues = (pages) => {
+  const fields = {};
+  const pairs = [];
+  let section = null;
+
+  const addPair = (label, value, confidence, page) => {
+    const name = label.replace(/\s*:$/, '').trim();
+    let key = name;
+    if (key in fields && section && !(`${section} ${name}` in fields)) {
+      key = `${section} ${name}`;
+    }
+    for (let count = 2; key in fields; count++) {
+      key = `${name} ${count}`;
+    }
+    fields[key] = value;
+    pairs.push({ label: key, value, confidence, page });
+  };
+
+  for (const { page, items, boxes = [] } of pages) {
+    const lines = groupLines(items.filter(item => item.text))
+      .map(line => ({ ...line, cells: buildCells(line, boxes) }))
+      .filter(line => line.cells.length > 0);
+
+    const boxLabels = findBoxLabels(lines, boxes);
+    const used = new Set([...boxLabels.values()].filter(Boolean));
+    const tableRows = new Map();
+    for (const table of findTables(lines)) {
+      table.rows.forEach((row, rowIndex) => tableRows.set(row, { header: lines[table.header].cells, rowIndex }));
+      lines[table.header].cells.forEach(cell => used.add(cell));
+    }
+
+    lines.forEach((line, lineIndex) => {
+      const { cells } = line;
+      const table = tableRows.get(lineIndex);
+
+      if (table) {
+        cells.forEach((cell, column) => {
+          const header = table.header[column].text;
+          addPair(table.rowIndex === 0 ? header : `${header} ${table.rowIndex + 1}`, cell.text, PAIR_CONFIDENCE.table, page);
+          used.add(cell);
+        });
+        return;
+      }
+
+      // Form boxes: free cells before the first label ("BANK ADDRESS  Street  [value]") name a section
+      const firstLabel = cells.findIndex(cell => boxLabels.has(cell));
+      if (firstLabel !== -1) {
+        const leftovers = cells.slice(0, firstLabel).filter(cell => !used.has(cell));
+        if (leftovers.length > 0) {
+          section = leftovers.map(cell => cell.text.replace(/\s*:$/, '')).join(' ');
+        }
+
+        cells.filter(cell => boxLabels.get(cell)).forEach(label => {
+          addPair(label.text, boxLabels.get(label).text, PAIR_CONFIDENCE.box, page);
+        });
+        cells.forEach(cell => used.add(cell));
+        return;
+      }
+
+      cells.forEach((cell, index) => {
+        if (used.has(cell)) return;
+
+        const inline = !isColonLabel(cell) && cell.text.match(INLINE_PAIR_PATTERN);
+        if (inline && isLabelText(inline[1]) && !inline[2].startsWith('//') && !inline[2].endsWith(':')) {
+          addPair(inline[1], inline[2], PAIR_CONFIDENCE.inline, page);
+          used.add(cell);
+          return;
+        }
+
+        const next = cells[index + 1];
+        if (isColonLabel(cell) && next && !used.has(next) && !next.blank && !next.text.includes(':')) {
+          addPair(cell.text, next.text, PAIR_CONFIDENCE.colon, page);
+          used.add(cell);
+          used.add(next);
+        }
+      });
+
+      const free = cells.filter(cell => !used.has(cell));
+      if (cells.length === 2 && free.length === 2 && !free.some(cell => cell.blank || cell.text.includes(':'))
+        && isFormLabel(free[0].text)
+        && !OPTION_PATTERN.test(free[1].text)) {
+        addPair(free[0].text, free[1].text, PAIR_CONFIDENCE.adjacent, page);
+        free.forEach(cell => used.add(cell));
+      } else if (cells.length === 1 && free.length === 1 && isHeading(free[0].text)) {
+        section = free[0].text.replace(/\s*:$/, '');
+      }
+
+      // "Label:" with nothing after it takes the overlapping cell on the next line
+      const below = lines[lineIndex + 1];
+      const trailing = cells[cells.length - 1];
+      const belowIsValue = below && !tableRows.has(lineIndex + 1)
+        && !below.cells.some(cell => cell.blank || cell.text.endsWith(':'));
+      if (belowIsValue && !used.has(trailing) && isColonLabel(trailing) && below.y - line.y <= MAX_VALUE_DISTANCE) {
+        const value = below.cells.find(cell => !used.has(cell) && !cell.boxed
+          && cell.x < trailing.end + 3 && cell.end > trailing.x - 0.5
+          && !cell.text.includes(':'));
+        if (value) {
+          addPair(trailing.text, value.text, PAIR_CONFIDENCE.below, page);
+          used.add(trailing);
+          used.add(value);
+        }
+      }
+    });
+  }
+
+  const confidence = pairs.length > 0
+    ? pairs.reduce((total, pair) => total + pair.confidence, 0) / pairs.length
+    : 0;
+
+  return { fields, pairs, confidence };
+};
@@ -0,0 +1,271 @@
+import fs from 'fs-extra';
+import { PDFDocument, PDFTextField, PDFCheckBox, PDFRadioGroup, PDFDropdown, PDFOptionList, PDFName } from 'pdf-lib';
+import { parseBoolean, resolveRadioValue, getDefaultBooleanLocales } from './booleanValues.js';
+
+// Value of a checkbox or radio group that is not selected
+const OFF_VALUE = 'Off';
+
+/**
+ * Normalize a field name or mapping target for loose comparison
+ */
+const normalizeName = (name) => name.toString().toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+/**
+ * Read the names of all AcroForm fields in a PDF template
+ * Returns an empty array for flat (non-fillable) PDFs
+ */
+export const getFormFieldNames = async (pdfPath) => {
+  try {
+    const pdfBytes = await fs.readFile(pdfPath);
+    const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+    return pdfDoc.getForm().getFields().map(field => field.getName());
+  } catch (error) {
+    console.log('Could not read form fields:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Resolve field_data entries to real form field names
+ * An entry resolves when its description (the mapping target) or its
+ * source column matches a field name exactly or after normalization.
+ */
+export const resolveFieldNames = (fieldData, fieldNames) => {
+  const byNormalizedName = new Map(fieldNames.map(name => [normalizeName(name), name]));
+  const resolved = {};
+  const unresolved = [];
+
+  for (const [column, { value, description }] of Object.entries(fieldData)) {
+    const candidates = [description, column].filter(Boolean);
+    const fieldName = candidates.find(candidate => fieldNames.includes(candidate))
+      || candidates.map(candidate => byNormalizedName.get(normalizeName(candidate))).find(Boolean);
+
+    if (fieldName) {
+      resolved[column] = { fieldName, value };
+    } else {
+      unresolved.push(column);
+    }
+  }
+
+  return { resolved, unresolved };
+};
+
+/**
+ * Pick the option of a radio group or dropdown that matches a value
+ */
+const matchOption = (options, value) => {
+  const normalizedValue = normalizeName(value);
+  return options.find(option => option === value)
+    || options.find(option => normalizeName(option) === normalizedValue);
+};
+
+/**
+ * Export value of a checkbox when it is ticked (usually "Yes")
+ */
+const getCheckBoxOnValue = (field) => field.acroField.getOnValue()?.decodeText() || 'Yes';
+
+/**
+ * Read the on/off state of a checkbox from a yes/no value or its export values
+ * @returns {boolean|null} null when the value is neither
+ */
+const readCheckBoxState = (field, value, locales) => {
+  if (value === getCheckBoxOnValue(field)) return true;
+  if (value === OFF_VALUE) return false;
+  return parseBoolean(value, locales);
+};
+
+/**
+ * Set a single form field from a string value
+ * Checkboxes and radio groups take yes/no values in the enabled boolean locales.
+ * Returns null if the value was placed in the field, otherwise the reason it was not
+ */
+const setFieldValue = (field, value, locales) => {
+  if (field instanceof PDFTextField) {
+    const maxLength = field.getMaxLength();
+    field.setText(maxLength !== undefined ? value.slice(0, maxLength) : value);
+    return null;
+  }
+
+  if (field instanceof PDFCheckBox) {
+    const state = readCheckBoxState(field, value, locales);
+    if (state === null) {
+      return `"${value}" is not a yes/no value for checkbox ${field.getName()}`;
+    }
+    if (state) {
+      field.check();
+    } else {
+      field.uncheck();
+    }
+    return null;
+  }
+
+  if (field instanceof PDFRadioGroup) {
+    if (value === OFF_VALUE) {
+      field.clear();
+      return null;
+    }
+    const named = matchOption(field.getOptions(), value);
+    const { option, clear, reason } = named ? { option: named } : resolveRadioValue(field.getOptions(), value, locales);
+    if (reason) {
+      return reason;
+    }
+    if (clear) {
+      field.clear();
+    } else {
+      field.select(option);
+    }
+    return null;
+  }
+
+  if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+    const option = matchOption(field.getOptions(), value);
+    if (option) {
+      field.select(option);
+      return null;
+    }
+    if (field instanceof PDFDropdown && field.isEditable()) {
+      field.select(value);
+      return null;
+    }
+    return `"${value}" is not one of the options of ${field.getName()}`;
+  }
+
+  return `${field.getName()} cannot be filled`;
+};
+
+/**
+ * Turn the yes/no values of checkbox and radio group entries into export values
+ * Checkboxes get their on value (e.g. "Yes") or "Off", radio groups the export value
+ * of the matching option, so every fill engine receives the state the form expects.
+ * Values that are not yes/no (or an option) are left out and given a reason.
+ * @param {string} pdfPath - Path to the PDF form template
+ * @param {object} fieldData - field_data built by convertRowToFieldData
+ * @param {array} locales - Enabled boolean vocabularies
+ * @returns {object} { fieldData, reasons: { column: why the value was left out } }
+ */
+export const normalizeChoiceValues = async (pdfPath, fieldData, locales = getDefaultBooleanLocales()) => {
+  let form;
+  try {
+    const pdfDoc = await PDFDocument.load(await fs.readFile(pdfPath), { ignoreEncryption: true });
+    form = pdfDoc.getForm();
+  } catch (error) {
+    console.log('Could not read form fields:', error.message);
+    return { fieldData, reasons: {} };
+  }
+
+  const { resolved } = resolveFieldNames(fieldData, form.getFields().map(field => field.getName()));
+  const normalized = { ...fieldData };
+  const reasons = {};
+
+  for (const [column, { fieldName, value }] of Object.entries(resolved)) {
+    const field = form.getField(fieldName);
+    let exportValue = null;
+    let reason = null;
+
+    if (field instanceof PDFCheckBox) {
+      const state = readCheckBoxState(field, String(value), locales);
+      if (state === null) {
+        reason = `"${value}" is not a yes/no value for checkbox ${fieldName}`;
+      } else {
+        exportValue = state ? getCheckBoxOnValue(field) : OFF_VALUE;
+      }
+    } else if (field instanceof PDFRadioGroup) {
+      const named = matchOption(field.getOptions(), String(value));
+      const result = named ? { option: named } : resolveRadioValue(field.getOptions(), String(value), locales);
+      reason = result.reason || null;
+      exportValue = result.clear ? OFF_VALUE : result.option ?? null;
+    } else {
+      continue;
+    }
+
+    if (reason) {
+      console.log(`Unknown yes/no value for ${fieldName}: ${reason}`);
+      delete normalized[column];
+      reasons[column] = reason;
+    } else {
+      normalized[column] = { ...fieldData[column], value: exportValue };
+    }
+  }
+
+  return { fieldData: normalized, reasons };
+};
+
+/**
+ * Fill an AcroForm PDF locally with pdf-lib
+ * Handles text fields, checkboxes, radio groups and dropdowns
+ * @param {string} pdfPath - Path to the PDF form template
+ * @param {object} fieldData - field_data in the same format sent to Datalab
+ * @param {string} outputPath - Where to write the filled PDF
+ * @param {object} options - { booleanLocales } yes/no vocabularies for checkboxes and radio groups
+ */
+export const fillPDFFormLocally = async (pdfPath, fieldData, outputPath, { booleanLocales = getDefaultBooleanLocales() } = {}) => {
+  try {
+    const pdfBytes = await fs.readFile(pdfPath);
+    const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+    const form = pdfDoc.getForm();
+    const fieldNames = form.getFields().map(field => field.getName());
+
+    const { resolved, unresolved } = resolveFieldNames(fieldData, fieldNames);
+    const fieldsFilled = [];
+    const unmatched = [...unresolved];
+    const reasons = {};
+
+    for (const [column, { fieldName, value }] of Object.entries(resolved)) {
+      const field = form.getField(fieldName);
+      const reason = setFieldValue(field, value.toString(), booleanLocales);
+      if (!reason) {
+        // Local matches resolve to a real field name, so there is no guesswork
+        fieldsFilled.push({ column, fieldName, value, confidence: 1 });
+      } else {
+        console.log(`Value not placed in ${fieldName}: ${reason}`);
+        unmatched.push(column);
+        reasons[column] = reason;
+      }
+    }
+
+    form.updateFieldAppearances();
+    const filledBytes = await pdfDoc.save();
+    await fs.writeFile(outputPath, filledBytes);
+
+    console.log(`Filled ${fieldsFilled.length} fields locally. PDF saved to: ${outputPath}`);
+
+    return {
+      success: true,
+      filePath: outputPath,
+      fieldsFilledCount: fieldsFilled.length,
+      fieldsFilled,
+      unmatched,
+      reasons
+    };
+  } catch (error) {
+    console.error('Local form filling failed:', error.message);
+    throw new Error(`Local fill error: ${error.message}`);
+  }
+};
+
+/**
+ * Flatten a filled PDF: burn field values into the page content and
+ * remove the interactive form so recipients cannot edit the values
+ * @param {string} inputPath - Filled PDF
+ * @param {string} outputPath - Where to write the flattened PDF (may equal inputPath)
+ */
+export const flattenPDFForm = async (inputPath, outputPath) => {
+  try {
+    const pdfBytes = await fs.readFile(inputPath);
+    const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+    const form = pdfDoc.getForm();
+    const fieldCount = form.getFields().length;
+
+    // Regenerates appearances first, so values set without one are not lost
+    form.flatten();
+    pdfDoc.catalog.delete(PDFName.of('AcroForm'));
+
+    await fs.writeFile(outputPath, await pdfDoc.save());
+    console.log(`Flattened ${fieldCount} fields. PDF saved to: ${outputPath}`);
+
+    return { success: true, filePath: outputPath, fieldsFlattenedCount: fieldCount };
+  } catch (error) {
+    console.error('PDF flattening failed:', error.message);
+    throw new Error(`Flatten error: ${error.message}`);
+  }
+};
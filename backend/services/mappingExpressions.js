@@ -0,0 +1,228 @@
+/**
+ * Expressions of computed mapping entries
+ * A mapping entry { field, expression } fills a field from several columns, a
+ * constant or a part of a column instead of a single column's value:
+ *   join(' ', {NAME}, {SURNAME})               -> "Ion Popescu"
+ *   {TOWN / CITY} + ', ' + {Postcode}          -> "Cluj-Napoca, 400001"
+ *   {PHONE} ?? {MOBILE} ?? 'n/a'               -> first value that is not empty
+ *   if(eq({CURRENCY}, 'RON'), 'Local', 'Foreign')
+ *   split({Full Name}, ' ', -1)                -> last word
+ * Expressions are parsed by a small grammar and never run as JavaScript:
+ *   expression := concat ('??' concat)*
+ *   concat     := primary ('+' primary)*
+ *   primary    := 'text' | "text" | number | {Column} | function(expression, ...) | (expression)
+ */
+
+export const MAX_EXPRESSION_LENGTH = 500;
+
+const badExpression = (message) => Object.assign(new Error(`Expression error: ${message}`), { status: 400 });
+
+const isEmpty = (value) => value.trim() === '';
+
+// Functions take evaluated string arguments and return a string
+const FUNCTIONS = {
+  // join(separator, value, ...) joins the values that are not empty
+  join: { minArgs: 2, run: ([separator, ...values]) => values.filter(value => !isEmpty(value)).map(value => value.trim()).join(separator) },
+  concat: { minArgs: 1, run: (values) => values.join('') },
+  first: { minArgs: 1, run: (values) => values.find(value => !isEmpty(value)) ?? '' },
+  // if(condition, then, else) takes `then` when the condition is not empty
+  if: { minArgs: 2, maxArgs: 3, run: ([condition, then, otherwise = '']) => (isEmpty(condition) ? otherwise : then) },
+  eq: { minArgs: 2, maxArgs: 2, run: ([a, b]) => (a.trim().toLowerCase() === b.trim().toLowerCase() ? 'true' : '') },
+  not: { minArgs: 1, maxArgs: 1, run: ([value]) => (isEmpty(value) ? 'true' : '') },
+  // split(text, separator, index) picks one part; negative indexes count from the end
+  split: {
+    minArgs: 3,
+    maxArgs: 3,
+    run: ([text, separator, index]) => {
+      const parts = text.trim().split(separator === ' ' ? /\s+/ : separator);
+      const position = Number(index);
+      if (!Number.isInteger(position)) {
+        throw badExpression('split() index must be a whole number');
+      }
+      return (parts[position < 0 ? parts.length + position : position] ?? '').trim();
+    }
+  },
+  before: { minArgs: 2, maxArgs: 2, run: ([text, separator]) => (text.includes(separator) ? text.slice(0, text.indexOf(separator)).trim() : text) },
+  after: { minArgs: 2, maxArgs: 2, run: ([text, separator]) => (text.includes(separator) ? text.slice(text.indexOf(separator) + separator.length).trim() : '') },
+  upper: { minArgs: 1, maxArgs: 1, run: ([value]) => value.toUpperCase() },
+  lower: { minArgs: 1, maxArgs: 1, run: ([value]) => value.toLowerCase() },
+  trim: { minArgs: 1, maxArgs: 1, run: ([value]) => value.replace(/\s+/g, ' ').trim() }
+};
+
+/**
+ * Split an expression into tokens: strings, numbers, {column} references, names and symbols
+ */
+const tokenizeExpression = (text) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    const char = text[position];
+
+    if (/\s/.test(char)) {
+      position++;
+    } else if (char === '\'' || char === '"') {
+      let value = '';
+      let end = position + 1;
+      while (end < text.length && text[end] !== char) {
+        value += text[end] === '\\' && end + 1 < text.length ? text[++end] : text[end];
+        end++;
+      }
+      if (end >= text.length) {
+        throw badExpression(`unterminated text starting at position ${position + 1}`);
+      }
+      tokens.push({ type: 'string', value, position });
+      position = end + 1;
+    } else if (char === '{') {
+      const end = text.indexOf('}', position);
+      if (end === -1) {
+        throw badExpression(`missing } for the column at position ${position + 1}`);
+      }
+      tokens.push({ type: 'column', value: text.slice(position + 1, end).trim(), position });
+      position = end + 1;
+    } else if (/[\d-]/.test(char) && /^-?\d+(\.\d+)?/.test(text.slice(position))) {
+      const [number] = text.slice(position).match(/^-?\d+(\.\d+)?/);
+      tokens.push({ type: 'string', value: number, position });
+      position += number.length;
+    } else if (/[a-z]/i.test(char)) {
+      const [name] = text.slice(position).match(/^[a-z]\w*/i);
+      tokens.push({ type: 'name', value: name, position });
+      position += name.length;
+    } else if (text.startsWith('??', position)) {
+      tokens.push({ type: '??', position });
+      position += 2;
+    } else if ('(),+'.includes(char)) {
+      tokens.push({ type: char, position });
+      position++;
+    } else {
+      throw badExpression(`unexpected "${char}" at position ${position + 1}`);
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse an expression into a tree of { type: 'string' | 'column' | 'call' | 'concat' | 'coalesce' } nodes
+ * Throws a 400 error describing the first problem
+ */
+export const parseExpression = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw badExpression('expression is empty');
+  }
+  if (text.length > MAX_EXPRESSION_LENGTH) {
+    throw badExpression(`expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = tokenizeExpression(text);
+  let index = 0;
+
+  const describe = (token) => (token ? `"${token.value ?? token.type}" at position ${token.position + 1}` : 'the end');
+  const accept = (type) => (tokens[index]?.type === type ? tokens[index++] : null);
+  const expect = (type) => {
+    const token = accept(type);
+    if (!token) {
+      throw badExpression(`expected "${type}" but found ${describe(tokens[index])}`);
+    }
+    return token;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) {
+      throw badExpression('expression ends too early');
+    }
+
+    if (token.type === 'string' || token.type === 'column') {
+      if (token.type === 'column' && !token.value) {
+        throw badExpression(`empty column name at position ${token.position + 1}`);
+      }
+      return token;
+    }
+
+    if (token.type === 'name') {
+      const fn = Object.hasOwn(FUNCTIONS, token.value.toLowerCase()) ? FUNCTIONS[token.value.toLowerCase()] : null;
+      if (!fn) {
+        throw badExpression(`unknown function ${token.value}(); use ${Object.keys(FUNCTIONS).join(', ')}`);
+      }
+      expect('(');
+      const args = [];
+      if (!accept(')')) {
+        do {
+          args.push(parseCoalesce());
+        } while (accept(','));
+        expect(')');
+      }
+      if (args.length < fn.minArgs || args.length > (fn.maxArgs ?? Infinity)) {
+        const expected = fn.maxArgs === fn.minArgs ? fn.minArgs : fn.maxArgs ? `${fn.minArgs} to ${fn.maxArgs}` : `${fn.minArgs} or more`;
+        throw badExpression(`${token.value}() takes ${expected} arguments, not ${args.length}`);
+      }
+      return { type: 'call', name: token.value.toLowerCase(), args };
+    }
+
+    if (token.type === '(') {
+      const inner = parseCoalesce();
+      expect(')');
+      return inner;
+    }
+
+    throw badExpression(`unexpected ${describe(token)}`);
+  };
+
+  const parseConcat = () => {
+    const parts = [parsePrimary()];
+    while (accept('+')) {
+      parts.push(parsePrimary());
+    }
+    return parts.length === 1 ? parts[0] : { type: 'concat', parts };
+  };
+
+  const parseCoalesce = () => {
+    const options = [parseConcat()];
+    while (accept('??')) {
+      options.push(parseConcat());
+    }
+    return options.length === 1 ? options[0] : { type: 'coalesce', options };
+  };
+
+  const tree = parseCoalesce();
+  if (index < tokens.length) {
+    throw badExpression(`unexpected ${describe(tokens[index])}`);
+  }
+  return tree;
+};
+
+/**
+ * Evaluate an expression against a data row
+ * Columns are matched by name, case-insensitively; spaces and underscores count as the same
+ * @param {string} text - Expression
+ * @param {object} row - Data row
+ * @returns {string} Value (empty when nothing applies)
+ */
+export const evaluateExpression = (text, row) => {
+  const columns = new Map(Object.keys(row).map(key => [key.toLowerCase().replace(/[\s_]+/g, ' ').trim(), key]));
+
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'string':
+        return node.value;
+      case 'column': {
+        const key = columns.get(node.value.toLowerCase().replace(/[\s_]+/g, ' ').trim());
+        if (key === undefined) {
+          throw badExpression(`unknown column {${node.value}}`);
+        }
+        return String(row[key] ?? '');
+      }
+      case 'concat':
+        return node.parts.map(evaluate).join('');
+      case 'coalesce':
+        return node.options.map(evaluate).find(value => !isEmpty(value)) ?? '';
+      case 'call':
+        return FUNCTIONS[node.name].run(node.args.map(evaluate));
+      default:
+        throw badExpression(`unknown node ${node.type}`);
+    }
+  };
+
+  return evaluate(parseExpression(text));
+};
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import { readStore, updateStore } from './jsonStore.js';
+
+const STORE_NAME = 'mapping-profiles';
+
+const badProfile = (message) => Object.assign(new Error(message), { status: 400 });
+
+const checkName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw badProfile('Profile name is required');
+  }
+  return name.trim();
+};
+
+const checkMappings = (mappings) => {
+  if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+    throw badProfile('Mappings must be an object of column mappings');
+  }
+  return mappings;
+};
+
+/**
+ * List saved mapping profiles, most recently updated first
+ * @param {object} filter - Optional { fingerprint } to only return profiles for one template
+ */
+export const listProfiles = async ({ fingerprint } = {}) => {
+  const profiles = await readStore(STORE_NAME, []);
+
+  return profiles
+    .filter(profile => !fingerprint || profile.fingerprint === fingerprint)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+/**
+ * Get a single profile by ID, or null if it does not exist
+ */
+export const getProfile = async (profileId) => {
+  const profiles = await readStore(STORE_NAME, []);
+  return profiles.find(profile => profile.id === profileId) || null;
+};
+
+/**
+ * Find the profile to suggest for a template fingerprint
+ * Returns the most recently updated matching profile, or null
+ */
+export const findProfileForFingerprint = async (fingerprint) => {
+  const [profile] = await listProfiles({ fingerprint });
+  return profile || null;
+};
+
+/**
+ * Save a new mapping profile
+ * @param {object} profile - { name, fingerprint, mappings, context, options }
+ */
+export const createProfile = async ({ name, fingerprint, mappings, context = '', options = {} }) => {
+  if (!fingerprint || typeof fingerprint !== 'string') {
+    throw badProfile('Template fingerprint is required');
+  }
+
+  const now = new Date().toISOString();
+  const profile = {
+    id: crypto.randomUUID(),
+    name: checkName(name),
+    fingerprint,
+    mappings: checkMappings(mappings),
+    context,
+    options,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  return updateStore(STORE_NAME, [], (profiles) => ({ data: [...profiles, profile], result: profile }));
+};
+
+/**
+ * Update the name, mappings, context or options of a profile
+ * Returns the updated profile, or null if it does not exist
+ */
+export const updateProfile = async (profileId, changes) => {
+  const allowed = ['name', 'mappings', 'context', 'options'];
+  const updates = Object.fromEntries(Object.entries(changes).filter(([key]) => allowed.includes(key)));
+
+  if ('name' in updates) {
+    updates.name = checkName(updates.name);
+  }
+  if ('mappings' in updates) {
+    checkMappings(updates.mappings);
+  }
+
+  return updateStore(STORE_NAME, [], (profiles) => {
+    const index = profiles.findIndex(profile => profile.id === profileId);
+    if (index === -1) {
+      return { result: null };
+    }
+
+    profiles[index] = { ...profiles[index], ...updates, updatedAt: new Date().toISOString() };
+    return { data: profiles, result: profiles[index] };
+  });
+};
+
+/**
+ * Delete a profile
+ * Returns true if a profile was removed
+ */
+export const deleteProfile = async (profileId) => {
+  return updateStore(STORE_NAME, [], (profiles) => {
+    const remaining = profiles.filter(profile => profile.id !== profileId);
+    if (remaining.length === profiles.length) {
+      return { result: false };
+    }
+    return { data: remaining, result: true };
+  });
+};
@@ -0,0 +1,123 @@
+import { createRequire } from 'module';
+import { createWorker, OEM } from 'tesseract.js';
+import { openPDF, getPageSize, renderPNG } from './pdfRenderer.js';
+
+const require = createRequire(import.meta.url);
+const englishData = require('@tesseract.js-data/eng');
+
+// Scans are rendered at 300 DPI, the resolution Tesseract is trained for
+const OCR_DPI = 300;
+const DEFAULT_MAX_PAGES = 20;
+
+/**
+ * How many pages of a PDF are OCRed at most (OCR_MAX_PAGES, default 20)
+ */
+export const getMaxPages = () => Number(process.env.OCR_MAX_PAGES || DEFAULT_MAX_PAGES);
+
+/**
+ * Convert a Tesseract pixel bounding box to PDF points (top-left origin)
+ */
+const toPageBox = ({ x0, y0, x1, y1 }, scale) => ({
+  x: x0 / scale,
+  y: y0 / scale,
+  width: (x1 - x0) / scale,
+  height: (y1 - y0) / scale
+});
+
+/**
+ * Render the pages of a PDF to PNG images
+ * @param {string} pdfPath - Path to the PDF file
+ * @param {number} maxPages - Number of pages to render
+ * @returns {array} [{ page, width, height, scale, png }] with width/height in PDF points
+ */
+const rasterizePDF = async (pdfPath, maxPages) => {
+  const doc = await openPDF(pdfPath);
+  const scale = OCR_DPI / 72;
+  const images = [];
+
+  try {
+    const pageCount = Math.min(doc.numPages, maxPages);
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      try {
+        images.push({
+          page: pageNumber,
+          ...getPageSize(page),
+          scale,
+          png: await renderPNG(page, scale)
+        });
+      } finally {
+        page.cleanup();
+      }
+    }
+  } finally {
+    await doc.destroy();
+  }
+
+  return images;
+};
+
+/**
+ * OCR a PDF locally with the bundled Tesseract engine and English language data
+ * Works without network access or an API key. Positions are in PDF points
+ * from the top-left corner of the page; confidences are between 0 and 1.
+ * @param {string} pdfPath - Path to the (scanned or handwritten) PDF
+ * @returns {object} { pages: [{ page, width, height, blocks: [{ text, bbox, confidence, lines: [{ text, bbox, confidence, words }] }] }], text, confidence }
+ */
+export const recognizePDF = async (pdfPath) => {
+  let worker;
+
+  try {
+    const images = await rasterizePDF(pdfPath, getMaxPages());
+    console.log(`Running OCR on ${images.length} page(s)...`);
+
+    worker = await createWorker(englishData.code, OEM.LSTM_ONLY, {
+      langPath: englishData.langPath,
+      gzip: englishData.gzip,
+      cacheMethod: 'none'
+    });
+
+    const pages = [];
+    for (const image of images) {
+      const { data } = await worker.recognize(image.png, {}, { blocks: true, text: true });
+
+      const blocks = (data.blocks || []).map(block => ({
+        text: block.text.trim(),
+        bbox: toPageBox(block.bbox, image.scale),
+        confidence: block.confidence / 100,
+        lines: block.paragraphs.flatMap(paragraph => paragraph.lines).map(line => ({
+          text: line.text.trim(),
+          bbox: toPageBox(line.bbox, image.scale),
+          confidence: line.confidence / 100,
+          words: line.words.map(word => ({
+            text: word.text,
+            bbox: toPageBox(word.bbox, image.scale),
+            confidence: word.confidence / 100
+          }))
+        })).filter(line => line.text)
+      })).filter(block => block.text);
+
+      pages.push({ page: image.page, width: image.width, height: image.height, blocks });
+    }
+
+    const lines = pages.flatMap(page => page.blocks.flatMap(block => block.lines));
+    const confidence = lines.length > 0
+      ? lines.reduce((total, line) => total + line.confidence, 0) / lines.length
+      : 0;
+
+    console.log(`OCR finished: ${lines.length} lines, average confidence ${confidence.toFixed(2)}`);
+
+    return {
+      pages,
+      text: lines.map(line => line.text).join('\n'),
+      confidence
+    };
+  } catch (error) {
+    console.error('OCR error:', error.message);
+    throw new Error(`OCR error: ${error.message}`);
+  } finally {
+    if (worker) {
+      await worker.terminate();
+    }
+  }
+};
@@ -1,85 +1,217 @@
 import fs from 'fs-extra';
 import { createRequire } from 'module';
-import { PDFDocument } from 'pdf-lib';
+import { PDFDocument, PDFTextField, PDFCheckBox, PDFRadioGroup, PDFDropdown, PDFOptionList, PDFSignature, PDFButton, PDFName, PDFString, PDFHexString } from 'pdf-lib';
 import path from 'path';
+import os from 'os';
+import { recognizePDF } from './ocrService.js';
+import { pairLabelsAndValues, toLayoutPages } from './layoutParser.js';
+import { detectCheckboxes } from './checkboxDetector.js';
+import { extractTemplateZones } from './zoneExtractor.js';
 
 const require = createRequire(import.meta.url);
 const pdfParse = require('pdf-parse');
 const PDFParser = require('pdf2json');
 
 /**
- * Extract data from a filled PDF using multiple methods
- * 1. Try to extract form fields (for fillable PDFs)
- * 2. Try pdf2json for structured data extraction
- * 3. Try text extraction
- * 4. Use OCR for handwritten/scanned PDFs
+ * Extraction methods in the order they are tried automatically
+ * - zones:           named rectangles of a saved extraction template (known flat forms)
+ * - form-fields:     AcroForm field values (fillable PDFs)
+ * - pdf2json:        labels and values paired by their position on the page (flat PDFs)
+ * - text-extraction: "Label: value" lines in the plain text layer
+ * - ocr:             local OCR for handwritten/scanned PDFs
+ * Ticked YES/NO boxes on flat and scanned pages are added to the last three.
  */
-export const extractPDFData = async (pdfPath) => {
-  try {
-    console.log('Reading PDF file:', pdfPath);
-    
-    // Method 1: Try to extract form fields using pdf-lib
-    const formFields = await extractFormFields(pdfPath);
-    if (Object.keys(formFields).length > 0) {
-      console.log('✅ Extracted form fields:', Object.keys(formFields).length);
-      return {
-        success: true,
-        fields: formFields,
-        fieldCount: Object.keys(formFields).length,
-        method: 'form-fields'
-      };
+export const EXTRACTION_METHODS = ['zones', 'form-fields', 'pdf2json', 'text-extraction', 'ocr'];
+
+// Text extraction finds "fields" in almost any text, so it needs several to be trusted
+const MIN_TEXT_FIELDS = 6;
+
+/**
+ * Run one extraction method
+ * `accepted` tells whether the result is good enough for the automatic choice.
+ * @param {string} method - One of EXTRACTION_METHODS
+ * @param {object} context - { pdfPath, getCheckboxes, getOcr } shared between methods
+ */
+const runExtractionMethod = async (method, { pdfPath, getCheckboxes, getOcr }) => {
+  if (method === 'zones') {
+    const zones = await extractTemplateZones(pdfPath, { getOcr });
+    if (!zones) {
+      return { fields: {}, fieldCount: 0, accepted: false, method };
     }
-    
-    // Method 2: Try pdf2json for structured extraction
-    const structuredData = await extractWithPdf2Json(pdfPath);
-    if (Object.keys(structuredData).length > 5) { // At least 5 fields to consider success
-      console.log('✅ Extracted with pdf2json:', Object.keys(structuredData).length);
-      return {
-        success: true,
-        fields: structuredData,
-        fieldCount: Object.keys(structuredData).length,
-        method: 'pdf2json'
-      };
+
+    const scores = Object.values(zones.fieldConfidence);
+    return {
+      fields: zones.fields,
+      fieldCount: scores.length,
+      confidence: scores.length > 0 ? scores.reduce((total, score) => total + score, 0) / scores.length : null,
+      fieldConfidence: zones.fieldConfidence,
+      extractionTemplate: zones.template,
+      accepted: Object.values(zones.fields).some(value => value),
+      method
+    };
+  }
+
+  if (method === 'form-fields') {
+    let formFields = {};
+    try {
+      formFields = toFieldValues(await extractFormFields(pdfPath));
+    } catch (error) {
+      console.log('Form field extraction failed:', error.message);
     }
-    
-    // Method 3: Fall back to text extraction
-    const dataBuffer = await fs.readFile(pdfPath);
-    const pdfData = await pdfParse(dataBuffer);
-    
+    const fieldCount = Object.keys(formFields).length;
+    return { fields: formFields, fieldCount, accepted: fieldCount > 0, method };
+  }
+
+  if (method === 'pdf2json') {
+    const checkboxes = await getCheckboxes();
+    const layout = await extractWithPdf2Json(pdfPath);
+    const fieldConfidence = {
+      ...Object.fromEntries(layout.pairs.map(pair => [pair.label, pair.confidence])),
+      ...checkboxes.fieldConfidence
+    };
+    const scores = Object.values(fieldConfidence);
+    return {
+      fields: { ...layout.fields, ...checkboxes.fields },
+      fieldCount: scores.length,
+      confidence: scores.length > 0 ? scores.reduce((total, score) => total + score, 0) / scores.length : null,
+      fieldConfidence,
+      accepted: scores.length > 0,
+      method
+    };
+  }
+
+  if (method === 'text-extraction') {
+    const checkboxes = await getCheckboxes();
+    const pdfData = await readPdfText(await fs.readFile(pdfPath));
     console.log('PDF parsed with text extraction. Text length:', pdfData.text.length);
-    
-    if (pdfData.text.length > 50) { // If significant text found
-      const fields = parseFieldsFromText(pdfData.text);
-      if (Object.keys(fields).length > 5) {
-        console.log('✅ Extracted with text parsing:', Object.keys(fields).length);
-        return {
-          success: true,
-          fields: fields,
-          fieldCount: Object.keys(fields).length,
-          rawText: pdfData.text,
-          method: 'text-extraction'
-        };
+
+    const fields = pdfData.text.length > 50 ? parseFieldsFromText(pdfData.text) : {};
+    const fieldCount = Object.keys(fields).length;
+    return {
+      fields: { ...fields, ...checkboxes.fields },
+      fieldCount: fieldCount + checkboxes.questions.length,
+      fieldConfidence: checkboxes.fieldConfidence,
+      rawText: pdfData.text,
+      accepted: fieldCount >= MIN_TEXT_FIELDS,
+      method
+    };
+  }
+
+  // OCR words are paired by position like a text layer; plain lines are the fallback
+  const ocrResult = await getOcr();
+  const layout = pairLabelsAndValues(toLayoutPages(ocrResult.pages));
+  const ocrFields = layout.pairs.length > 0 ? layout.fields : parseFieldsFromText(ocrResult.text);
+  const checkboxes = await detectCheckboxes(pdfPath, { ocrPages: ocrResult.pages });
+  const fieldCount = Object.keys(ocrFields).length + checkboxes.questions.length;
+  return {
+    fields: { ...ocrFields, ...checkboxes.fields },
+    fieldCount,
+    fieldConfidence: {
+      ...Object.fromEntries(layout.pairs.map(pair => [pair.label, pair.confidence])),
+      ...checkboxes.fieldConfidence
+    },
+    rawText: ocrResult.text,
+    confidence: ocrResult.confidence,
+    accepted: fieldCount > 0,
+    method
+  };
+};
+
+/**
+ * Work out which methods to try, in order
+ * A preferred method is tried first; a forced method is the only one tried.
+ */
+const getMethodOrder = (method, force) => {
+  if (method === 'auto') {
+    return EXTRACTION_METHODS;
+  }
+  return force ? [method] : [method, ...EXTRACTION_METHODS.filter(other => other !== method)];
+};
+
+/**
+ * Extract data from a filled PDF using multiple methods (see EXTRACTION_METHODS)
+ * The first method whose result is accepted wins. A forced method's result is
+ * returned even when it found nothing. In diagnostics mode every method runs
+ * and `diagnostics` lists each result with its field count and timing.
+ * @param {string} pdfPath - Path to the PDF file
+ * @param {object} options - { method: 'auto' or one of EXTRACTION_METHODS, force, diagnostics }
+ */
+export const extractPDFData = async (pdfPath, { method = 'auto', force = false, diagnostics = false } = {}) => {
+  if (method !== 'auto' && !EXTRACTION_METHODS.includes(method)) {
+    throw Object.assign(new Error(`Extraction method must be auto or one of: ${EXTRACTION_METHODS.join(', ')}`), { status: 400 });
+  }
+
+  try {
+    console.log('Reading PDF file:', pdfPath);
+
+    // Tick box detection and OCR render every page, so each runs at most once
+    let checkboxes = null;
+    let ocr = null;
+    const context = {
+      pdfPath,
+      getCheckboxes: async () => {
+        checkboxes = checkboxes || await detectCheckboxes(pdfPath);
+        return checkboxes;
+      },
+      getOcr: async () => {
+        ocr = ocr || await recognizePDF(pdfPath);
+        return ocr;
+      }
+    };
+
+    const order = getMethodOrder(method, force);
+    let chosen = null;
+    let report = null;
+
+    if (diagnostics) {
+      report = [];
+      for (const candidate of EXTRACTION_METHODS) {
+        const startedAt = Date.now();
+        try {
+          const result = await runExtractionMethod(candidate, context);
+          report.push({ ...result, durationMs: Date.now() - startedAt, error: null });
+        } catch (error) {
+          report.push({ method: candidate, fields: {}, fieldCount: 0, accepted: false, durationMs: Date.now() - startedAt, error: error.message });
+        }
+      }
+      chosen = order.map(candidate => report.find(result => result.method === candidate))
+        .find(result => result.accepted || force) || null;
+    } else {
+      for (const candidate of order) {
+        let result;
+        try {
+          result = await runExtractionMethod(candidate, context);
+        } catch (error) {
+          console.log(`⚠️ ${candidate} failed (${error.message}), trying the next method`);
+          continue;
+        }
+        if (result.accepted || force) {
+          chosen = result;
+          break;
+        }
+        console.log(`⚠️ ${candidate} found too little data, trying the next method`);
       }
     }
-    
-    // Method 4: Use Datalab OCR for handwritten/scanned PDFs
-    // Note: This requires API key to be passed from the route
-    console.log('⚠️ Text extraction methods failed. Attempting Datalab OCR for handwritten/scanned content...');
-    console.log('   Note: OCR requires Datalab API key. Make sure to pass apiKey parameter to parsePDF()');
-    
-    // Return empty for now - OCR will be triggered from route level with API key
-    // The route will need to handle handwritten PDFs differently
-    
-    // If all methods fail, return empty but don't error
-    console.log('⚠️ No data could be extracted from PDF');
+
+    if (!chosen) {
+      // If all methods fail, return empty but don't error
+      console.log('⚠️ No data could be extracted from PDF');
+      chosen = {
+        fields: {},
+        fieldCount: 0,
+        method: 'none',
+        message: 'Could not extract data. PDF may be empty, encrypted, or have unrecognizable format.'
+      };
+    } else {
+      console.log(`✅ Extracted with ${chosen.method}:`, chosen.fieldCount);
+    }
+
+    const { accepted, durationMs, error, ...result } = chosen;
     return {
       success: true,
-      fields: {},
-      fieldCount: 0,
-      method: 'none',
-      message: 'Could not extract data. PDF may be empty, encrypted, or have unrecognizable format.'
+      ...result,
+      ...(report && { diagnostics: report.map(({ rawText, ...entry }) => entry) })
     };
-    
   } catch (error) {
     console.error('Error reading PDF:', error.message);
     throw new Error(`PDF read error: ${error.message}`);
@@ -87,90 +219,189 @@ export const extractPDFData = async (pdfPath) => {
 };
 
 /**
- * Extract form field values from a fillable PDF
+ * Extract the text of a PDF with pdf-parse
+ * Small files are read into Node's shared buffer pool; pdf.js ignores the
+ * Buffer's offset into that pool, so it gets a copy with its own memory.
+ */
+function readPdfText(dataBuffer) {
+  return pdfParse(new Uint8Array(dataBuffer));
+}
+
+/**
+ * Map a pdf-lib field to its field type name
+ */
+function getFieldType(field) {
+  if (field instanceof PDFTextField) return 'text';
+  if (field instanceof PDFCheckBox) return 'checkbox';
+  if (field instanceof PDFRadioGroup) return 'radio';
+  if (field instanceof PDFDropdown) return 'dropdown';
+  if (field instanceof PDFOptionList) return 'listbox';
+  if (field instanceof PDFSignature) return 'signature';
+  if (field instanceof PDFButton) return 'button';
+  return 'unknown';
+}
+
+/**
+ * Read a field's tooltip (/TU alternate name), if it has one
+ */
+function getFieldTooltip(field) {
+  const tooltip = field.acroField.dict.lookup(PDFName.of('TU'));
+  if (tooltip instanceof PDFString || tooltip instanceof PDFHexString) {
+    return tooltip.decodeText();
+  }
+  return null;
+}
+
+/**
+ * Find the 1-based page number a widget annotation sits on
+ * Uses the widget's /P entry, falling back to searching each page's /Annots
+ */
+function getWidgetPageNumber(pdfDoc, widget, widgetRef) {
+  const pages = pdfDoc.getPages();
+  const pageRef = widget.P();
+
+  if (pageRef) {
+    const index = pages.findIndex(page => page.ref === pageRef);
+    if (index !== -1) return index + 1;
+  }
+
+  if (widgetRef) {
+    const index = pages.findIndex(page => {
+      const annots = page.node.Annots();
+      return annots && annots.asArray().includes(widgetRef);
+    });
+    if (index !== -1) return index + 1;
+  }
+
+  return null;
+}
+
+/**
+ * Walk the AcroForm fields of a PDF, including empty ones
+ * Returns name, type, tooltip, current value, options, page, rectangle,
+ * max length and required/read-only flags for each field
  */
 async function extractFormFields(pdfPath) {
-  try {
-    const pdfBytes = await fs.readFile(pdfPath);
-    const pdfDoc = await PDFDocument.load(pdfBytes);
-    const form = pdfDoc.getForm();
-    const fields = form.getFields();
-    
-    const extractedFields = {};
-    
-    for (const field of fields) {
-      const fieldName = field.getName();
-      let fieldValue = '';
-      
-      try {
-        // Try different field types
-        if (field.constructor.name === 'PDFTextField') {
-          fieldValue = field.getText() || '';
-        } else if (field.constructor.name === 'PDFCheckBox') {
-          fieldValue = field.isChecked() ? 'Yes' : 'No';
-        } else if (field.constructor.name === 'PDFRadioGroup') {
-          fieldValue = field.getSelected() || '';
-        } else if (field.constructor.name === 'PDFDropdown') {
-          const selected = field.getSelected();
-          fieldValue = selected ? selected.join(', ') : '';
-        }
-        
-        if (fieldValue && fieldValue.trim() !== '') {
-          extractedFields[fieldName] = fieldValue.trim();
-        }
-      } catch (err) {
-        console.log(`Could not extract value for field ${fieldName}`);
-      }
+  const pdfBytes = await fs.readFile(pdfPath);
+  const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+  const fields = pdfDoc.getForm().getFields();
+
+  // Map widget dicts back to their object refs so /Annots lookups work
+  const widgetRefs = new Map();
+  for (const [ref, object] of pdfDoc.context.enumerateIndirectObjects()) {
+    widgetRefs.set(object, ref);
+  }
+
+  return fields.map(field => {
+    const type = getFieldType(field);
+    const widgets = field.acroField.getWidgets().map(widget => {
+      const { x, y, width, height } = widget.getRectangle();
+      return {
+        page: getWidgetPageNumber(pdfDoc, widget, widgetRefs.get(widget.dict)),
+        rect: { x, y, width, height }
+      };
+    });
+
+    let value = null;
+    let options = [];
+    let maxLength = null;
+
+    if (field instanceof PDFTextField) {
+      value = field.getText() || '';
+      maxLength = field.getMaxLength() ?? null;
+    } else if (field instanceof PDFCheckBox) {
+      value = field.isChecked();
+    } else if (field instanceof PDFRadioGroup) {
+      value = field.getSelected() || null;
+      options = field.getOptions();
+    } else if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+      value = field.getSelected();
+      options = field.getOptions();
     }
-    
-    return extractedFields;
+
+    return {
+      name: field.getName(),
+      type,
+      tooltip: getFieldTooltip(field),
+      value,
+      options,
+      page: widgets[0]?.page ?? null,
+      rect: widgets[0]?.rect ?? null,
+      widgets,
+      maxLength,
+      required: field.isRequired(),
+      readOnly: field.isReadOnly()
+    };
+  });
+}
+
+/**
+ * Describe every AcroForm field in a PDF template (see extractFormFields)
+ */
+export const inspectFormFields = async (pdfPath) => {
+  try {
+    return await extractFormFields(pdfPath);
   } catch (error) {
-    console.log('Form field extraction failed:', error.message);
-    return {};
+    console.error('Form field inspection failed:', error.message);
+    throw new Error(`Failed to inspect form fields: ${error.message}`);
   }
+};
+
+/**
+ * Reduce field descriptors to the values of the filled-in fields
+ * Checkboxes become "Yes"/"No" and multiple selections are joined with commas.
+ * @param {array} descriptors - Fields from extractFormFields
+ * @returns {object} { fieldName: value }
+ */
+function toFieldValues(descriptors) {
+  const values = {};
+
+  for (const { name, type, value } of descriptors) {
+    const text = type === 'checkbox' ? (value ? 'Yes' : 'No')
+      : Array.isArray(value) ? value.join(', ')
+        : (value || '');
+
+    if (text.trim() !== '') {
+      values[name] = text.trim();
+    }
+  }
+
+  return values;
 }
 
 /**
- * Extract data using pdf2json library
+ * Extract label/value pairs using pdf2json text positions
+ * Labels are paired with values to their right, below them or in the form
+ * boxes next to them (see layoutParser.js).
+ * @returns {object} { fields, pairs, confidence }
  */
 function extractWithPdf2Json(pdfPath) {
   return new Promise((resolve) => {
     const pdfParser = new PDFParser();
-    const fields = {};
+    const empty = { fields: {}, pairs: [], confidence: 0 };
     
     pdfParser.on('pdfParser_dataError', errData => {
       console.log('pdf2json error:', errData.parserError);
-      resolve({});
+      resolve(empty);
     });
     
     pdfParser.on('pdfParser_dataReady', pdfData => {
       try {
-        // Extract text items from all pages
-        const pages = pdfData.Pages || [];
+        const pages = (pdfData.Pages || []).map((page, index) => ({
+          page: index + 1,
+          items: (page.Texts || []).map(text => ({
+            text: text.R.map(run => decodeURIComponent(run.T)).join(''),
+            x: text.x,
+            y: text.y,
+            size: text.R[0]?.TS?.[1] || 12
+          })),
+          boxes: (page.Fills || []).map(fill => ({ x: fill.x, y: fill.y, width: fill.w, height: fill.h }))
+        }));
         
-        for (const page of pages) {
-          const texts = page.Texts || [];
-          
-          // Group nearby text items as potential field-value pairs
-          for (let i = 0; i < texts.length - 1; i++) {
-            const currentText = decodeURIComponent(texts[i].R[0].T);
-            const nextText = decodeURIComponent(texts[i + 1].R[0].T);
-            
-            // If current text looks like a label (ends with :) and next is value
-            if (currentText.trim().endsWith(':') && nextText.trim().length > 0) {
-              const fieldName = currentText.replace(':', '').trim();
-              fields[fieldName] = nextText.trim();
-            } else if (currentText.trim().length > 2 && nextText.trim().length > 0) {
-              // Store as potential field-value pair
-              fields[currentText.trim()] = nextText.trim();
-            }
-          }
-        }
-        
-        resolve(fields);
+        resolve(pairLabelsAndValues(pages));
       } catch (err) {
         console.log('pdf2json parsing error:', err.message);
-        resolve({});
+        resolve(empty);
       }
     });
     
@@ -178,106 +409,6 @@ function extractWithPdf2Json(pdfPath) {
   });
 }
 
-/**
- * Extract data using Datalab API's OCR capabilities
- * This method uses Datalab's 'read' endpoint which can handle handwritten/scanned PDFs
- * Note: This requires a valid Datalab API key
- */
-async function extractWithOCR(pdfPath, apiKey) {
-  try {
-    // If no API key provided, skip OCR
-    if (!apiKey) {
-      console.log('⚠️ No API key provided for OCR extraction. Skipping.');
-      return {};
-    }
-    
-    console.log('Starting Datalab OCR extraction...');
-    
-    // Import axios for API calls
-    const axios = require('axios');
-    const FormData = require('form-data');
-    
-    const formData = new FormData();
-    formData.append('file', fs.createReadStream(pdfPath));
-    formData.append('extract_mode', 'all'); // Extract all possible data
-    
-    // Use Datalab's fill endpoint with empty field_data to just read the PDF
-    const response = await axios.post(
-      'https://www.datalab.to/api/v1/fill',
-      formData,
-      {
-        headers: {
-          ...formData.getHeaders(),
-          'X-API-Key': apiKey
-        },
-        maxBodyLength: Infinity,
-        maxContentLength: Infinity
-      }
-    );
-    
-    console.log('Datalab read request initiated:', response.data.request_id);
-    
-    // Poll for completion
-    const requestId = response.data.request_id;
-    let attempts = 0;
-    const maxAttempts = 60; // 3 minutes max
-    
-    while (attempts < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 3000)); // Wait 3 seconds
-      
-      const statusResponse = await axios.get(
-        `https://www.datalab.to/api/v1/fill/${requestId}`,
-        {
-          headers: {
-            'X-API-Key': apiKey
-          }
-        }
-      );
-      
-      console.log(`OCR poll attempt ${attempts + 1}/${maxAttempts}, status: ${statusResponse.data.status}`);
-      
-      if (statusResponse.data.status === 'complete' || statusResponse.data.status === 'completed') {
-        // Extract any fields that were detected
-        const detectedFields = statusResponse.data.fields_filled || statusResponse.data.detected_fields || [];
-        const fields = {};
-        
-        // Convert detected fields to our format
-        if (Array.isArray(detectedFields)) {
-          detectedFields.forEach(field => {
-            if (field.name && field.value) {
-              fields[field.name] = field.value;
-            } else if (typeof field === 'object') {
-              // Handle different field formats
-              Object.entries(field).forEach(([key, value]) => {
-                if (value && typeof value === 'string') {
-                  fields[key] = value;
-                }
-              });
-            }
-          });
-        } else if (typeof detectedFields === 'object') {
-          Object.assign(fields, detectedFields);
-        }
-        
-        console.log(`✅ Datalab OCR completed. Fields detected: ${Object.keys(fields).length}`);
-        return fields;
-      } else if (statusResponse.data.status === 'failed' || statusResponse.data.status === 'error') {
-        console.log('❌ Datalab OCR failed:', statusResponse.data.error);
-        return {};
-      }
-      
-      attempts++;
-    }
-    
-    console.log('⚠️ Datalab OCR timed out');
-    return {};
-    
-  } catch (error) {
-    console.error('Datalab OCR extraction failed:', error.message);
-    return {};
-  }
-}
-
 /**
  * Parse field-value pairs from PDF text
  * This tries to extract structured data from the text content
@@ -360,34 +491,17 @@ export const convertExtractedDataToRows = (extractedFields) => {
 
 /**
  * Parse a filled PDF and return structured data similar to CSV format
+ * Scanned and handwritten PDFs are read with local OCR (no API key needed)
  * @param {string} pdfPath - Path to the PDF file
- * @param {string} apiKey - Datalab API key (optional, needed for OCR on handwritten PDFs)
+ * @param {object} extraction - { method, force, diagnostics } (see extractPDFData)
  */
-export const parsePDF = async (pdfPath, apiKey = null) => {
+export const parsePDF = async (pdfPath, extraction = {}) => {
   try {
-    // First try standard extraction methods
-    const result = await extractPDFData(pdfPath);
+    const result = await extractPDFData(pdfPath, extraction);
     
     console.log('Extracted fields:', result.fields);
     console.log('Field count:', result.fieldCount);
     
-    // If no fields extracted and we have an API key, try Datalab OCR
-    if (result.fieldCount === 0 && apiKey) {
-      console.log('🔄 Attempting Datalab API OCR for handwritten/scanned content...');
-      const ocrFields = await extractWithOCR(pdfPath, apiKey);
-      
-      if (Object.keys(ocrFields).length > 0) {
-        console.log('✅ OCR extraction successful:', Object.keys(ocrFields).length, 'fields');
-        const structuredData = convertExtractedDataToRows(ocrFields);
-        return {
-          success: true,
-          data: structuredData,
-          extractedFieldCount: Object.keys(ocrFields).length,
-          method: 'datalab-ocr'
-        };
-      }
-    }
-    
     // Convert to CSV-like format
     const structuredData = convertExtractedDataToRows(result.fields);
     
@@ -395,10 +509,178 @@ export const parsePDF = async (pdfPath, apiKey = null) => {
       success: true,
       data: structuredData,
       extractedFieldCount: result.fieldCount,
-      method: result.method
+      method: result.method,
+      confidence: result.confidence ?? null,
+      fieldConfidence: result.fieldConfidence ?? null,
+      extractionTemplate: result.extractionTemplate ?? null,
+      diagnostics: result.diagnostics
     };
   } catch (error) {
     console.error('PDF parsing error:', error);
-    throw new Error(`Failed to parse PDF: ${error.message}`);
+    throw error.status ? error : new Error(`Failed to parse PDF: ${error.message}`);
+  }
+};
+
+/**
+ * Parse a page range list such as "1-2, 3-5, 6" into 1-based { start, end } ranges
+ * @param {string} spec - Comma-separated pages and page ranges
+ * @param {number} pageCount - Number of pages in the PDF
+ */
+export const parsePageRanges = (spec, pageCount) => {
+  const ranges = String(spec).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) {
+      throw Object.assign(new Error(`Invalid page range: ${part}`), { status: 400 });
+    }
+
+    const start = Number(match[1]);
+    const end = Number(match[2] || match[1]);
+    if (start < 1 || end < start || end > pageCount) {
+      throw Object.assign(new Error(`Page range ${part} is outside pages 1-${pageCount}`), { status: 400 });
+    }
+    return { start, end };
+  });
+
+  if (ranges.length === 0) {
+    throw Object.assign(new Error('Page ranges are empty'), { status: 400 });
+  }
+  return ranges;
+};
+
+/**
+ * Work out which pages of a PDF make up each document
+ * @param {number} pageCount - Number of pages in the PDF
+ * @param {object} split - { pagesPerDocument, pageRanges }; neither means the whole file is one document
+ * @returns {array|null} 1-based { start, end } ranges, or null for the whole file
+ */
+const getDocumentRanges = (pageCount, { pagesPerDocument, pageRanges } = {}) => {
+  if (pageRanges) {
+    return parsePageRanges(pageRanges, pageCount);
+  }
+
+  if (pagesPerDocument) {
+    const size = Number(pagesPerDocument);
+    if (!Number.isInteger(size) || size < 1) {
+      throw Object.assign(new Error('Pages per document must be a positive whole number'), { status: 400 });
+    }
+    const ranges = [];
+    for (let start = 1; start <= pageCount; start += size) {
+      ranges.push({ start, end: Math.min(start + size - 1, pageCount) });
+    }
+    return ranges;
+  }
+
+  return null;
+};
+
+/**
+ * Copy a page range of a PDF into a new file
+ * Form fields whose widgets sit on the copied pages are registered in the new
+ * document's AcroForm so their values can still be read as form fields.
+ */
+async function writePageRange(sourceDoc, { start, end }, outputPath) {
+  const doc = await PDFDocument.create();
+  const indexes = Array.from({ length: end - start + 1 }, (_, offset) => start - 1 + offset);
+  const pages = await doc.copyPages(sourceDoc, indexes);
+
+  const fieldRefs = new Set();
+  for (const page of pages) {
+    doc.addPage(page);
+
+    const annots = page.node.Annots();
+    for (const annotRef of annots ? annots.asArray() : []) {
+      // Walk up from the widget to its top-level field
+      let fieldRef = annotRef;
+      let parentRef = doc.context.lookup(fieldRef)?.get(PDFName.of('Parent'));
+      while (parentRef) {
+        fieldRef = parentRef;
+        parentRef = doc.context.lookup(fieldRef)?.get(PDFName.of('Parent'));
+      }
+      if (doc.context.lookup(fieldRef)?.get(PDFName.of('T'))) {
+        fieldRefs.add(fieldRef);
+      }
+    }
+  }
+
+  if (fieldRefs.size > 0) {
+    const { acroForm } = doc.getForm();
+    fieldRefs.forEach(ref => acroForm.addField(ref));
+  }
+
+  await fs.writeFile(outputPath, await doc.save());
+}
+
+/**
+ * Parse one or more filled PDFs into one row per document
+ * Each file is one document, unless it is a merged PDF split with
+ * pagesPerDocument (every N pages) or pageRanges ("1-2, 3-4").
+ * `data.sources` lists the source file, pages and extraction method of every row,
+ * plus every method's result side by side in diagnostics mode.
+ * @param {array} files - [{ path, originalName }]
+ * @param {object} split - { pagesPerDocument, pageRanges } (optional)
+ * @param {object} extraction - { method, force, diagnostics } (optional, see extractPDFData)
+ */
+export const parsePDFDocuments = async (files, split = {}, extraction = {}) => {
+  const documents = [];
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-split-'));
+
+  try {
+    for (const file of files) {
+      const sourceDoc = await PDFDocument.load(await fs.readFile(file.path), { ignoreEncryption: true });
+      const ranges = getDocumentRanges(sourceDoc.getPageCount(), split);
+
+      if (!ranges) {
+        documents.push({ file, pages: null, path: file.path });
+        continue;
+      }
+
+      for (const range of ranges) {
+        const partPath = path.join(workDir, `part-${documents.length + 1}.pdf`);
+        await writePageRange(sourceDoc, range, partPath);
+        const pages = range.start === range.end ? `${range.start}` : `${range.start}-${range.end}`;
+        documents.push({ file, pages, path: partPath });
+      }
+    }
+
+    console.log(`Parsing ${documents.length} PDF document(s) from ${files.length} file(s)`);
+
+    const rows = [];
+    const sources = [];
+    let extractedFieldCount = 0;
+
+    for (const document of documents) {
+      const result = await parsePDF(document.path, extraction);
+      rows.push(result.data.rows[0]);
+      sources.push({
+        fileName: document.file.originalName,
+        pages: document.pages,
+        method: result.method,
+        confidence: result.confidence,
+        fieldConfidence: result.fieldConfidence,
+        extractionTemplate: result.extractionTemplate,
+        fieldCount: result.extractedFieldCount,
+        ...(result.diagnostics && { diagnostics: result.diagnostics })
+      });
+      extractedFieldCount += result.extractedFieldCount;
+    }
+
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+    return {
+      success: true,
+      data: {
+        headers,
+        rows: rows.map(row => Object.fromEntries(headers.map(header => [header, row[header] ?? '']))),
+        rowCount: rows.length,
+        sources
+      },
+      extractedFieldCount,
+      documentCount: documents.length
+    };
+  } catch (error) {
+    console.error('PDF documents parsing error:', error);
+    throw error.status ? error : new Error(`Failed to parse PDF documents: ${error.message}`);
+  } finally {
+    await fs.remove(workDir);
   }
 };
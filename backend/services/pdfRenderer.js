@@ -0,0 +1,140 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createRequire } from 'module';
+import { createCanvas } from '@napi-rs/canvas';
+import { getDocument, Util } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+/**
+ * Page rendering for OCR, tick box detection and zone extraction
+ * Uses pdf.js (Apache-2.0) with the @napi-rs/canvas backend (MIT). Sizes and
+ * positions are in PDF points from the top-left corner of the visible page.
+ */
+
+const require = createRequire(import.meta.url);
+const PDFJS_DIR = path.dirname(require.resolve('pdfjs-dist/package.json'));
+
+// pdf.js loads these from disk: fonts that are not embedded, character maps and image decoders
+const RESOURCES = {
+  standardFontDataUrl: path.join(PDFJS_DIR, 'standard_fonts') + path.sep,
+  cMapUrl: path.join(PDFJS_DIR, 'cmaps') + path.sep,
+  cMapPacked: true,
+  wasmUrl: path.join(PDFJS_DIR, 'wasm') + path.sep
+};
+
+/**
+ * Open a PDF for rendering
+ * @param {string} pdfPath - Path to the PDF file
+ * @returns {object} pdf.js document; call destroy() when done
+ */
+export const openPDF = async (pdfPath) => {
+  const data = new Uint8Array(await fs.readFile(pdfPath));
+  return getDocument({ data, ...RESOURCES, isEvalSupported: false, verbosity: 0 }).promise;
+};
+
+/**
+ * Size of a page in points
+ */
+export const getPageSize = (page) => {
+  const { width, height } = page.getViewport({ scale: 1 });
+  return { width, height };
+};
+
+/**
+ * Render a page on a white canvas
+ * @param {object} page - pdf.js page
+ * @param {number} scale - Pixels per point
+ */
+const renderCanvas = async (page, scale) => {
+  const viewport = page.getViewport({ scale });
+  const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  await page.render({ canvasContext: context, viewport }).promise;
+  return canvas;
+};
+
+/**
+ * Render a page to 8-bit grayscale pixels, one byte per pixel (0 is black)
+ * @returns {object} { width, height, pixels }
+ */
+export const renderGrayscale = async (page, scale) => {
+  const canvas = await renderCanvas(page, scale);
+  const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  const pixels = new Uint8Array(canvas.width * canvas.height);
+
+  for (let index = 0; index < pixels.length; index++) {
+    const offset = index * 4;
+    pixels[index] = Math.round(0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]);
+  }
+
+  return { width: canvas.width, height: canvas.height, pixels };
+};
+
+/**
+ * Render a page to a PNG image
+ * @returns {Buffer} PNG data
+ */
+export const renderPNG = async (page, scale) => {
+  const canvas = await renderCanvas(page, scale);
+  return canvas.encode('png');
+};
+
+/**
+ * Read the text runs of a page's text layer
+ * Fonts have real names (e.g. "Wingdings") only once the page has been rendered.
+ * @returns {array} [{ text, x, y, size, width, top, bottom, font }] with y at the baseline
+ */
+export const readTextItems = async (page) => {
+  const viewport = page.getViewport({ scale: 1 });
+  const { items, styles } = await page.getTextContent();
+
+  return items
+    .filter(item => item.str)
+    .map(item => {
+      const [, , c, d, x, y] = Util.transform(viewport.transform, item.transform);
+      const size = Math.hypot(c, d);
+      const style = styles[item.fontName] || {};
+      // Symbol fonts often come without usable metrics
+      const ascent = Number.isFinite(style.ascent) ? style.ascent : 0.8;
+      const descent = Number.isFinite(style.descent) ? style.descent : -0.2;
+      const font = page.commonObjs.has(item.fontName) ? page.commonObjs.get(item.fontName).name : style.fontFamily;
+
+      return {
+        text: item.str,
+        x,
+        y,
+        size,
+        width: item.width,
+        top: y - size * ascent,
+        bottom: y - size * descent,
+        font: font || ''
+      };
+    });
+};
+
+// Only used to measure text, to place the characters of a text run
+const measureContext = createCanvas(1, 1).getContext('2d');
+measureContext.font = '10px sans-serif';
+
+/**
+ * Place the characters of a text run
+ * The run's width is shared out by the characters' widths in a sans-serif
+ * font, which is close enough to tell the words of a run apart.
+ * @param {object} item - Text run from readTextItems
+ * @returns {array} [{ char, x0, x1 }]
+ */
+export const placeCharacters = (item) => {
+  const chars = [...item.text];
+  const advances = chars.map(char => measureContext.measureText(char).width);
+  const total = advances.reduce((sum, advance) => sum + advance, 0);
+
+  let x = item.x;
+  return chars.map((char, index) => {
+    const width = total > 0 ? item.width * advances[index] / total : item.width / chars.length;
+    const placed = { char, x0: x, x1: x + width };
+    x += width;
+    return placed;
+  });
+};
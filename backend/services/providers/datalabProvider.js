@@ -0,0 +1,68 @@
+import fs from 'fs-extra';
+import { fillPDFForm, checkFillStatus, downloadFilledPDF } from '../datalabService.js';
+import { normalizeFilledFields } from '../fillReport.js';
+
+const COMPLETE_STATUSES = ['complete', 'completed', 'finished'];
+const FAILED_STATUSES = ['failed', 'error'];
+
+/**
+ * Datalab form-filling provider
+ * Wraps the Datalab /fill API in the provider interface (submit, poll, fetch result)
+ * @param {object} options
+ * @param {string} options.apiKey - Datalab API key
+ */
+export const createDatalabProvider = ({ apiKey }) => ({
+  name: 'datalab',
+  maxAttempts: 90,
+  pollIntervalMs: 3000,
+
+  isConfigured: () => Boolean(apiKey),
+
+  submit: async (pdfPath, fieldData, context = '') => {
+    if (!apiKey) {
+      throw new Error('DATALAB_API_KEY not configured');
+    }
+    return fillPDFForm(pdfPath, fieldData, context, apiKey);
+  },
+
+  poll: async (requestId) => {
+    const status = await checkFillStatus(requestId, apiKey);
+
+    let state = 'pending';
+    if (COMPLETE_STATUSES.includes(status.status)) {
+      state = 'complete';
+    } else if (FAILED_STATUSES.includes(status.status)) {
+      state = 'failed';
+    }
+
+    return { state, status: status.status, error: status.error, raw: status };
+  },
+
+  fetchResult: async ({ raw: status }, outputPath) => {
+    // Check for base64 output (most common)
+    if (status.output_base64 && status.output_base64 !== '') {
+      const buffer = Buffer.from(status.output_base64, 'base64');
+      await fs.writeFile(outputPath, buffer);
+      console.log(`PDF saved to: ${outputPath}`);
+
+      return {
+        filePath: outputPath,
+        fieldsFilledCount: (status.fields_filled && status.fields_filled.length) || 0,
+        fieldsFilled: normalizeFilledFields(status.fields_filled)
+      };
+    }
+
+    // Check for URL-based output (alternative)
+    const outputUrl = status.output_url || status.output_file_url || status.file_url || status.download_url || status.url;
+    if (outputUrl) {
+      await downloadFilledPDF(outputUrl, outputPath);
+      return {
+        filePath: outputPath,
+        fieldsFilledCount: status.fields_filled_count || status.fieldsFilledCount || 0,
+        fieldsFilled: normalizeFilledFields(status.fields_filled)
+      };
+    }
+
+    throw new Error(`No output data in completed response. Available fields: ${Object.keys(status).join(', ')}`);
+  }
+});
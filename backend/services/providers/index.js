@@ -0,0 +1,65 @@
+import { createDatalabProvider } from './datalabProvider.js';
+import { createMockProvider } from './mockProvider.js';
+
+export const FILL_PROVIDERS = ['datalab', 'mock'];
+
+/**
+ * Get the form-filling provider selected by configuration
+ * FILL_PROVIDER=datalab (default) or FILL_PROVIDER=mock for offline use
+ *
+ * A provider implements:
+ *   name, maxAttempts, pollIntervalMs
+ *   isConfigured() -> boolean
+ *   submit(pdfPath, fieldData, context) -> { requestId, status }
+ *   poll(requestId) -> { state: 'pending'|'complete'|'failed', status, error, raw }
+ *   fetchResult(pollResult, outputPath) -> { filePath, fieldsFilledCount, fieldsFilled }
+ *     fieldsFilled: [{ column, fieldName, value, confidence }] (see normalizeFilledFields)
+ */
+export const getFillProvider = (name = process.env.FILL_PROVIDER || 'datalab') => {
+  switch (name) {
+    case 'datalab':
+      return createDatalabProvider({ apiKey: process.env.DATALAB_API_KEY });
+    case 'mock':
+      return createMockProvider({
+        pollsUntilComplete: Number(process.env.MOCK_PROVIDER_POLLS || 2)
+      });
+    default:
+      throw new Error(`Unknown fill provider: ${name}. Use one of: ${FILL_PROVIDERS.join(', ')}`);
+  }
+};
+
+/**
+ * Poll a provider request until it finishes, then save the result
+ * onStatus (optional) is called after every poll with { status, attempt, maxAttempts }
+ */
+export const pollAndFetchResult = async (provider, requestId, outputPath, {
+  maxAttempts = provider.maxAttempts,
+  intervalMs = provider.pollIntervalMs,
+  onStatus = null
+} = {}) => {
+  let attempts = 0;
+
+  while (attempts < maxAttempts) {
+    const pollResult = await provider.poll(requestId);
+
+    console.log(`Poll attempt ${attempts + 1}/${maxAttempts}, status: ${pollResult.status}`);
+
+    if (onStatus) {
+      onStatus({ status: pollResult.status, attempt: attempts + 1, maxAttempts });
+    }
+
+    if (pollResult.state === 'complete') {
+      console.log('Form filling completed successfully!');
+      const result = await provider.fetchResult(pollResult, outputPath);
+      return { success: true, ...result };
+    } else if (pollResult.state === 'failed') {
+      throw new Error(`Form filling failed: ${pollResult.error || 'Unknown error'}`);
+    }
+
+    // Wait before next poll
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+    attempts++;
+  }
+
+  throw new Error('Timeout waiting for form filling to complete');
+};
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { normalizeFilledFields } from '../fillReport.js';
+
+/**
+ * Make text safe for the standard Helvetica font (WinAnsi encoding)
+ */
+const toWinAnsi = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+/**
+ * Build the "filled" PDF: the template with every field_data value
+ * stamped onto the first page, returned as base64 like Datalab's output_base64
+ */
+const renderMockOutput = async (pdfPath, fieldData) => {
+  const pdfDoc = await PDFDocument.load(await fs.readFile(pdfPath), { ignoreEncryption: true });
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const page = pdfDoc.getPage(0);
+  const { height } = page.getSize();
+
+  const lines = ['MOCK FILL', ...Object.values(fieldData).map(({ value, description }) => `${description}: ${value}`)];
+  lines.forEach((line, index) => {
+    page.drawText(toWinAnsi(line), { x: 20, y: height - 20 - index * 10, size: 8, font, color: rgb(0.8, 0, 0) });
+  });
+
+  return Buffer.from(await pdfDoc.save()).toString('base64');
+};
+
+/**
+ * Deterministic offline form-filling provider
+ * Simulates the Datalab request_id/status/output_base64 lifecycle without
+ * any network access. A request_id is a hash of the template and field data
+ * followed by the provider's submission count, so runs are reproducible while
+ * identical concurrent submissions stay apart; a request completes after a
+ * fixed number of polls.
+ * @param {object} options
+ * @param {number} options.pollsUntilComplete - Polls answered with 'processing' before completing
+ * @param {number} options.pollIntervalMs - Delay between polls
+ */
+export const createMockProvider = ({ pollsUntilComplete = 2, pollIntervalMs = 100 } = {}) => {
+  const requests = new Map();
+  let submissions = 0;
+
+  return {
+    name: 'mock',
+    maxAttempts: pollsUntilComplete + 5,
+    pollIntervalMs,
+
+    isConfigured: () => true,
+
+    submit: async (pdfPath, fieldData, context = '') => {
+      const pdfBytes = await fs.readFile(pdfPath);
+      const hash = crypto.createHash('sha256')
+        .update(pdfBytes)
+        .update(JSON.stringify(fieldData))
+        .update(context)
+        .digest('hex')
+        .slice(0, 16);
+      submissions++;
+      const requestId = `mock-${hash}-${submissions}`;
+
+      requests.set(requestId, { pdfPath, fieldData, polls: 0 });
+      console.log('Mock provider accepted request:', requestId);
+
+      return { requestId, status: 'processing' };
+    },
+
+    poll: async (requestId) => {
+      const request = requests.get(requestId);
+      if (!request) {
+        return { state: 'failed', status: 'failed', error: `Unknown request_id: ${requestId}`, raw: {} };
+      }
+
+      request.polls++;
+      if (request.polls <= pollsUntilComplete) {
+        return { state: 'pending', status: 'processing', raw: { request_id: requestId, status: 'processing' } };
+      }
+
+      const raw = {
+        request_id: requestId,
+        status: 'complete',
+        output_base64: await renderMockOutput(request.pdfPath, request.fieldData),
+        fields_filled: Object.entries(request.fieldData).map(([key, { value, description }]) => ({
+          key,
+          field_name: description,
+          value,
+          confidence: 1
+        }))
+      };
+      requests.delete(requestId);
+
+      return { state: 'complete', status: 'complete', raw };
+    },
+
+    fetchResult: async ({ raw }, outputPath) => {
+      await fs.writeFile(outputPath, Buffer.from(raw.output_base64, 'base64'));
+      console.log(`Mock PDF saved to: ${outputPath}`);
+
+      return {
+        filePath: outputPath,
+        fieldsFilledCount: raw.fields_filled.length,
+        fieldsFilled: normalizeFilledFields(raw.fields_filled)
+      };
+    }
+  };
+};
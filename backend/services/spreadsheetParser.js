@@ -0,0 +1,159 @@
+import XLSX from 'xlsx';
+import fs from 'fs-extra';
+import path from 'path';
+import { makeUniqueHeaders } from './csvParser.js';
+
+export const SPREADSHEET_MIME_TYPES = {
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet'
+};
+
+export const SPREADSHEET_EXTENSIONS = Object.keys(SPREADSHEET_MIME_TYPES);
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Number formats that only exist to show leading zeros (00000, 0000000000)
+ * or mark the cell as text (@) must keep their displayed value
+ */
+const isTextLikeFormat = (format) => typeof format === 'string' && (format === '@' || /^0{2,}$/.test(format));
+
+/**
+ * Convert a date serial to YYYY-MM-DD (with HH:MM when the cell has a time)
+ * Uses the spreadsheet's own calendar so the result does not depend on the server time zone
+ */
+const formatDateSerial = (serial) => {
+  const date = XLSX.SSF.parse_date_code(serial);
+  const day = `${date.y}-${pad(date.m)}-${pad(date.d)}`;
+  return date.H || date.M ? `${day} ${pad(date.H)}:${pad(date.M)}` : day;
+};
+
+/**
+ * Format a parsed date as YYYY-MM-DD (with HH:MM when it has a time)
+ * ODS date-only values are parsed as UTC midnight, date-times as local time
+ */
+const formatDate = (date) => {
+  const isDateOnly = date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0;
+  if (isDateOnly) {
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+  }
+
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Convert a cell to the string value used for form filling
+ * - text cells keep their exact text (leading zeros survive)
+ * - zero-padded or text-formatted numbers keep their displayed text
+ * - dates become ISO dates
+ * - other numbers are written out in full, without grouping or exponents
+ */
+const cellToString = (cell) => {
+  if (!cell) {
+    return '';
+  }
+
+  switch (cell.t) {
+    case 's':
+      return cell.v.toString();
+    case 'b':
+      return cell.v ? 'TRUE' : 'FALSE';
+    case 'd':
+      return formatDate(cell.v);
+    case 'n':
+      if (isTextLikeFormat(cell.z) && cell.w) {
+        return cell.w;
+      }
+      if (cell.z && XLSX.SSF.is_date(cell.z)) {
+        return formatDateSerial(cell.v);
+      }
+      return cell.v.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 15 });
+    default:
+      // Error and empty cells carry no usable value
+      return '';
+  }
+};
+
+/**
+ * Load a workbook from disk
+ * XLSX dates stay serial numbers (time zone independent); ODS stores ISO
+ * date strings, which are only read correctly as Date objects
+ */
+const readWorkbook = async (filePath) => {
+  const buffer = await fs.readFile(filePath);
+  const isOds = path.extname(filePath).toLowerCase() === '.ods';
+  return XLSX.read(buffer, { type: 'buffer', cellNF: true, cellText: true, cellDates: isOds });
+};
+
+/**
+ * Parse one sheet of an XLSX/ODS workbook
+ * The first non-empty row holds the headers; every cell value is a string,
+ * matching the {headers, rows, rowCount} shape returned by parseCSV.
+ * @param {string} filePath - Path to the .xlsx or .ods file
+ * @param {object} options - { sheet } sheet name (defaults to the first sheet)
+ * @returns {object} { headers, rows, rowCount, sheet, sheetNames }
+ */
+export const parseSpreadsheet = async (filePath, { sheet } = {}) => {
+  let workbook;
+  try {
+    workbook = await readWorkbook(filePath);
+  } catch (error) {
+    throw new Error(`Failed to read spreadsheet: ${error.message}`);
+  }
+
+  const sheetNames = workbook.SheetNames;
+  const sheetName = sheet || sheetNames[0];
+  const worksheet = workbook.Sheets[sheetName];
+  if (!worksheet) {
+    throw Object.assign(new Error(`Sheet not found: ${sheetName}`), { status: 400 });
+  }
+
+  if (!worksheet['!ref']) {
+    return { headers: [], rows: [], rowCount: 0, sheet: sheetName, sheetNames };
+  }
+
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  const readRow = (rowNumber) => {
+    const cells = [];
+    for (let column = range.s.c; column <= range.e.c; column++) {
+      cells.push(worksheet[XLSX.utils.encode_cell({ r: rowNumber, c: column })]);
+    }
+    return cells;
+  };
+  const isEmptyRow = (cells) => cells.every(cell => cellToString(cell).trim() === '');
+
+  let headerRow = range.s.r;
+  while (headerRow <= range.e.r && isEmptyRow(readRow(headerRow))) {
+    headerRow++;
+  }
+  if (headerRow > range.e.r) {
+    return { headers: [], rows: [], rowCount: 0, sheet: sheetName, sheetNames };
+  }
+
+  const headers = makeUniqueHeaders(readRow(headerRow).map(cellToString));
+  const rows = [];
+
+  for (let rowNumber = headerRow + 1; rowNumber <= range.e.r; rowNumber++) {
+    const cells = readRow(rowNumber);
+    if (isEmptyRow(cells)) {
+      continue;
+    }
+
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = cellToString(cells[index]);
+    });
+    rows.push(row);
+  }
+
+  console.log(`Parsed sheet "${sheetName}": ${rows.length} rows, ${headers.length} columns`);
+
+  return {
+    headers,
+    rows,
+    rowCount: rows.length,
+    sheet: sheetName,
+    sheetNames
+  };
+};
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { createRequire } from 'module';
+import { PDFDocument } from 'pdf-lib';
+import { inspectFormFields } from './pdfParser.js';
+
+const require = createRequire(import.meta.url);
+const pdfParse = require('pdf-parse');
+
+const hash = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+/**
+ * Compute a fingerprint of a PDF template's structure
+ * Fillable forms are identified by their field structure (name, type,
+ * options, page), so re-saved or re-filled copies of the same form match.
+ * Flat forms fall back to their page sizes and printed text.
+ * @returns {object} { fingerprint, kind: 'acroform' | 'layout' }
+ */
+export const computeTemplateFingerprint = async (pdfPath) => {
+  try {
+    const fields = await inspectFormFields(pdfPath);
+
+    if (fields.length > 0) {
+      const structure = fields
+        .map(({ name, type, options, page }) => ({ name, type, options: [...options].sort(), page }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      return { fingerprint: hash(structure), kind: 'acroform' };
+    }
+
+    const pdfBytes = await fs.readFile(pdfPath);
+    const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+    const pageSizes = pdfDoc.getPages().map(page => {
+      const { width, height } = page.getSize();
+      return [Math.round(width), Math.round(height)];
+    });
+    const { text } = await pdfParse(pdfBytes);
+
+    return {
+      fingerprint: hash({ pageSizes, text: text.replace(/\s+/g, ' ').trim() }),
+      kind: 'layout'
+    };
+  } catch (error) {
+    console.error('Template fingerprint error:', error.message);
+    throw new Error(`Failed to fingerprint template: ${error.message}`);
+  }
+};
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { readStore, updateStore } from './jsonStore.js';
+import { computeTemplateFingerprint } from './templateFingerprint.js';
+import { UPLOAD_DIR } from './uploadStorage.js';
+
+const STORE_NAME = 'templates';
+const TEMPLATE_DIR = path.join(UPLOAD_DIR, 'templates');
+
+/**
+ * Template IDs are the SHA-256 of the PDF bytes
+ */
+export const isTemplateId = (templateId) => /^[a-f0-9]{64}$/.test(templateId || '');
+
+/**
+ * Path of a stored template PDF
+ */
+export const getTemplatePath = (templateId) => path.join(TEMPLATE_DIR, `${templateId}.pdf`);
+
+/**
+ * Normalize tags to a de-duplicated list of trimmed, non-empty strings
+ * Accepts an array or a comma-separated string
+ */
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : (tags || '').split(',');
+  return [...new Set(list.map(tag => tag.toString().trim()).filter(Boolean))];
+};
+
+/**
+ * Add an uploaded PDF to the template library
+ * The template ID is the SHA-256 of its bytes, so uploading the same blank
+ * form again returns the existing template instead of storing a copy.
+ * @param {string} filePath - Path of the uploaded file (moved into the library or removed)
+ * @param {object} metadata - { originalName, name, description, tags }
+ * @returns {object} { template, created }
+ */
+export const addTemplate = async (filePath, { originalName, name, description = '', tags = [] } = {}) => {
+  const pdfBytes = await fs.readFile(filePath);
+  const id = crypto.createHash('sha256').update(pdfBytes).digest('hex');
+
+  const existing = await getTemplate(id);
+  if (existing) {
+    await fs.remove(filePath);
+    console.log('Template already in library:', id);
+    return { template: existing, created: false };
+  }
+
+  let fingerprint;
+  try {
+    ({ fingerprint } = await computeTemplateFingerprint(filePath));
+  } catch (error) {
+    // Nothing refers to the upload yet, so the purge would never remove it
+    await fs.remove(filePath);
+    throw error;
+  }
+  await fs.ensureDir(TEMPLATE_DIR);
+  await fs.move(filePath, getTemplatePath(id), { overwrite: true });
+
+  const now = new Date().toISOString();
+  const template = {
+    id,
+    name: (name && name.trim()) || path.basename(originalName || 'template.pdf', '.pdf'),
+    description,
+    tags: normalizeTags(tags),
+    originalName: originalName || `${id}.pdf`,
+    size: pdfBytes.length,
+    fingerprint,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  // Another upload of the same bytes may have finished first
+  return updateStore(STORE_NAME, [], (templates) => {
+    const stored = templates.find(entry => entry.id === id);
+    if (stored) {
+      return { result: { template: stored, created: false } };
+    }
+    return { data: [...templates, template], result: { template, created: true } };
+  });
+};
+
+/**
+ * Get a template by ID, or null if it does not exist
+ */
+export const getTemplate = async (templateId) => {
+  if (!isTemplateId(templateId)) {
+    return null;
+  }
+
+  const templates = await readStore(STORE_NAME, []);
+  return templates.find(template => template.id === templateId) || null;
+};
+
+/**
+ * List templates, newest first
+ * @param {object} filter - Optional { q } free-text search and { tag } exact tag match
+ */
+export const listTemplates = async ({ q, tag } = {}) => {
+  const templates = await readStore(STORE_NAME, []);
+  const query = (q || '').toLowerCase().trim();
+
+  return templates
+    .filter(template => !tag || template.tags.some(t => t.toLowerCase() === tag.toLowerCase()))
+    .filter(template => !query || [template.name, template.description, template.originalName, ...template.tags]
+      .some(text => (text || '').toLowerCase().includes(query)))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Update the name, description or tags of a template
+ * Returns the updated template, or null if it does not exist
+ */
+export const updateTemplate = async (templateId, changes) => {
+  const updates = {};
+
+  if ('name' in changes) {
+    if (!changes.name || !changes.name.trim()) {
+      throw new Error('Template name is required');
+    }
+    updates.name = changes.name.trim();
+  }
+  if ('description' in changes) {
+    updates.description = changes.description || '';
+  }
+  if ('tags' in changes) {
+    updates.tags = normalizeTags(changes.tags);
+  }
+
+  return updateStore(STORE_NAME, [], (templates) => {
+    const index = templates.findIndex(template => template.id === templateId);
+    if (index === -1) {
+      return { result: null };
+    }
+
+    templates[index] = { ...templates[index], ...updates, updatedAt: new Date().toISOString() };
+    return { data: templates, result: templates[index] };
+  });
+};
+
+/**
+ * Delete a template and its stored PDF
+ * Returns true if a template was removed
+ */
+export const deleteTemplate = async (templateId) => {
+  const deleted = await updateStore(STORE_NAME, [], (templates) => {
+    const remaining = templates.filter(template => template.id !== templateId);
+    if (remaining.length === templates.length) {
+      return { result: false };
+    }
+    return { data: remaining, result: true };
+  });
+
+  if (deleted) {
+    await fs.remove(getTemplatePath(templateId));
+  }
+
+  return deleted;
+};
@@ -3,8 +3,132 @@
  * Supports multiple text formats
  */
 
+/**
+ * Lines that separate records: ---, ===, *** or ___ (three or more)
+ */
+const RECORD_SEPARATOR = /^([-=*_])\1{2,}$/;
+
+/**
+ * Parse one line into key-value pairs
+ * @param {string} line - Trimmed, non-empty line
+ * @returns {array} [[key, value], ...] (empty when the line holds no field)
+ */
+const parseLine = (line) => {
+  // Pattern 1: "Key: Value" or "Key : Value"
+  // Pattern 2: "Key = Value" or "Key=Value"
+  // Pattern 3: "Key - Value" or "Key-Value"
+  // Pattern 4: "Key | Value"
+  for (const pattern of [/^(.+?)\s*:\s*(.+)$/, /^(.+?)\s*=\s*(.+)$/, /^(.+?)\s*-\s*(.+)$/, /^(.+?)\s*\|\s*(.+)$/]) {
+    const match = line.match(pattern);
+    if (match) {
+      const [, key, value] = match;
+      if (key && value) {
+        return [[key.trim(), value.trim()]];
+      }
+    }
+  }
+
+  // Pattern 5: JSON format {"key": "value"}
+  if (line.startsWith('{') && line.endsWith('}')) {
+    try {
+      return Object.entries(JSON.parse(line));
+    } catch (e) {
+      // Not valid JSON, skip
+    }
+  }
+
+  // Pattern 6: Tab-separated (Key\tValue)
+  if (line.includes('\t')) {
+    const parts = line.split('\t').map(p => p.trim()).filter(p => p);
+    if (parts.length === 2) {
+      return [[parts[0], parts[1]]];
+    }
+  }
+
+  return [];
+};
+
+/**
+ * Split text into records
+ * A new record starts at a separator line (---), when the first key of the
+ * current record repeats, or after a blank line when the next block repeats
+ * any key of the current record. Blank-line blocks with new keys only
+ * (e.g. an "Address" section under a "Name" section) stay in the same record.
+ * @param {string} text - The input text
+ * @returns {array} Records as { key: value } objects
+ */
+const splitRecords = (text) => {
+  const records = [];
+  let current = {};
+  let afterBlankLine = false;
+
+  const startRecord = () => {
+    if (Object.keys(current).length > 0) {
+      records.push(current);
+    }
+    current = {};
+  };
+
+  for (const line of text.split('\n')) {
+    const trimmedLine = line.trim();
+
+    if (!trimmedLine) {
+      afterBlankLine = true;
+      continue;
+    }
+
+    if (RECORD_SEPARATOR.test(trimmedLine)) {
+      startRecord();
+      afterBlankLine = false;
+      continue;
+    }
+
+    const pairs = parseLine(trimmedLine);
+    if (pairs.length === 0) {
+      continue;
+    }
+
+    const firstKey = Object.keys(current)[0];
+    const repeatsFirstKey = pairs.some(([key]) => key === firstKey);
+    const repeatsAnyKey = pairs.some(([key]) => key in current);
+    if (repeatsFirstKey || (afterBlankLine && repeatsAnyKey)) {
+      startRecord();
+    }
+    afterBlankLine = false;
+
+    for (const [key, value] of pairs) {
+      current[key] = value;
+    }
+  }
+
+  startRecord();
+  return records;
+};
+
+/**
+ * Read records from text that is a single JSON object or array of objects
+ * @returns {array|null} Records, or null when the text is not JSON
+ */
+const parseJSONRecords = (text) => {
+  const trimmedText = text.trim();
+  if (!/^[[{]/.test(trimmedText)) {
+    return null;
+  }
+
+  try {
+    const jsonData = JSON.parse(trimmedText);
+    const records = Array.isArray(jsonData) ? jsonData : [jsonData];
+    return records.every(record => record && typeof record === 'object' && !Array.isArray(record)) ? records : null;
+  } catch (e) {
+    // Not valid JSON, use line-by-line parsing
+    return null;
+  }
+};
+
 /**
  * Parse text input and extract field-value pairs
+ * Each record (see splitRecords) becomes one row; headers are the union of
+ * all record keys in first-seen order.
  * @param {string} text - The input text
  * @returns {object} Structured data with headers and rows
  */
@@ -12,99 +136,25 @@ export const parseText = (text) => {
   try {
     console.log('Parsing manual text input...');
     console.log('Text length:', text.length);
-    
-    const fields = {};
-    const lines = text.split('\n');
-    
-    // Try multiple parsing patterns
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (!trimmedLine) continue;
-      
-      // Pattern 1: "Key: Value" or "Key : Value"
-      const colonMatch = trimmedLine.match(/^(.+?)\s*:\s*(.+)$/);
-      if (colonMatch) {
-        const [, key, value] = colonMatch;
-        if (key && value) {
-          fields[key.trim()] = value.trim();
-          continue;
-        }
-      }
-      
-      // Pattern 2: "Key = Value" or "Key=Value"
-      const equalsMatch = trimmedLine.match(/^(.+?)\s*=\s*(.+)$/);
-      if (equalsMatch) {
-        const [, key, value] = equalsMatch;
-        if (key && value) {
-          fields[key.trim()] = value.trim();
-          continue;
-        }
-      }
-      
-      // Pattern 3: "Key - Value" or "Key-Value"
-      const dashMatch = trimmedLine.match(/^(.+?)\s*-\s*(.+)$/);
-      if (dashMatch) {
-        const [, key, value] = dashMatch;
-        if (key && value) {
-          fields[key.trim()] = value.trim();
-          continue;
-        }
-      }
-      
-      // Pattern 4: "Key | Value"
-      const pipeMatch = trimmedLine.match(/^(.+?)\s*\|\s*(.+)$/);
-      if (pipeMatch) {
-        const [, key, value] = pipeMatch;
-        if (key && value) {
-          fields[key.trim()] = value.trim();
-          continue;
-        }
-      }
-      
-      // Pattern 5: JSON format {"key": "value"}
-      if (trimmedLine.startsWith('{') && trimmedLine.endsWith('}')) {
-        try {
-          const jsonData = JSON.parse(trimmedLine);
-          Object.assign(fields, jsonData);
-          continue;
-        } catch (e) {
-          // Not valid JSON, skip
-        }
-      }
-      
-      // Pattern 6: Tab-separated (Key\tValue)
-      if (trimmedLine.includes('\t')) {
-        const parts = trimmedLine.split('\t').map(p => p.trim()).filter(p => p);
-        if (parts.length === 2) {
-          fields[parts[0]] = parts[1];
-          continue;
-        }
-      }
-    }
-    
-    // If JSON block (multi-line)
-    if (text.trim().startsWith('{') && text.trim().endsWith('}')) {
-      try {
-        const jsonData = JSON.parse(text.trim());
-        Object.assign(fields, jsonData);
-      } catch (e) {
-        // Not valid JSON, use line-by-line parsing
-      }
-    }
-    
-    console.log(`Extracted ${Object.keys(fields).length} fields from text`);
-    
+
+    const records = parseJSONRecords(text) || splitRecords(text);
+
     // Convert to CSV-like format for compatibility
-    const headers = Object.keys(fields);
-    const row = {};
-    headers.forEach(header => {
-      row[header] = fields[header];
+    const headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+    const rows = records.map(record => {
+      const row = {};
+      headers.forEach(header => {
+        row[header] = record[header] === undefined || record[header] === null ? '' : String(record[header]);
+      });
+      return row;
     });
-    
+
+    console.log(`Extracted ${headers.length} fields in ${rows.length} record(s) from text`);
+
     return {
       headers: headers,
-      rows: [row],
-      rowCount: 1
+      rows: rows,
+      rowCount: rows.length
     };
     
   } catch (error) {
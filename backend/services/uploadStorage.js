@@ -0,0 +1,22 @@
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs-extra';
+
+export const UPLOAD_DIR = './uploads';
+
+// Configure multer for file uploads
+export const storage = multer.diskStorage({
+  destination: async (req, file, cb) => {
+    await fs.ensureDir(UPLOAD_DIR);
+    cb(null, UPLOAD_DIR);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+/**
+ * Check whether an uploaded file is a PDF
+ */
+export const isPdfFile = (file) => file.mimetype === 'application/pdf';
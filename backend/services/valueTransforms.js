@@ -0,0 +1,162 @@
+/**
+ * Value transforms applied to mapped columns before they reach a fill engine
+ * A mapping entry is either a field name or { field, transforms: [...] }; the
+ * transforms run in order on the trimmed cell value. A transform that cannot
+ * read the value (e.g. a date in another format) leaves it unchanged.
+ */
+
+export const TRANSFORM_TYPES = ['date', 'case', 'trim', 'pad', 'replace', 'number', 'iban', 'phone'];
+
+const badTransform = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Longest value a pad transform may produce
+const MAX_PAD_LENGTH = 255;
+
+// Date formats tried, in order, when a date transform has no `from` format
+const DATE_INPUT_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY'];
+
+const DATE_TOKENS = /YYYY|YY|MM|M|DD|D/g;
+
+/**
+ * Read a date written in a format such as DD/MM/YYYY
+ * @returns {object|null} { year, month, day }
+ */
+const parseDate = (value, format) => {
+  const groups = [];
+  const pattern = format.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&').replace(DATE_TOKENS, (token) => {
+    groups.push(token);
+    return token === 'YYYY' ? '(\\d{4})' : token === 'YY' ? '(\\d{2})' : '(\\d{1,2})';
+  });
+
+  const match = value.match(new RegExp(`^${pattern}$`));
+  if (!match) return null;
+
+  const date = {};
+  groups.forEach((token, index) => {
+    const number = Number(match[index + 1]);
+    if (token === 'YYYY') date.year = number;
+    else if (token === 'YY') date.year = 2000 + number;
+    else if (token.startsWith('M')) date.month = number;
+    else date.day = number;
+  });
+
+  const valid = date.year && date.month >= 1 && date.month <= 12 && date.day >= 1 &&
+    date.day <= new Date(Date.UTC(date.year, date.month, 0)).getUTCDate();
+  return valid ? date : null;
+};
+
+const formatDate = ({ year, month, day }, format) => format.replace(DATE_TOKENS, (token) => ({
+  YYYY: String(year).padStart(4, '0'),
+  YY: String(year % 100).padStart(2, '0'),
+  MM: String(month).padStart(2, '0'),
+  M: String(month),
+  DD: String(day).padStart(2, '0'),
+  D: String(day)
+}[token]));
+
+/**
+ * Read a number written with either decimal separator, e.g. "1.234,5", "1,234.5" or "12,5"
+ */
+const parseNumber = (value) => {
+  let text = value.replace(/[\s'’]/g, '');
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    const decimal = lastComma > lastDot ? ',' : '.';
+    text = text.split(decimal === ',' ? '.' : ',').join('').replace(decimal, '.');
+  } else if (lastComma !== -1) {
+    // "1,234" and "1,234,567" use the comma for thousands; "12,5" for decimals
+    const thousands = /^-?\d{1,3}(,\d{3})+$/.test(text);
+    text = thousands ? text.replace(/,/g, '') : text.replace(',', '.');
+  } else if (/^-?\d{1,3}(\.\d{3}){2,}$/.test(text)) {
+    text = text.replace(/\./g, '');
+  }
+
+  const number = Number(text);
+  return text !== '' && Number.isFinite(number) ? number : null;
+};
+
+const formatNumber = (number, { decimals, decimalSeparator = '.', thousandsSeparator = '' }) => {
+  const fixed = decimals === undefined || decimals === '' ? String(number) : number.toFixed(Number(decimals));
+  const [integer, fraction] = fixed.split('.');
+  const grouped = integer.replace(/\B(?=(\d{3})+(?!\d))/g, thousandsSeparator);
+  return fraction !== undefined ? `${grouped}${decimalSeparator}${fraction}` : grouped;
+};
+
+const toTitleCase = (value) => value.toLowerCase().replace(/(^|[\s\-'’])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+
+/**
+ * Apply a single transform to a value
+ * @param {string} value - Current value
+ * @param {object} transform - { type, ...options }
+ */
+export const applyTransform = (value, transform) => {
+  switch (transform.type) {
+    case 'date': {
+      const formats = transform.from ? [transform.from] : DATE_INPUT_FORMATS;
+      const date = formats.map(format => parseDate(value, format)).find(Boolean);
+      return date ? formatDate(date, transform.to || 'YYYY-MM-DD') : value;
+    }
+
+    case 'case':
+      if (transform.mode === 'upper') return value.toUpperCase();
+      if (transform.mode === 'lower') return value.toLowerCase();
+      if (transform.mode === 'title') return toTitleCase(value);
+      throw badTransform('Case transform mode must be upper, lower or title');
+
+    case 'trim': {
+      const trimmed = value.replace(/\s+/g, ' ').trim();
+      return transform.maxLength ? trimmed.slice(0, Number(transform.maxLength)) : trimmed;
+    }
+
+    case 'pad': {
+      const length = Math.min(Number(transform.length) || 0, MAX_PAD_LENGTH);
+      const char = transform.char ? String(transform.char) : ' ';
+      return transform.side === 'right' ? value.padEnd(length, char) : value.padStart(length, char);
+    }
+
+    case 'replace': {
+      // Literal text only: a client-supplied regular expression could block the server
+      const search = String(transform.search ?? '');
+      return search ? value.split(search).join(String(transform.replacement ?? '')) : value;
+    }
+
+    case 'number': {
+      const number = parseNumber(value);
+      return number === null ? value : formatNumber(number, transform);
+    }
+
+    case 'iban': {
+      const compact = value.replace(/[\s-]/g, '').toUpperCase();
+      return /^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(compact) ? compact.replace(/(.{4})(?=.)/g, '$1 ') : value;
+    }
+
+    case 'phone': {
+      const digits = value.replace(/[^\d+]/g, '');
+      const countryCode = String(transform.countryCode || '').replace(/\D/g, '');
+      if (digits.startsWith('+')) return `+${digits.slice(1).replace(/\+/g, '')}`;
+      if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+      if (!countryCode || !digits) return value;
+      return `+${countryCode}${digits.replace(/^0/, '')}`;
+    }
+
+    default:
+      throw badTransform(`Transform type must be one of: ${TRANSFORM_TYPES.join(', ')}`);
+  }
+};
+
+/**
+ * Run a chain of transforms on a value
+ * @param {string} value - Cell value
+ * @param {array} transforms - [{ type, ...options }], or nothing to keep the value
+ */
+export const applyTransforms = (value, transforms) => {
+  if (!transforms) {
+    return value;
+  }
+  if (!Array.isArray(transforms)) {
+    throw badTransform('Transforms must be a list');
+  }
+  return transforms.reduce((current, transform) => applyTransform(current, transform || {}), value);
+};
@@ -0,0 +1,215 @@
+import { readTextWords, readOcrWords } from './checkboxDetector.js';
+import { listExtractionTemplates, matchesPageSizes, matchExtractionTemplate } from './extractionTemplates.js';
+import { getMaxPages } from './ocrService.js';
+import { openPDF, getPageSize, renderGrayscale } from './pdfRenderer.js';
+
+// Checkbox zones are measured like tick boxes: at 150 DPI, dark pixels count as ink
+const CHECKBOX_DPI = 150;
+const INK_THRESHOLD = 160;
+const CHECKED_RATIO = 0.08;
+
+// Share of a checkbox zone trimmed from each side, so the box border is not counted
+const CHECKBOX_INSET = 0.2;
+
+const TEXT_LAYER_CONFIDENCE = 0.95;
+const MISMATCH_CONFIDENCE = 0.5;
+
+// Anchors suggested for a new template: the first lines of page 1 outside the zones
+const MAX_ANCHORS = 3;
+const MIN_ANCHOR_LENGTH = 8;
+
+const NUMBER_PATTERN = /[-+]?\d(?:[\d\s.,']*\d)?/;
+const DATE_PATTERNS = [
+  /\b\d{1,4}[./-]\d{1,2}[./-]\d{1,4}\b/,
+  /\b\d{1,2}\.?\s+\p{L}{3,9}\.?,?\s+\d{2,4}\b/u,
+  /\b\p{L}{3,9}\.?\s+\d{1,2},?\s+\d{4}\b/u
+];
+
+const centerX = (word) => (word.x0 + word.x1) / 2;
+const centerY = (word) => (word.y0 + word.y1) / 2;
+
+const insideZone = (word, zone) =>
+  centerX(word) >= zone.x && centerX(word) <= zone.x + zone.width &&
+  centerY(word) >= zone.y && centerY(word) <= zone.y + zone.height;
+
+/**
+ * Group words into lines of text, top to bottom and left to right
+ */
+const toLines = (words) => {
+  const lines = [];
+  for (const word of [...words].sort((a, b) => centerY(a) - centerY(b))) {
+    const line = lines.find(candidate =>
+      Math.abs(centerY(candidate[0]) - centerY(word)) <= 0.5 * Math.max(candidate[0].y1 - candidate[0].y0, word.y1 - word.y0));
+    if (line) line.push(word);
+    else lines.push([word]);
+  }
+
+  return lines.map(line => line.sort((a, b) => a.x0 - b.x0));
+};
+
+const lineText = (line) => line.map(word => word.text).join(' ');
+
+/**
+ * Read page sizes and text-layer words, relative to the top-left corner of each page
+ * @returns {array} [{ page, width, height, words, text }]
+ */
+const readPages = async (doc) => {
+  const pages = [];
+  const pageCount = Math.min(doc.numPages, getMaxPages());
+
+  for (let index = 0; index < pageCount; index++) {
+    const page = await doc.getPage(index + 1);
+    try {
+      const words = await readTextWords(page);
+      pages.push({ page: index + 1, ...getPageSize(page), words, text: toLines(words).map(lineText).join('\n') });
+    } finally {
+      page.cleanup();
+    }
+  }
+
+  return pages;
+};
+
+/**
+ * Share of inked pixels in the middle of a zone
+ */
+const measureInk = async (doc, zone) => {
+  const scale = CHECKBOX_DPI / 72;
+  const page = await doc.getPage(zone.page);
+
+  try {
+    const { width, height, pixels } = await renderGrayscale(page, scale);
+    const left = Math.max(0, Math.round((zone.x + zone.width * CHECKBOX_INSET) * scale));
+    const right = Math.min(width, Math.round((zone.x + zone.width * (1 - CHECKBOX_INSET)) * scale));
+    const top = Math.max(0, Math.round((zone.y + zone.height * CHECKBOX_INSET) * scale));
+    const bottom = Math.min(height, Math.round((zone.y + zone.height * (1 - CHECKBOX_INSET)) * scale));
+
+    let ink = 0;
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        if (pixels[y * width + x] < INK_THRESHOLD) ink++;
+      }
+    }
+
+    const area = Math.max(1, (right - left) * (bottom - top));
+    return ink / area;
+  } finally {
+    page.cleanup();
+  }
+};
+
+/**
+ * Turn the words of a zone into a value of the zone's type
+ * Text that does not contain the expected number or date is kept as is, with a low confidence.
+ */
+const readZoneValue = (zone, words, confidence) => {
+  const text = toLines(words).map(lineText).join('\n').trim();
+  if (!text || zone.type === 'text') {
+    return { value: text, confidence };
+  }
+
+  const patterns = zone.type === 'number' ? [NUMBER_PATTERN] : DATE_PATTERNS;
+  const match = patterns.map(pattern => text.match(pattern)).find(Boolean);
+  return match
+    ? { value: match[0].trim(), confidence }
+    : { value: text, confidence: Math.min(confidence, MISMATCH_CONFIDENCE) };
+};
+
+/**
+ * Suggest anchor texts for a new template from a sample document
+ * Picks the first lines of page 1 that lie outside every zone, such as the form title.
+ * @param {array} pages - Pages from readTemplatePages
+ * @param {array} zones - Zones of the template
+ */
+export const suggestAnchors = (pages, zones) => {
+  const [firstPage] = pages;
+  if (!firstPage) return [];
+
+  const words = firstPage.words.filter(word => !zones.some(zone => zone.page === 1 && insideZone(word, zone)));
+  return toLines(words)
+    .map(lineText)
+    .filter(text => text.replace(/\s/g, '').length >= MIN_ANCHOR_LENGTH)
+    .slice(0, MAX_ANCHORS)
+    .map(text => ({ page: 1, text }));
+};
+
+/**
+ * Read the page sizes and text of a sample PDF for a new template
+ * @param {string} pdfPath - Path to the sample PDF
+ * @returns {array} [{ page, width, height, words, text }]
+ */
+export const readTemplatePages = async (pdfPath) => {
+  const doc = await openPDF(pdfPath);
+  try {
+    return await readPages(doc);
+  } finally {
+    await doc.destroy();
+  }
+};
+
+/**
+ * Extract the zones of the saved template that matches a PDF
+ * Templates are matched by page size and anchor text. Pages without a text layer
+ * are read from OCR words, which are only requested when a template's page sizes match.
+ * @param {string} pdfPath - Path to the PDF
+ * @param {object} options - { getOcr } returning recognizePDF's result for the PDF
+ * @returns {object|null} { template: { id, name }, fields, fieldConfidence }, or null when no template matches
+ */
+export const extractTemplateZones = async (pdfPath, { getOcr }) => {
+  const templates = await listExtractionTemplates();
+  if (templates.length === 0) {
+    return null;
+  }
+
+  const doc = await openPDF(pdfPath);
+  try {
+    const pages = await readPages(doc);
+    const candidates = templates.filter(template => matchesPageSizes(template, pages));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    // Scanned pages: use OCR words and their confidences instead of the text layer
+    if (pages.some(page => page.words.length === 0)) {
+      const ocr = await getOcr();
+      for (const page of pages.filter(candidate => candidate.words.length === 0)) {
+        const ocrPage = ocr.pages.find(candidate => candidate.page === page.page);
+        if (!ocrPage) continue;
+        page.words = readOcrWords(ocrPage);
+        page.text = toLines(page.words).map(lineText).join('\n');
+        page.ocr = true;
+      }
+    }
+
+    const template = matchExtractionTemplate(candidates, pages);
+    if (!template) {
+      return null;
+    }
+    console.log(`Using extraction template "${template.name}"`);
+
+    const fields = {};
+    const fieldConfidence = {};
+    for (const zone of template.zones) {
+      const page = pages[zone.page - 1];
+      const words = page.words.filter(word => insideZone(word, zone));
+      const confidence = page.ocr && words.length > 0
+        ? words.reduce((total, word) => total + word.confidence, 0) / words.length
+        : TEXT_LAYER_CONFIDENCE;
+
+      if (zone.type === 'checkbox') {
+        const ink = await measureInk(doc, zone);
+        fields[zone.name] = ink >= CHECKED_RATIO ? 'YES' : 'NO';
+        fieldConfidence[zone.name] = Math.abs(ink - CHECKED_RATIO) < CHECKED_RATIO / 2 ? 0.6 : TEXT_LAYER_CONFIDENCE;
+        continue;
+      }
+
+      const result = readZoneValue(zone, words, confidence);
+      fields[zone.name] = result.value;
+      fieldConfidence[zone.name] = result.confidence;
+    }
+
+    return { template: { id: template.id, name: template.name }, fields, fieldConfidence };
+  } finally {
+    await doc.destroy();
+  }
+};
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBoolean, resolveRadioValue, resolveBooleanLocales, checkChoiceValue } from '../services/booleanValues.js';
+
+test('yes/no words are read in the enabled locales', () => {
+  assert.equal(parseBoolean('YES', ['en']), true);
+  assert.equal(parseBoolean('Nu', ['ro']), false);
+  assert.equal(parseBoolean('Bifat', ['ro']), true);
+  assert.equal(parseBoolean('Coché', ['fr']), true);
+  assert.equal(parseBoolean('ja', ['en']), null);
+  assert.equal(parseBoolean('x', []), true);
+  assert.equal(parseBoolean('0', []), false);
+});
+
+test('radio options are picked by name, then by state', () => {
+  assert.deepEqual(resolveRadioValue(['Yes', 'No'], 'YES', ['en']), { option: 'Yes' });
+  assert.deepEqual(resolveRadioValue(['Da', 'Nu'], 'true', ['en', 'ro']), { option: 'Da' });
+  assert.deepEqual(resolveRadioValue(['On'], 'no', ['en']), { clear: true });
+  assert.ok(resolveRadioValue(['Red', 'Blue'], 'yes', ['en']).reason);
+});
+
+test('unknown locales are rejected and checkbox values are checked', () => {
+  assert.deepEqual(resolveBooleanLocales('en, ro'), ['en', 'ro']);
+  assert.throws(() => resolveBooleanLocales(['xx']), { status: 400 });
+  assert.equal(checkChoiceValue({ type: 'checkbox', name: 'Certified' }, 'Ja', ['de']), null);
+  assert.match(checkChoiceValue({ type: 'checkbox', name: 'Certified' }, 'maybe', ['en']), /not a yes\/no value/);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { parseCSV } from '../services/csvParser.js';
+
+const withCSV = async (content, run) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csv-test-'));
+  try {
+    const filePath = path.join(dir, 'data.csv');
+    await fs.writeFile(filePath, content);
+    return await run(filePath);
+  } finally {
+    await fs.remove(dir);
+  }
+};
+
+test('short rows are kept with a warning', () => withCSV('a;b;c\n1;2;3\n4;5\n', async (filePath) => {
+  const { rows, warnings, delimiter } = await parseCSV(filePath);
+  assert.equal(delimiter, ';');
+  assert.deepEqual(rows[1], { a: '4', b: '5', c: '' });
+  assert.equal(warnings[0].row, 1);
+}));
+
+test('an unterminated quote fails with its line and column', () => withCSV('a,b,c\r\n1,2,3\r\n4,"x,6\r\n7,8,9\r\n', async (filePath) => {
+  await assert.rejects(parseCSV(filePath), { status: 400, message: /line 3, column 3/ });
+}));
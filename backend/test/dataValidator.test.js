@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateRow, validateRows, createValidationError } from '../services/dataValidator.js';
+import { parseCSV } from '../services/csvParser.js';
+
+const dataSet = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../data-set');
+
+const ibanIssue = (value) => validateRow({ IBAN: value }).find(entry => entry.rule === 'iban');
+
+test('valid IBANs pass, with or without spaces', () => {
+  assert.equal(ibanIssue('DE89 3704 0044 0532 0130 00'), undefined);
+  assert.equal(ibanIssue('gb82west12345698765432'), undefined);
+  assert.equal(ibanIssue('RO49AAAA1B31007593840000'), undefined);
+});
+
+test('IBANs with wrong check digits, length or shape are errors', () => {
+  assert.match(ibanIssue('DE88370400440532013000').message, /mod-97/);
+  assert.match(ibanIssue('DE8937040044053201300').message, /must have 22 characters, not 21/);
+  assert.match(ibanIssue('3704 0044 0532').message, /country code/);
+  assert.equal(ibanIssue('DE88370400440532013000').severity, 'error');
+});
+
+test('SWIFT codes, currencies, emails and postcodes are checked', () => {
+  const issues = validateRow({
+    'CODE SWIFT (BIC)': 'DEUTDEFF5',
+    CURRENCY: 'EURO',
+    Email: 'jane@example',
+    Postcode: '1234',
+    COUNTRY: 'Germany'
+  });
+  assert.deepEqual(issues.map(entry => entry.rule).sort(), ['currency', 'email', 'postcode', 'swift']);
+  assert.deepEqual(validateRow({ 'CODE SWIFT (BIC)': 'DEUTDEFF500', CURRENCY: 'eur', Postcode: '10115', COUNTRY: 'DE' }), []);
+});
+
+test('the Bank_Details row is rejected for its IBAN checksum only', async () => {
+  const { rows } = await parseCSV(path.join(dataSet, 'Bank_Details_Dummy_Data.csv'));
+  const report = validateRows(rows);
+
+  assert.equal(report.valid, false);
+  assert.equal(report.errorCount, 1);
+  assert.deepEqual(report.results[0].issues.map(entry => entry.column), ['IBAN']);
+
+  const error = createValidationError(report.results[0].issues);
+  assert.equal(error.status, 422);
+  assert.equal(error.validation, report.results[0].issues);
+});
+
+test('required fields and checkbox values are checked against the template', () => {
+  const fields = [
+    { name: 'Surname', type: 'text', required: true },
+    { name: 'Certified', type: 'checkbox' }
+  ];
+  const issues = validateRow({ Surname: '', Certified: 'maybe' }, { fields });
+
+  assert.deepEqual(issues.map(entry => [entry.rule, entry.severity]), [['boolean', 'warning'], ['required', 'error']]);
+  assert.deepEqual(validateRow({ Surname: 'Popescu', Certified: 'Da' }, { fields }), []);
+});
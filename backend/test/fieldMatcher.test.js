@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { tokenize, scoreFieldMatch, suggestFieldMappings } from '../services/fieldMatcher.js';
+import { parseCSV, generateFieldMappings } from '../services/csvParser.js';
+
+const dataSet = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../data-set');
+
+test('tokenize reduces abbreviations and phrases to canonical tokens', () => {
+  assert.deepEqual(tokenize('bankPostCode'), ['bank', 'postcode']);
+  assert.deepEqual(tokenize('BANK_POSTAL CODE'), ['bank', 'postcode']);
+  assert.deepEqual(tokenize('Acct Nr.'), ['account', 'number']);
+  assert.deepEqual(tokenize('Certified (YES/NO)'), ['certified']);
+});
+
+test('scoreFieldMatch tolerates typos and truncations', () => {
+  assert.equal(scoreFieldMatch('IBAN', { name: 'IBAN' }), 1);
+  assert.ok(scoreFieldMatch('Curency', { name: 'Currency' }) >= 0.7);
+  assert.ok(scoreFieldMatch('Cntry', { name: 'Currency' }) < 0.4);
+});
+
+test('Bank_Details columns map to the bank form fields', async () => {
+  const { headers } = await parseCSV(path.join(dataSet, 'Bank_Details_Dummy_Data.csv'));
+  const mappings = generateFieldMappings(headers);
+
+  assert.equal(mappings['title_/_company_name'], 'Title or Company Name');
+  assert.equal(mappings.surname, 'Surname or Last Name');
+  assert.equal(mappings['address:_street'], 'Street Address');
+  assert.equal(mappings.postcode, 'Postal Code');
+  assert.equal(mappings.iban, 'IBAN Number');
+  assert.equal(mappings['code_swift_(bic)'], 'SWIFT Code (BIC)');
+  assert.equal(mappings.bank_name, 'Bank Name');
+  assert.equal(mappings.bank_address_street, 'Bank Street Address');
+  assert.equal(mappings.bank_address_number, 'Bank Street Number');
+  assert.equal(mappings.bank_address_postcode, 'Bank Postal Code');
+  assert.equal(mappings.bank_address_country, 'Bank Country');
+  assert.equal(mappings.name, 'First Name');
+  assert.equal(mappings.number, 'Street Number');
+});
+
+test('equal scores go to the field sharing the column section', () => {
+  const fields = [{ name: 'Bank Account Number' }, { name: 'Bank Street Number' }];
+  const { mappings, suggestions } = suggestFieldMappings(['BANK ADDRESS Number'], fields);
+
+  assert.equal(suggestions.bank_address_number[0].score, suggestions.bank_address_number[1].score);
+  assert.equal(mappings.bank_address_number, 'Bank Street Number');
+});
+
+test('generic words alone only map a column when one free field fits', () => {
+  const fields = [{ name: 'Bank Name' }, { name: 'Company Name' }, { name: 'Street Number' }, { name: 'Routing Number' }];
+  const { mappings, suggestions } = suggestFieldMappings(['NAME', 'Number'], fields);
+
+  assert.equal(mappings.name, 'NAME');
+  assert.equal(mappings.number, 'Number');
+  assert.equal(suggestions.name[0].score, suggestions.name[1].score);
+
+  const single = suggestFieldMappings(['NAME', 'Number'], [{ name: 'Bank Name' }, { name: 'Company Name' }, { name: 'Street Number' }]);
+  assert.equal(single.mappings.name, 'NAME');
+  assert.equal(single.mappings.number, 'Street Number');
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateExpression, parseExpression, MAX_EXPRESSION_LENGTH } from '../services/mappingExpressions.js';
+import { convertRowToFieldData } from '../services/csvParser.js';
+
+const row = {
+  NAME: 'Ion',
+  SURNAME: 'Popescu',
+  'TOWN / CITY': 'Cluj-Napoca',
+  Postcode: '400001',
+  PHONE: ' ',
+  MOBILE: '0722 000 000',
+  CURRENCY: 'ron',
+  'Full Name': 'Ana Maria Ionescu'
+};
+
+test('expressions combine columns and constants', () => {
+  assert.equal(evaluateExpression("join(' ', {NAME}, {SURNAME})", row), 'Ion Popescu');
+  assert.equal(evaluateExpression("{TOWN / CITY} + ', ' + {Postcode}", row), 'Cluj-Napoca, 400001');
+  assert.equal(evaluateExpression("{PHONE} ?? {MOBILE} ?? 'n/a'", row), '0722 000 000');
+  assert.equal(evaluateExpression("if(eq({CURRENCY}, 'RON'), 'Local', 'Foreign')", row), 'Local');
+  assert.equal(evaluateExpression("split({full_name}, ' ', -1)", row), 'Ionescu');
+});
+
+test('invalid expressions are rejected with status 400', () => {
+  assert.throws(() => evaluateExpression('{Missing}', row), { status: 400, message: /unknown column/ });
+  assert.throws(() => parseExpression("join(' ', {NAME}"), { status: 400 });
+  assert.throws(() => parseExpression("eval('1')"), { status: 400 });
+  assert.throws(() => parseExpression('constructor()'), { status: 400, message: /unknown function/ });
+  assert.throws(() => parseExpression("toString({NAME})"), { status: 400, message: /unknown function/ });
+  assert.throws(() => parseExpression(`'${'x'.repeat(MAX_EXPRESSION_LENGTH)}'`), { status: 400 });
+});
+
+test('computed mapping entries fill fields from expressions', () => {
+  const fieldData = convertRowToFieldData(row, {
+    name: 'First Name',
+    holder: { field: 'Holder', expression: "upper(join(' ', {NAME}, {SURNAME}))" }
+  });
+  assert.deepEqual(fieldData.NAME, { value: 'Ion', description: 'First Name' });
+  assert.deepEqual(fieldData.holder, { value: 'ION POPESCU', description: 'Holder' });
+  assert.deepEqual(fieldData['Full Name'], { value: 'Ana Maria Ionescu', description: 'Full Name' });
+});
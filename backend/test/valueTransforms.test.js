@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyTransform, applyTransforms } from '../services/valueTransforms.js';
+
+test('date transforms reformat known input formats and keep unreadable dates', () => {
+  assert.equal(applyTransform('31/12/2024', { type: 'date', to: 'DD.MM.YYYY' }), '31.12.2024');
+  assert.equal(applyTransform('2024-02-30', { type: 'date', to: 'DD/MM/YYYY' }), '2024-02-30');
+});
+
+test('number transforms read either decimal separator', () => {
+  assert.equal(applyTransform('1.234,5', { type: 'number', decimals: 2 }), '1234.50');
+  assert.equal(applyTransform('1234567', { type: 'number', thousandsSeparator: "'" }), "1'234'567");
+});
+
+test('iban and phone transforms normalise the value', () => {
+  assert.equal(applyTransform('ch93-0076 2011 6238 5295 7', { type: 'iban' }), 'CH93 0076 2011 6238 5295 7');
+  assert.equal(applyTransform('079 123 45 67', { type: 'phone', countryCode: '41' }), '+41791234567');
+});
+
+test('pad is limited to 255 characters', () => {
+  assert.equal(applyTransform('7', { type: 'pad', length: 3, char: '0' }), '007');
+  assert.equal(applyTransform('x', { type: 'pad', length: 1e9 }).length, 255);
+});
+
+test('replace swaps literal text, not regular expressions', () => {
+  assert.equal(applyTransform('RO49-AAAA-1B31', { type: 'replace', search: '-', replacement: ' ' }), 'RO49 AAAA 1B31');
+  assert.equal(applyTransform('(a+)+$', { type: 'replace', search: '(a+)+$', replacement: 'x' }), 'x');
+  assert.equal(applyTransform('aaaa!', { type: 'replace', search: '(a+)+$' }), 'aaaa!');
+  assert.equal(applyTransform('a.b', { type: 'replace', search: '' }), 'a.b');
+});
+
+test('transforms run in order', () => {
+  assert.equal(applyTransforms('  jean-luc  picard ', [{ type: 'trim' }, { type: 'case', mode: 'title' }]), 'Jean-Luc Picard');
+  assert.throws(() => applyTransforms('a', { type: 'trim' }), { status: 400 });
+});
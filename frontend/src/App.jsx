@@ -2,7 +2,8 @@ import React, { useState, useEffect } from 'react';
 import FileUpload from './components/FileUpload';
 import CsvPreview from './components/CsvPreview';
 import PdfViewer from './components/PdfViewer';
-import { uploadFiles, parseCSV, parsePDF, parseText, fillForm, getDownloadUrl, getPreviewUrl } from './services/api';
+import BatchResult from './components/BatchResult';
+import { uploadFiles, parseCSV, parseSpreadsheet, parseJSON, parsePDF, parseText, getTemplateFields, suggestFieldMappings, submitFillJob, submitBatchJob, waitForJob, getDownloadUrl, getPreviewUrl } from './services/api';
 import './App.css';
 
 function App() {
@@ -14,6 +15,7 @@ function App() {
   const [step, setStep] = useState(1);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [progressMessage, setProgressMessage] = useState(null);
   
   useEffect(() => {
     localStorage.setItem('darkMode', JSON.stringify(darkMode));
@@ -26,41 +28,44 @@ function App() {
   
   // File data
   const [uploadedFiles, setUploadedFiles] = useState(null);
-  const [dataType, setDataType] = useState('csv'); // 'csv' or 'pdf'
+  const [dataType, setDataType] = useState('csv'); // 'csv', 'spreadsheet', 'json', 'pdf' or 'text'
   const [csvData, setCsvData] = useState(null);
+  const [sheet, setSheet] = useState(null);
+  const [sheetNames, setSheetNames] = useState([]);
+  const [arrayPolicy, setArrayPolicy] = useState(null);
+  const [csvOptions, setCsvOptions] = useState(null); // { delimiter, encoding } used to read the CSV
+  const [pdfOptions, setPdfOptions] = useState(null); // { pagesPerDocument, pageRanges, method, forceMethod } for data PDFs
   const [fieldMappings, setFieldMappings] = useState(null);
+  const [mappingSuggestions, setMappingSuggestions] = useState(null); // ranked template fields per column
+  const [templateFields, setTemplateFields] = useState([]);
+  const [templateFingerprint, setTemplateFingerprint] = useState(null);
+  const [suggestedProfile, setSuggestedProfile] = useState(null);
   
   // Result data
-  const [filledPdfFilename, setFilledPdfFilename] = useState(null);
+  const [filledPdfFileId, setFilledPdfFileId] = useState(null);
   const [fieldsFilledCount, setFieldsFilledCount] = useState(0);
+  const [fillReport, setFillReport] = useState(null);
+  const [batchResult, setBatchResult] = useState(null);
 
-  const handleFilesSelected = async (pdfFile, dataFile, fileDataType, inputMode) => {
+  const handleFilesSelected = async (pdfSource, dataFile, fileDataType, inputMode, templateInfo = {}) => {
     setLoading(true);
     setError(null);
     
     try {
       let parsedResult;
+      let uploadedPdf;
       
       if (inputMode === 'text') {
         // Handle manual text input
         console.log('Processing manual text input');
         
-        // Create a FormData and upload only the PDF
-        const formData = new FormData();
-        formData.append('pdf', pdfFile);
-        
-        const response = await fetch('http://localhost:5000/api/upload', {
-          method: 'POST',
-          body: formData,
-        });
-        
-        if (!response.ok) {
-          throw new Error('Failed to upload PDF');
-        }
-        
-        const uploadResult = await response.json();
+        // Upload only the PDF (or pick the library template)
+        const uploadResult = await uploadFiles(pdfSource, null, 'text', templateInfo);
         setUploadedFiles(uploadResult.files);
         setDataType('text');
+        setTemplateFingerprint(uploadResult.templateFingerprint);
+        setSuggestedProfile(uploadResult.suggestedProfile);
+        uploadedPdf = uploadResult.files.pdf;
         
         // Parse the text directly
         parsedResult = await parseText(dataFile); // dataFile is actually the text string
@@ -69,21 +74,35 @@ function App() {
         sessionStorage.setItem('manualTextData', dataFile);
         
       } else {
-        // Handle file upload (CSV or PDF)
-        const uploadResult = await uploadFiles(pdfFile, dataFile, fileDataType);
+        // Handle file upload (CSV, spreadsheet, JSON or PDF)
+        const uploadResult = await uploadFiles(pdfSource, dataFile, fileDataType, templateInfo);
         setUploadedFiles(uploadResult.files);
         setDataType(uploadResult.dataType);
+        setTemplateFingerprint(uploadResult.templateFingerprint);
+        setSuggestedProfile(uploadResult.suggestedProfile);
+        uploadedPdf = uploadResult.files.pdf;
         
         // Parse data based on type
         if (uploadResult.dataType === 'csv') {
-          parsedResult = await parseCSV(uploadResult.files.csv.path);
+          parsedResult = await parseCSV(uploadResult.files.csv.fileId);
+          setCsvOptions({ delimiter: parsedResult.data.delimiter, encoding: parsedResult.data.encoding });
+        } else if (uploadResult.dataType === 'spreadsheet') {
+          parsedResult = await parseSpreadsheet(uploadResult.files.spreadsheet.fileId);
+          setSheet(parsedResult.sheet);
+          setSheetNames(parsedResult.sheetNames);
+        } else if (uploadResult.dataType === 'json') {
+          parsedResult = await parseJSON(uploadResult.files.json.fileId);
+          setArrayPolicy(parsedResult.arrayPolicy);
         } else {
-          parsedResult = await parsePDF(uploadResult.files.dataPdf.path);
+          parsedResult = await parsePDF(uploadResult.files.dataPdf.map((handle) => handle.fileId));
+          setPdfOptions({});
         }
       }
       
       setCsvData(parsedResult.data);
-      setFieldMappings(parsedResult.fieldMappings);
+      await applyFieldMappings(parsedResult, uploadedPdf.templateId);
+      // Field listing is informational; a template without a readable form still works with Datalab
+      setTemplateFields(await getTemplateFields(uploadedPdf.templateId).catch(() => []));
       
       // Move to next step
       setStep(2);
@@ -95,35 +114,114 @@ function App() {
     }
   };
 
-  const handleRowSelected = async (rowIndex, context) => {
+  // Match the data columns to the template's own fields; earlier mapping edits win over suggestions
+  const applyFieldMappings = async (parsedResult, templateId, previousMappings = {}) => {
+    const suggested = await suggestFieldMappings(templateId, parsedResult.data.headers).catch(() => null);
+    setMappingSuggestions(suggested?.suggestions || null);
+    setFieldMappings({ ...parsedResult.fieldMappings, ...suggested?.mappings, ...previousMappings });
+  };
+
+  const getDataSource = () => {
+    if (dataType === 'text') {
+      // Get text data from session storage
+      return sessionStorage.getItem('manualTextData');
+    } else if (dataType === 'csv') {
+      return { fileId: uploadedFiles.csv.fileId, ...csvOptions };
+    } else if (dataType === 'spreadsheet') {
+      return { fileId: uploadedFiles.spreadsheet.fileId, sheet };
+    } else if (dataType === 'json') {
+      return { fileId: uploadedFiles.json.fileId, arrayPolicy };
+    }
+    return { fileIds: uploadedFiles.dataPdf.map((handle) => handle.fileId), ...pdfOptions };
+  };
+
+  const handleSheetChange = async (sheetName) => {
+    setError(null);
+
+    try {
+      const parsedResult = await parseSpreadsheet(uploadedFiles.spreadsheet.fileId, sheetName);
+      setSheet(parsedResult.sheet);
+      setCsvData(parsedResult.data);
+      // Keep mapping edits for columns that also exist on the new sheet
+      await applyFieldMappings(parsedResult, uploadedFiles.pdf.templateId, fieldMappings);
+    } catch (err) {
+      console.error('Error reading sheet:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to read sheet');
+    }
+  };
+
+  const handleCsvOptionsChange = async (options) => {
+    setError(null);
+
+    try {
+      const parsedResult = await parseCSV(uploadedFiles.csv.fileId, { ...csvOptions, ...options });
+      setCsvOptions({ delimiter: parsedResult.data.delimiter, encoding: parsedResult.data.encoding });
+      setCsvData(parsedResult.data);
+      // Keep mapping edits for columns that still exist with the new settings
+      await applyFieldMappings(parsedResult, uploadedFiles.pdf.templateId, fieldMappings);
+    } catch (err) {
+      console.error('Error re-reading CSV:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to read CSV');
+    }
+  };
+
+  const handlePdfOptionsChange = async (options, { diagnostics = false } = {}) => {
+    setError(null);
+
+    try {
+      const parsedResult = await parsePDF(uploadedFiles.dataPdf.map((handle) => handle.fileId), { ...options, diagnostics });
+      setPdfOptions(options);
+      setCsvData(parsedResult.data);
+      // Keep mapping edits for fields that are still extracted
+      await applyFieldMappings(parsedResult, uploadedFiles.pdf.templateId, fieldMappings);
+    } catch (err) {
+      console.error('Error re-reading PDF data:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to read PDF data');
+    }
+  };
+
+  const handleArrayPolicyChange = async (policy) => {
+    setError(null);
+
+    try {
+      const parsedResult = await parseJSON(uploadedFiles.json.fileId, policy);
+      setArrayPolicy(parsedResult.arrayPolicy);
+      setCsvData(parsedResult.data);
+      // Keep mapping edits for columns that still exist under the new policy
+      await applyFieldMappings(parsedResult, uploadedFiles.pdf.templateId, fieldMappings);
+    } catch (err) {
+      console.error('Error re-reading JSON data:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to read JSON data');
+    }
+  };
+
+  const handleJobProgress = (job) => {
+    setProgressMessage(job.progress?.message || null);
+  };
+
+  const handleRowSelected = async (rowIndex, context, options = {}) => {
     setLoading(true);
     setError(null);
     
     try {
-      // Get data based on type
-      let dataPath;
+      const dataSource = getDataSource();
       
-      if (dataType === 'text') {
-        // Get text data from session storage
-        dataPath = sessionStorage.getItem('manualTextData');
-      } else if (dataType === 'csv') {
-        dataPath = uploadedFiles.csv.path;
-      } else {
-        dataPath = uploadedFiles.dataPdf.path;
-      }
-      
-      // Fill form
-      const fillResult = await fillForm(
-        uploadedFiles.pdf.path,
-        dataPath,
+      // Fill form as a background job and follow its progress
+      const jobId = await submitFillJob(
+        uploadedFiles.pdf.templateId,
+        dataSource,
         dataType,
         rowIndex,
         context,
-        fieldMappings
+        fieldMappings,
+        options
       );
+      const fillResult = await waitForJob(jobId, handleJobProgress);
       
-      setFilledPdfFilename(fillResult.filledPdfFilename);
+      setFilledPdfFileId(fillResult.filledPdfFileId);
       setFieldsFilledCount(fillResult.fieldsFilledCount);
+      setFillReport(fillResult.report);
+      setBatchResult(null);
       
       // Move to next step
       setStep(3);
@@ -132,22 +230,65 @@ function App() {
       setError(err.response?.data?.error || err.message || 'Failed to fill form');
     } finally {
       setLoading(false);
+      setProgressMessage(null);
+    }
+  };
+
+  const handleBatchFill = async (options) => {
+    setLoading(true);
+    setError(null);
+    
+    try {
+      const jobId = await submitBatchJob(
+        uploadedFiles.pdf.templateId,
+        getDataSource(),
+        dataType,
+        { ...options, customMappings: fieldMappings }
+      );
+      const result = await waitForJob(jobId, handleJobProgress);
+      
+      setBatchResult(result);
+      setFilledPdfFileId(null);
+      
+      // Move to next step
+      setStep(3);
+    } catch (err) {
+      console.error('Error batch filling form:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to batch fill form');
+    } finally {
+      setLoading(false);
+      setProgressMessage(null);
     }
   };
 
-  const handleDownload = () => {
-    const downloadUrl = getDownloadUrl(filledPdfFilename);
+  const handleDownload = (flatten = false) => {
+    const downloadUrl = getDownloadUrl(filledPdfFileId, flatten);
     window.open(downloadUrl, '_blank');
   };
 
+  const handleBatchDownload = () => {
+    window.open(getDownloadUrl(batchResult.outputFileId), '_blank');
+  };
+
   const handleStartOver = () => {
     setStep(1);
     setUploadedFiles(null);
     setDataType('csv');
     setCsvData(null);
+    setSheet(null);
+    setSheetNames([]);
+    setArrayPolicy(null);
+    setCsvOptions(null);
+    setPdfOptions(null);
     setFieldMappings(null);
-    setFilledPdfFilename(null);
+    setMappingSuggestions(null);
+    setTemplateFields([]);
+    setTemplateFingerprint(null);
+    setSuggestedProfile(null);
+    setFilledPdfFileId(null);
     setFieldsFilledCount(0);
+    setFillReport(null);
+    setBatchResult(null);
     setError(null);
     // Clear session storage
     sessionStorage.removeItem('manualTextData');
@@ -215,7 +356,7 @@ function App() {
         {loading && (
           <div className="loading-container">
             <div className="loading-spinner"></div>
-            <p>Processing... Please wait</p>
+            <p>{progressMessage || 'Processing... Please wait'}</p>
           </div>
         )}
 
@@ -230,18 +371,44 @@ function App() {
               <CsvPreview
                 csvData={csvData}
                 fieldMappings={fieldMappings}
+                mappingSuggestions={mappingSuggestions}
+                templateId={uploadedFiles?.pdf?.templateId}
+                templateFields={templateFields}
+                templateFingerprint={templateFingerprint}
+                suggestedProfile={suggestedProfile}
+                sheet={sheet}
+                sheetNames={sheetNames}
+                onSheetChange={handleSheetChange}
+                csvOptions={csvOptions}
+                onCsvOptionsChange={handleCsvOptionsChange}
+                pdfOptions={pdfOptions}
+                onPdfOptionsChange={handlePdfOptionsChange}
+                zoneSample={uploadedFiles?.dataPdf?.[0]}
+                arrayPolicy={arrayPolicy}
+                onArrayPolicyChange={handleArrayPolicyChange}
+                onMappingsChange={setFieldMappings}
                 onRowSelected={handleRowSelected}
+                onBatchFill={handleBatchFill}
                 onBack={handleBackToUpload}
               />
             )}
 
-            {step === 3 && filledPdfFilename && (
+            {step === 3 && filledPdfFileId && (
               <PdfViewer
-                pdfUrl={getPreviewUrl(filledPdfFilename)}
+                pdfUrl={getPreviewUrl(filledPdfFileId)}
                 title="Your filled PDF is ready!"
                 onDownload={handleDownload}
                 onBack={handleStartOver}
                 fieldsFilledCount={fieldsFilledCount}
+                report={fillReport}
+              />
+            )}
+
+            {step === 3 && batchResult && (
+              <BatchResult
+                result={batchResult}
+                onDownload={handleBatchDownload}
+                onBack={handleStartOver}
               />
             )}
           </>
@@ -0,0 +1,71 @@
+import React from 'react';
+import './BatchResult.css';
+
+/**
+ * Summarize a filled row: field count, engine and values that were not placed
+ */
+const describeFilledRow = (entry) => {
+  const summary = `${entry.fieldsFilledCount} field${entry.fieldsFilledCount !== 1 ? 's' : ''} (${entry.engine})`;
+  return entry.unmatchedFields?.length ? `${summary}, not placed: ${entry.unmatchedFields.join(', ')}` : summary;
+};
+
+const BatchResult = ({ result, onDownload, onBack }) => {
+  const { output, manifest, successCount, failureCount } = result;
+
+  return (
+    <div className="batch-result-container">
+      <h2>Step 3: Download Batch</h2>
+      <p className="subtitle">
+        {output === 'zip' ? 'Your ZIP of filled PDFs is ready!' : 'Your merged PDF is ready!'}
+      </p>
+
+      <div className="success-message">
+        Successfully filled {successCount} of {manifest.length} row{manifest.length !== 1 ? 's' : ''}
+      </div>
+
+      {failureCount > 0 && (
+        <div className="error-message">
+          <strong>{failureCount} row{failureCount !== 1 ? 's' : ''} failed.</strong> See the manifest below for details.
+        </div>
+      )}
+
+      {/* Manifest */}
+      <div className="table-container">
+        <table className="csv-table">
+          <thead>
+            <tr>
+              <th>Row</th>
+              <th>File</th>
+              <th>Status</th>
+              <th>Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            {manifest.map((entry) => (
+              <tr key={entry.rowIndex} className={entry.success ? '' : 'batch-row-failed'}>
+                <td>{entry.rowIndex + 1}</td>
+                <td>{entry.filename}</td>
+                <td>{entry.success ? 'Filled' : 'Failed'}</td>
+                <td>
+                  {entry.success ? describeFilledRow(entry) : entry.error}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Actions */}
+      <div className="pdf-actions">
+        <button className="btn btn-secondary" onClick={onBack}>
+          Start Over
+        </button>
+        <button className="btn btn-success" onClick={onDownload}>
+          {output === 'zip' ? 'Download ZIP' : 'Download Merged PDF'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BatchResult;
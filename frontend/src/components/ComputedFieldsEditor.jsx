@@ -0,0 +1,93 @@
+import React from 'react';
+import TransformEditor from './TransformEditor';
+import './ComputedFieldsEditor.css';
+
+// Starting expressions for a new computed field, built from the first data columns
+const PRESETS = [
+  { value: 'combine', label: 'Combine columns', build: ([first, second]) => `join(' ', {${first}}, {${second ?? first}})` },
+  { value: 'default', label: 'Column with a default', build: ([first]) => `{${first}} ?? 'default'` },
+  { value: 'part', label: 'Part of a column', build: ([first]) => `split({${first}}, ' ', 0)` },
+  { value: 'constant', label: 'Constant text', build: () => `'text'` },
+];
+
+/**
+ * Edit the computed mapping entries: fields filled from an expression over the row
+ * Expressions are evaluated on the server; see the README for the functions they can use.
+ */
+const ComputedFieldsEditor = ({ mappings, columns, preview, onChange }) => {
+  const entries = Object.entries(mappings || {}).filter(([, mapping]) => mapping?.expression !== undefined);
+
+  const updateEntry = (key, changes) => {
+    onChange({ ...mappings, [key]: { ...mappings[key], ...changes } });
+  };
+
+  const handleAdd = (presetValue) => {
+    const preset = PRESETS.find(({ value }) => value === presetValue);
+    if (!preset) return;
+
+    let number = 1;
+    while (mappings?.[`computed_${number}`]) number++;
+    onChange({ ...mappings, [`computed_${number}`]: { field: '', expression: preset.build(columns) } });
+  };
+
+  const handleRemove = (key) => {
+    const { [key]: removed, ...rest } = mappings;
+    onChange(rest);
+  };
+
+  return (
+    <div className="computed-fields">
+      <h4>Computed Fields</h4>
+      <p className="mappings-hint">
+        Fill a field from several columns, a constant or a part of a column, e.g. {"join(' ', {NAME}, {SURNAME})"},
+        {" {PHONE} ?? {MOBILE}"} or {"split({Full Name}, ' ', -1)"}
+      </p>
+      <div className="mappings-grid">
+        {entries.map(([key, mapping]) => (
+          <div key={key} className="mapping-item">
+            <div className="mapping-source">
+              <span className="mapping-label">Expression:</span>
+              <input
+                className="mapping-input computed-expression"
+                type="text"
+                value={mapping.expression}
+                onChange={(e) => updateEntry(key, { expression: e.target.value })}
+              />
+            </div>
+            <div className="mapping-arrow">to</div>
+            <div className="mapping-target">
+              <span className="mapping-label">PDF Field:</span>
+              <input
+                className="mapping-input"
+                type="text"
+                list="template-field-names"
+                placeholder={key}
+                value={mapping.field}
+                onChange={(e) => updateEntry(key, { field: e.target.value })}
+              />
+              <TransformEditor
+                transforms={mapping.transforms}
+                onChange={(transforms) => updateEntry(key, { transforms: transforms.length > 0 ? transforms : undefined })}
+              />
+            </div>
+            <div className="mapping-data">
+              <span className="mapping-label">Value:</span>
+              <span className="mapping-value data-value">{preview?.[key]?.value ?? ''}</span>
+              <button type="button" className="computed-remove" onClick={() => handleRemove(key)}>
+                Remove
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+      <select className="computed-add" value="" onChange={(e) => handleAdd(e.target.value)}>
+        <option value="">Add computed field...</option>
+        {PRESETS.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default ComputedFieldsEditor;
@@ -1,9 +1,176 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import ProfilePicker from './ProfilePicker';
+import TransformEditor from './TransformEditor';
+import ComputedFieldsEditor from './ComputedFieldsEditor';
+import ZoneTemplateEditor from './ZoneTemplateEditor';
+import { previewFieldData, validateRows } from '../services/api';
 import './CsvPreview.css';
 
-const CsvPreview = ({ csvData, fieldMappings, onRowSelected, onBack }) => {
+// Mapping keys are column names lower-cased with spaces replaced by underscores
+const toMappingKey = (column) => column.toLowerCase().replace(/\s+/g, '_');
+
+// A mapping is a field name, or { field, transforms } when the value is reformatted
+const getMappedField = (mapping) => (mapping && typeof mapping === 'object' ? mapping.field : mapping);
+
+// Where a row extracted from a data PDF came from, e.g. "merged.pdf p. 3-4 (ocr, 92%)"
+const describeSource = ({ fileName, pages, method, extractionTemplate, confidence }) =>
+  `${fileName}${pages ? ` p. ${pages}` : ''} (${method}${extractionTemplate ? ` "${extractionTemplate.name}"` : ''}${confidence != null ? `, ${Math.round(confidence * 100)}%` : ''})`;
+
+// Badge of the worst validation issue in a cell, with every message as its tooltip
+const ValidationBadge = ({ issues }) => {
+  if (!issues?.length) return null;
+  const severity = issues.some((issue) => issue.severity === 'error') ? 'error' : 'warning';
+  return (
+    <span className={`validation-badge ${severity}`} title={issues.map((issue) => issue.message).join('\n')}>
+      {severity === 'error' ? '×' : '!'}
+    </span>
+  );
+};
+
+// Layout-extracted PDF values below this confidence are highlighted for review
+const LOW_FIELD_CONFIDENCE = 0.7;
+
+// Suggested column-to-field matches below this score are flagged for review
+const LOW_MATCH_SCORE = 0.6;
+
+// Data PDF extraction methods, tried in this order unless one is preferred or forced
+const EXTRACTION_METHODS = [
+  { value: 'zones', label: 'Zone template' },
+  { value: 'form-fields', label: 'Form fields' },
+  { value: 'pdf2json', label: 'Layout (pdf2json)' },
+  { value: 'text-extraction', label: 'Plain text' },
+  { value: 'ocr', label: 'OCR' },
+];
+
+// Yes/no words understood for checkbox and radio fields, besides 1/0 and x
+const BOOLEAN_LOCALES = [
+  { value: '', label: 'All languages' },
+  { value: 'en', label: 'English (yes/no, true/false)' },
+  { value: 'ro', label: 'Romanian (da/nu)' },
+  { value: 'de', label: 'German (ja/nein)' },
+  { value: 'fr', label: 'French (oui/non)' },
+];
+
+const CSV_DELIMITERS = [
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe (|)' },
+];
+
+const CSV_ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'windows-1252', label: 'Windows-1252 (Western European)' },
+  { value: 'iso-8859-1', label: 'ISO-8859-1 (Latin-1)' },
+  { value: 'iso-8859-2', label: 'ISO-8859-2 (Central European)' },
+  { value: 'utf-16le', label: 'UTF-16 LE' },
+  { value: 'utf-16be', label: 'UTF-16 BE' },
+];
+
+const CsvPreview = ({
+  csvData,
+  fieldMappings,
+  mappingSuggestions,
+  templateId,
+  templateFields = [],
+  templateFingerprint,
+  suggestedProfile,
+  sheet,
+  sheetNames = [],
+  onSheetChange,
+  csvOptions,
+  onCsvOptionsChange,
+  pdfOptions,
+  onPdfOptionsChange,
+  zoneSample,
+  arrayPolicy,
+  onArrayPolicyChange,
+  onMappingsChange,
+  onRowSelected,
+  onBatchFill,
+  onBack
+}) => {
   const [selectedRow, setSelectedRow] = useState(null);
   const [context, setContext] = useState('');
+  const [batchOutput, setBatchOutput] = useState('zip');
+  const [filenameTemplate, setFilenameTemplate] = useState('filled_{index}.pdf');
+  const [flattenBatch, setFlattenBatch] = useState(false);
+  const [splitMode, setSplitMode] = useState('file');
+  const [pagesPerDocument, setPagesPerDocument] = useState(1);
+  const [pageRanges, setPageRanges] = useState('');
+  const [extractionMethod, setExtractionMethod] = useState('auto');
+  const [forceMethod, setForceMethod] = useState(false);
+  const [showZoneEditor, setShowZoneEditor] = useState(false);
+  const [fieldPreview, setFieldPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+  const [validation, setValidation] = useState(null);
+  const [booleanLocale, setBooleanLocale] = useState('');
+  const booleanLocales = booleanLocale ? [booleanLocale] : null;
+
+  // Check every row as it will be filled; the server repeats the check before filling
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      validateRows(templateId, csvData.rows, fieldMappings, booleanLocale ? [booleanLocale] : null)
+        .then((result) => {
+          if (!cancelled) setValidation(result);
+        })
+        .catch((err) => {
+          console.error('Validation failed:', err);
+          if (!cancelled) setValidation(null);
+        });
+    }, 500);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [templateId, csvData, fieldMappings, booleanLocale]);
+
+  // Values of the selected row after mappings and transforms, as they will be filled in
+  useEffect(() => {
+    if (selectedRow === null) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      previewFieldData(csvData.rows[selectedRow], fieldMappings)
+        .then((fieldData) => {
+          if (cancelled) return;
+          setFieldPreview(fieldData);
+          setPreviewError(null);
+        })
+        .catch((err) => {
+          if (cancelled) return;
+          setFieldPreview(null);
+          setPreviewError(err.response?.data?.error || 'Could not preview the transformed values');
+        });
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [selectedRow, csvData, fieldMappings]);
+
+  // Warning messages by row index
+  const warnings = csvData.warnings || [];
+  const rowWarnings = {};
+  warnings.filter((warning) => warning.row !== null).forEach((warning) => {
+    rowWarnings[warning.row] = rowWarnings[warning.row] ? `${rowWarnings[warning.row]}\n${warning.message}` : warning.message;
+  });
+
+  // Validation issues by row index, then by column ('' for required fields no column is mapped to)
+  const cellIssues = {};
+  (validation?.results || []).forEach(({ rowIndex, issues }) => {
+    cellIssues[rowIndex] = {};
+    issues.forEach((issue) => {
+      const column = issue.column ?? '';
+      cellIssues[rowIndex][column] = [...(cellIssues[rowIndex][column] || []), issue];
+    });
+  });
+  const rowsWithErrors = (validation?.results || [])
+    .filter(({ issues }) => issues.some((issue) => issue.severity === 'error'))
+    .map(({ rowIndex }) => rowIndex);
 
   const handleRowSelect = (index) => {
     setSelectedRow(index);
@@ -11,23 +178,313 @@ const CsvPreview = ({ csvData, fieldMappings, onRowSelected, onBack }) => {
 
   const handleSubmit = () => {
     if (selectedRow !== null) {
-      onRowSelected(selectedRow, context);
+      if (!rowsWithErrors.includes(selectedRow)) {
+        onRowSelected(selectedRow, context, { booleanLocales });
+        return;
+      }
+      const messages = Object.values(cellIssues[selectedRow]).flat()
+        .filter((issue) => issue.severity === 'error')
+        .map((issue) => `- ${issue.column || issue.field}: ${issue.message}`);
+      if (window.confirm(`Row ${selectedRow + 1} has validation errors:\n${messages.join('\n')}\n\nFill the form anyway?`)) {
+        onRowSelected(selectedRow, context, { skipValidation: true, booleanLocales });
+      }
     } else {
       alert('Please select a row from the CSV data');
     }
   };
 
+  const handleSheetSelect = (sheetName) => {
+    setSelectedRow(null);
+    onSheetChange(sheetName);
+  };
+
+  const handleCsvOptionSelect = (option, value) => {
+    setSelectedRow(null);
+    onCsvOptionsChange({ [option]: value });
+  };
+
+  const getPdfSplit = () => {
+    if (splitMode === 'pages') {
+      return { pagesPerDocument: Number(pagesPerDocument) };
+    }
+    if (splitMode === 'ranges') {
+      return { pageRanges };
+    }
+    return {};
+  };
+
+  const handlePdfOptionsApply = (extraction = {}) => {
+    setSelectedRow(null);
+    onPdfOptionsChange({ ...getPdfSplit(), method: extractionMethod, forceMethod, ...extraction.options }, extraction.request);
+  };
+
+  const handleUseMethod = (method) => {
+    setExtractionMethod(method);
+    setForceMethod(true);
+    handlePdfOptionsApply({ options: { method, forceMethod: true } });
+  };
+
+  const handleMappingChange = (column, target) => {
+    const mapping = fieldMappings[toMappingKey(column)];
+    const transforms = mapping && typeof mapping === 'object' ? mapping.transforms : null;
+    onMappingsChange({ ...fieldMappings, [toMappingKey(column)]: transforms ? { field: target, transforms } : target });
+  };
+
+  const handleTransformsChange = (column, transforms) => {
+    const field = getMappedField(fieldMappings[toMappingKey(column)]) ?? column;
+    onMappingsChange({ ...fieldMappings, [toMappingKey(column)]: transforms.length > 0 ? { field, transforms } : field });
+  };
+
+  // Score of the field a column is mapped to, from the ranked template field suggestions
+  const getMatchScore = (column) => {
+    const target = getMappedField(fieldMappings[toMappingKey(column)]) ?? column;
+    return mappingSuggestions?.[toMappingKey(column)]?.find((suggestion) => suggestion.field === target)?.score ?? null;
+  };
+
+  const handleApplyProfile = (profile) => {
+    onMappingsChange({ ...fieldMappings, ...profile.mappings });
+    setContext(profile.context || '');
+    if (profile.options?.batchOutput) {
+      setBatchOutput(profile.options.batchOutput);
+    }
+    if (profile.options?.filenameTemplate) {
+      setFilenameTemplate(profile.options.filenameTemplate);
+    }
+    if (profile.options?.flatten !== undefined) {
+      setFlattenBatch(Boolean(profile.options.flatten));
+    }
+  };
+
+  const handleBatchSubmit = () => {
+    if (rowsWithErrors.length > 0 && !window.confirm(
+      `${rowsWithErrors.length} row${rowsWithErrors.length === 1 ? ' has' : 's have'} validation errors and will be skipped. Fill the other rows?`
+    )) {
+      return;
+    }
+    onBatchFill({
+      rowIndexes: 'all',
+      output: batchOutput,
+      filenameTemplate,
+      flatten: flattenBatch,
+      context,
+      booleanLocales,
+    });
+  };
+
   return (
     <div className="csv-preview-container">
       <h2>Step 2: Select CSV Row</h2>
       <p className="subtitle">Choose which row of data to use for filling the form</p>
 
+      <ProfilePicker
+        fingerprint={templateFingerprint}
+        suggestedProfile={suggestedProfile}
+        currentProfile={{
+          mappings: fieldMappings,
+          context,
+          options: { batchOutput, filenameTemplate, flatten: flattenBatch },
+        }}
+        onApply={handleApplyProfile}
+      />
+
+      {/* Sheet Selection (XLSX/ODS workbooks) */}
+      {sheetNames.length > 1 && (
+        <div className="source-option">
+          <label>
+            <span className="mapping-label">Sheet</span>
+            <select value={sheet || ''} onChange={(e) => handleSheetSelect(e.target.value)}>
+              {sheetNames.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {/* Delimiter and Encoding (CSV data) */}
+      {csvOptions && (
+        <div className="source-option">
+          <label>
+            <span className="mapping-label">Delimiter</span>
+            <select value={csvOptions.delimiter} onChange={(e) => handleCsvOptionSelect('delimiter', e.target.value)}>
+              {CSV_DELIMITERS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span className="mapping-label">Encoding</span>
+            <select value={csvOptions.encoding} onChange={(e) => handleCsvOptionSelect('encoding', e.target.value)}>
+              {CSV_ENCODINGS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {/* Document Splitting and Extraction Method (PDF data) */}
+      {pdfOptions && (
+        <div className="source-option">
+          <label>
+            <span className="mapping-label">Documents</span>
+            <select value={splitMode} onChange={(e) => setSplitMode(e.target.value)}>
+              <option value="file">One row per PDF file</option>
+              <option value="pages">Split every N pages</option>
+              <option value="ranges">Split by page ranges</option>
+            </select>
+          </label>
+          {splitMode === 'pages' && (
+            <label>
+              <span className="mapping-label">Pages per document</span>
+              <input
+                type="number"
+                min="1"
+                value={pagesPerDocument}
+                onChange={(e) => setPagesPerDocument(e.target.value)}
+              />
+            </label>
+          )}
+          {splitMode === 'ranges' && (
+            <label>
+              <span className="mapping-label">Page ranges</span>
+              <input
+                type="text"
+                placeholder="e.g. 1-2, 3-5, 6"
+                value={pageRanges}
+                onChange={(e) => setPageRanges(e.target.value)}
+              />
+            </label>
+          )}
+          <label>
+            <span className="mapping-label">Extraction</span>
+            <select value={extractionMethod} onChange={(e) => setExtractionMethod(e.target.value)}>
+              <option value="auto">Automatic</option>
+              {EXTRACTION_METHODS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {extractionMethod !== 'auto' && (
+            <label title="Use this method even when it finds little data, instead of falling back to the others">
+              <input type="checkbox" checked={forceMethod} onChange={(e) => setForceMethod(e.target.checked)} />
+              Only this method
+            </label>
+          )}
+          <button className="btn btn-secondary" onClick={() => handlePdfOptionsApply()}>
+            Apply
+          </button>
+          <button className="btn btn-secondary" onClick={() => handlePdfOptionsApply({ request: { diagnostics: true } })}>
+            Compare methods
+          </button>
+          {zoneSample && (
+            <button className="btn btn-secondary" onClick={() => setShowZoneEditor(!showZoneEditor)}>
+              Draw zones
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Zone extraction template drawn on the first data PDF */}
+      {showZoneEditor && (
+        <ZoneTemplateEditor
+          sample={zoneSample}
+          onSaved={() => handlePdfOptionsApply()}
+          onClose={() => setShowZoneEditor(false)}
+        />
+      )}
+
+      {/* Every extraction method side by side, after "Compare methods" */}
+      {csvData.sources?.some((source) => source.diagnostics) && (
+        <details className="extraction-diagnostics" open>
+          <summary>Extraction methods compared</summary>
+          {csvData.sources.map((source, sourceIndex) => source.diagnostics && (
+            <table key={sourceIndex} className="csv-table">
+              <caption>{describeSource(source)}</caption>
+              <thead>
+                <tr>
+                  <th>Method</th>
+                  <th>Fields</th>
+                  <th>Confidence</th>
+                  <th>Time</th>
+                  <th>Result</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {source.diagnostics.map((result) => (
+                  <tr key={result.method} className={result.method === source.method ? 'selected' : ''}>
+                    <td>{EXTRACTION_METHODS.find(({ value }) => value === result.method)?.label || result.method}</td>
+                    <td title={Object.keys(result.fields).join('\n')}>{result.fieldCount}</td>
+                    <td>{result.confidence != null ? `${Math.round(result.confidence * 100)}%` : '-'}</td>
+                    <td>{(result.durationMs / 1000).toFixed(1)} s</td>
+                    <td className={result.error || !result.accepted ? 'low-confidence' : ''}>
+                      {result.error || (result.accepted ? 'Usable' : 'Too little data')}
+                    </td>
+                    <td>
+                      <button className="btn btn-secondary" onClick={() => handleUseMethod(result.method)}>
+                        Use
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ))}
+        </details>
+      )}
+
+      {/* Array Handling (JSON data) */}
+      {arrayPolicy && (
+        <div className="source-option">
+          <label>
+            <span className="mapping-label">Arrays</span>
+            <select value={arrayPolicy} onChange={(e) => onArrayPolicyChange(e.target.value)}>
+              <option value="join">Join values into one column (a, b)</option>
+              <option value="index">One column per element (items.0, items.1)</option>
+              <option value="first">First element only</option>
+              <option value="json">Keep as JSON text</option>
+            </select>
+          </label>
+        </div>
+      )}
+
+      {/* Rows read with problems (ragged lines, broken quoting) */}
+      {warnings.length > 0 && (
+        <details className="parse-warnings">
+          <summary>{warnings.length} row warning{warnings.length === 1 ? '' : 's'} while reading the data</summary>
+          <ul>
+            {warnings.map((warning, index) => (
+              <li key={index}>{warning.message}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {/* Values that fail the banking and contact data checks */}
+      {validation?.results.length > 0 && (
+        <details className="validation-summary">
+          <summary>
+            {validation.errorCount} validation error{validation.errorCount === 1 ? '' : 's'} and {validation.warningCount} warning{validation.warningCount === 1 ? '' : 's'} in {validation.results.length} row{validation.results.length === 1 ? '' : 's'}
+            {validation.errorCount > 0 ? '; rows with errors are not filled unless you confirm' : ''}
+          </summary>
+          <ul>
+            {validation.results.flatMap(({ rowIndex, issues }) => issues.map((issue, index) => (
+              <li key={`${rowIndex}-${index}`} className={issue.severity}>
+                Row {rowIndex + 1}, {issue.column || issue.field}: {issue.message}
+              </li>
+            )))}
+          </ul>
+        </details>
+      )}
+
       {/* CSV Data Table */}
       <div className="table-container">
         <table className="csv-table">
           <thead>
             <tr>
               <th className="select-column">Select</th>
+              {csvData.sources && <th>Source</th>}
               {csvData.headers.map((header, index) => (
                 <th key={index}>{header}</th>
               ))}
@@ -37,7 +494,8 @@ const CsvPreview = ({ csvData, fieldMappings, onRowSelected, onBack }) => {
             {csvData.rows.map((row, rowIndex) => (
               <tr
                 key={rowIndex}
-                className={selectedRow === rowIndex ? 'selected' : ''}
+                className={`${selectedRow === rowIndex ? 'selected' : ''} ${rowWarnings[rowIndex] ? 'has-warning' : ''}`}
+                title={rowWarnings[rowIndex]}
                 onClick={() => handleRowSelect(rowIndex)}
               >
                 <td className="select-column">
@@ -47,10 +505,32 @@ const CsvPreview = ({ csvData, fieldMappings, onRowSelected, onBack }) => {
                     checked={selectedRow === rowIndex}
                     onChange={() => handleRowSelect(rowIndex)}
                   />
+                  {rowWarnings[rowIndex] && <span className="row-warning-marker">!</span>}
+                  <ValidationBadge issues={cellIssues[rowIndex]?.['']} />
                 </td>
-                {csvData.headers.map((header, colIndex) => (
-                  <td key={colIndex}>{row[header] || ''}</td>
-                ))}
+                {csvData.sources && (
+                  <td className="source-column">
+                    {describeSource(csvData.sources[rowIndex])}
+                  </td>
+                )}
+                {csvData.headers.map((header, colIndex) => {
+                  const confidence = csvData.sources?.[rowIndex]?.fieldConfidence?.[header];
+                  return confidence != null ? (
+                    <td
+                      key={colIndex}
+                      className={confidence < LOW_FIELD_CONFIDENCE ? 'low-confidence' : ''}
+                      title={`Label/value match confidence ${Math.round(confidence * 100)}%`}
+                    >
+                      {row[header] || ''}
+                      <ValidationBadge issues={cellIssues[rowIndex]?.[header]} />
+                    </td>
+                  ) : (
+                    <td key={colIndex}>
+                      {row[header] || ''}
+                      <ValidationBadge issues={cellIssues[rowIndex]?.[header]} />
+                    </td>
+                  );
+                })}
               </tr>
             ))}
           </tbody>
@@ -61,10 +541,19 @@ const CsvPreview = ({ csvData, fieldMappings, onRowSelected, onBack }) => {
       {selectedRow !== null && (
         <div className="field-mappings">
           <h3>Field Mappings Preview</h3>
-          <p className="mappings-hint">The following fields will be sent to the PDF form:</p>
+          <p className="mappings-hint">The following fields will be sent to the PDF form. Edit a PDF field to change the mapping, or add transforms to reformat a value:</p>
+          {previewError && <p className="mapping-error">{previewError}</p>}
+          <datalist id="template-field-names">
+            {templateFields.map((field) => (
+              <option key={field.name} value={field.name} />
+            ))}
+          </datalist>
           <div className="mappings-grid">
-            {Object.entries(csvData.rows[selectedRow]).map(([key, value]) => {
+            {Object.entries(csvData.rows[selectedRow]).map(([key, value], index) => {
               if (value && value.toString().trim() !== '') {
+                const suggestions = mappingSuggestions?.[toMappingKey(key)] || [];
+                const filledValue = fieldPreview ? fieldPreview[key]?.value ?? '' : value.toString();
+                const score = getMatchScore(key);
                 return (
                   <div key={key} className="mapping-item">
                     <div className="mapping-source">
@@ -74,11 +563,39 @@ const CsvPreview = ({ csvData, fieldMappings, onRowSelected, onBack }) => {
                     <div className="mapping-arrow">to</div>
                     <div className="mapping-target">
                       <span className="mapping-label">PDF Field:</span>
-                      <span className="mapping-value">{fieldMappings[key.toLowerCase().replace(/\s+/g, '_')] || key}</span>
+                      <input
+                        className="mapping-input"
+                        type="text"
+                        list={suggestions.length > 0 ? `field-suggestions-${index}` : 'template-field-names'}
+                        value={getMappedField(fieldMappings[toMappingKey(key)]) ?? key}
+                        onChange={(e) => handleMappingChange(key, e.target.value)}
+                      />
+                      {suggestions.length > 0 && (
+                        <datalist id={`field-suggestions-${index}`}>
+                          {suggestions.map((suggestion) => (
+                            <option key={suggestion.field} value={suggestion.field} label={`${Math.round(suggestion.score * 100)}% match`} />
+                          ))}
+                        </datalist>
+                      )}
+                      {mappingSuggestions && (
+                        <span
+                          className={`mapping-score ${score === null || score < LOW_MATCH_SCORE ? 'low-confidence' : ''}`}
+                          title={suggestions.map((suggestion) => `${suggestion.field}: ${Math.round(suggestion.score * 100)}%`).join('\n')}
+                        >
+                          {score === null ? 'No matching form field, please review' : `${Math.round(score * 100)}% match${score < LOW_MATCH_SCORE ? ', please review' : ''}`}
+                        </span>
+                      )}
+                      <TransformEditor
+                        transforms={fieldMappings[toMappingKey(key)]?.transforms}
+                        onChange={(transforms) => handleTransformsChange(key, transforms)}
+                      />
                     </div>
                     <div className="mapping-data">
                       <span className="mapping-label">Value:</span>
-                      <span className="mapping-value data-value">{value}</span>
+                      <span className="mapping-value data-value">{filledValue}</span>
+                      {filledValue !== value.toString() && (
+                        <span className="mapping-original">from {value}</span>
+                      )}
                     </div>
                   </div>
                 );
@@ -86,6 +603,59 @@ const CsvPreview = ({ csvData, fieldMappings, onRowSelected, onBack }) => {
               return null;
             })}
           </div>
+          <ComputedFieldsEditor
+            mappings={fieldMappings}
+            columns={csvData.headers}
+            preview={fieldPreview}
+            onChange={onMappingsChange}
+          />
+        </div>
+      )}
+
+      {/* Template Form Fields */}
+      {templateFields.length > 0 && (
+        <details className="template-fields">
+          <summary>PDF Form Fields ({templateFields.length})</summary>
+          <div className="table-container">
+            <table className="csv-table">
+              <thead>
+                <tr>
+                  <th>Field Name</th>
+                  <th>Type</th>
+                  <th>Page</th>
+                  <th>Options</th>
+                  <th>Max Length</th>
+                  <th>Required</th>
+                </tr>
+              </thead>
+              <tbody>
+                {templateFields.map((field) => (
+                  <tr key={field.name}>
+                    <td title={field.tooltip || ''}>{field.name}</td>
+                    <td>{field.type}</td>
+                    <td>{field.page ?? ''}</td>
+                    <td>{field.options.join(', ')}</td>
+                    <td>{field.maxLength ?? ''}</td>
+                    <td>{field.required ? 'Yes' : ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </details>
+      )}
+
+      {/* Yes/No Vocabulary (checkbox and radio fields) */}
+      {templateFields.some((field) => field.type === 'checkbox' || field.type === 'radio') && (
+        <div className="source-option">
+          <label title="Words read as ticked or not ticked for checkbox and radio fields; 1/0 and x always work">
+            <span className="mapping-label">Yes/No values</span>
+            <select value={booleanLocale} onChange={(e) => setBooleanLocale(e.target.value)}>
+              {BOOLEAN_LOCALES.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
         </div>
       )}
 
@@ -104,18 +674,62 @@ const CsvPreview = ({ csvData, fieldMappings, onRowSelected, onBack }) => {
         />
       </div>
 
+      {/* Batch Fill */}
+      {onBatchFill && csvData.rowCount > 1 && (
+        <div className="batch-fill">
+          <h3>Batch Fill</h3>
+          <p className="mappings-hint">Fill the form once for each of the {csvData.rowCount} rows</p>
+          <div className="batch-options">
+            <label>
+              <span className="mapping-label">Output</span>
+              <select value={batchOutput} onChange={(e) => setBatchOutput(e.target.value)}>
+                <option value="zip">ZIP of individual PDFs</option>
+                <option value="merged">One merged PDF</option>
+              </select>
+            </label>
+            <label>
+              <span className="mapping-label">File Name Template</span>
+              <input
+                type="text"
+                value={filenameTemplate}
+                placeholder="e.g. {SURNAME}_{NAME}.pdf"
+                onChange={(e) => setFilenameTemplate(e.target.value)}
+              />
+            </label>
+          </div>
+          <p className="context-hint">Use {'{COLUMN}'} for any column value and {'{index}'} for the row number</p>
+          {batchOutput === 'zip' && (
+            <label className="batch-flatten">
+              <input
+                type="checkbox"
+                checked={flattenBatch}
+                onChange={(e) => setFlattenBatch(e.target.checked)}
+              />
+              Flatten PDFs so the filled values cannot be edited
+            </label>
+          )}
+        </div>
+      )}
+
       {/* Actions */}
       <div className="csv-actions">
         <button className="btn btn-secondary" onClick={onBack}>
           Back
         </button>
-        <button
-          className="btn btn-primary"
-          onClick={handleSubmit}
-          disabled={selectedRow === null}
-        >
-          Fill Form
-        </button>
+        <div className="csv-actions-group">
+          {onBatchFill && csvData.rowCount > 1 && (
+            <button className="btn btn-secondary" onClick={handleBatchSubmit}>
+              Fill All Rows
+            </button>
+          )}
+          <button
+            className="btn btn-primary"
+            onClick={handleSubmit}
+            disabled={selectedRow === null}
+          >
+            Fill Form
+          </button>
+        </div>
       </div>
     </div>
   );
@@ -1,13 +1,92 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { listTemplates, deleteTemplate } from '../services/api';
 import './FileUpload.css';
 
+// Data file extensions and the data type they are uploaded as
+const DATA_FILE_TYPES = {
+  csv: 'csv',
+  xlsx: 'spreadsheet',
+  ods: 'spreadsheet',
+  json: 'json',
+  jsonl: 'json',
+  ndjson: 'json',
+  pdf: 'pdf',
+};
+
+const getDataFileType = (file) => DATA_FILE_TYPES[file.name.toLowerCase().split('.').pop()];
+
+/**
+ * Work out the data type of one or more chosen files
+ * Several files are only accepted when they are all PDFs (one row per document)
+ */
+const getDataFilesType = (files) => {
+  const types = new Set(files.map(getDataFileType));
+  if (types.size !== 1 || types.has(undefined)) return null;
+  if (files.length > 1 && !types.has('pdf')) return null;
+  return [...types][0];
+};
+
 const FileUpload = ({ onFilesSelected }) => {
   const [pdfFile, setPdfFile] = useState(null);
-  const [dataFile, setDataFile] = useState(null);
-  const [dataType, setDataType] = useState('csv'); // 'csv' or 'pdf'
+  const [dataFile, setDataFile] = useState(null); // File, or File[] for PDF data
+  const [dataType, setDataType] = useState('csv'); // 'csv', 'spreadsheet', 'json' or 'pdf'
   const [dragActive, setDragActive] = useState({ pdf: false, data: false });
   const [inputMode, setInputMode] = useState('file'); // 'file' or 'text'
   const [manualText, setManualText] = useState('');
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [templateQuery, setTemplateQuery] = useState('');
+  const [selectedTemplate, setSelectedTemplate] = useState(null);
+  const [templateName, setTemplateName] = useState('');
+  const [templateTags, setTemplateTags] = useState('');
+
+  useEffect(() => {
+    if (!showLibrary) return;
+
+    listTemplates(templateQuery)
+      .then(setTemplates)
+      .catch(() => setTemplates([]));
+  }, [showLibrary, templateQuery]);
+
+  // The PDF form is either a new file or a template from the library
+  const pdfSource = pdfFile || (selectedTemplate && { templateId: selectedTemplate.id });
+
+  const selectPdfFile = (file) => {
+    setPdfFile(file);
+    setSelectedTemplate(null);
+  };
+
+  const handleTemplateSelect = (template) => {
+    setSelectedTemplate(template);
+    setPdfFile(null);
+  };
+
+  const handleTemplateDelete = async (template) => {
+    if (!window.confirm(`Remove "${template.name}" from the template library?`)) return;
+
+    try {
+      await deleteTemplate(template.id);
+      setTemplates(templates.filter((t) => t.id !== template.id));
+      if (selectedTemplate?.id === template.id) {
+        setSelectedTemplate(null);
+      }
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to delete template');
+    }
+  };
+
+  const selectDataFiles = (files) => {
+    const fileType = getDataFilesType(files);
+
+    if (fileType) {
+      setDataFile(fileType === 'pdf' ? files : files[0]);
+      setDataType(fileType);
+    } else if (files.length > 1) {
+      alert('Only PDF data files can be selected several at a time');
+    } else {
+      alert('Please select a CSV, Excel (XLSX/ODS), JSON or PDF file');
+    }
+  };
 
   const handleDrag = (e, type) => {
     e.preventDefault();
@@ -30,20 +109,12 @@ const FileUpload = ({ onFilesSelected }) => {
       
       if (type === 'pdf') {
         if (file.name.toLowerCase().endsWith('.pdf')) {
-          setPdfFile(file);
+          selectPdfFile(file);
         } else {
           alert('Please select a PDF file');
         }
       } else if (type === 'data') {
-        const isCSV = file.name.toLowerCase().endsWith('.csv');
-        const isPDF = file.name.toLowerCase().endsWith('.pdf');
-        
-        if (isCSV || isPDF) {
-          setDataFile(file);
-          setDataType(isCSV ? 'csv' : 'pdf');
-        } else {
-          alert('Please select a CSV or PDF file');
-        }
+        selectDataFiles([...e.dataTransfer.files]);
       }
     }
   };
@@ -52,25 +123,25 @@ const FileUpload = ({ onFilesSelected }) => {
     if (e.target.files && e.target.files[0]) {
       const file = e.target.files[0];
       if (type === 'pdf') {
-        setPdfFile(file);
+        selectPdfFile(file);
       } else if (type === 'data') {
-        const isCSV = file.name.toLowerCase().endsWith('.csv');
-        setDataFile(file);
-        setDataType(isCSV ? 'csv' : 'pdf');
+        selectDataFiles([...e.target.files]);
       }
     }
   };
 
   const handleSubmit = () => {
+    const templateInfo = { name: templateName, tags: templateTags };
+
     if (inputMode === 'file') {
-      if (pdfFile && dataFile) {
-        onFilesSelected(pdfFile, dataFile, dataType, 'file');
+      if (pdfSource && dataFile) {
+        onFilesSelected(pdfSource, dataFile, dataType, 'file', templateInfo);
       } else {
-        alert('Please select both PDF form and data file (CSV or PDF)');
+        alert('Please select both PDF form and data file (CSV, XLSX/ODS, JSON or PDF)');
       }
     } else {
-      if (pdfFile && manualText.trim()) {
-        onFilesSelected(pdfFile, manualText, 'text', 'text');
+      if (pdfSource && manualText.trim()) {
+        onFilesSelected(pdfSource, manualText, 'text', 'text', templateInfo);
       } else {
         alert('Please select PDF form and enter data text');
       }
@@ -93,7 +164,7 @@ const FileUpload = ({ onFilesSelected }) => {
         <div className="upload-section">
           <h3>PDF Form</h3>
           <div
-            className={`drop-zone ${dragActive.pdf ? 'drag-active' : ''} ${pdfFile ? 'has-file' : ''}`}
+            className={`drop-zone ${dragActive.pdf ? 'drag-active' : ''} ${pdfSource ? 'has-file' : ''}`}
             onDragEnter={(e) => handleDrag(e, 'pdf')}
             onDragLeave={(e) => handleDrag(e, 'pdf')}
             onDragOver={(e) => handleDrag(e, 'pdf')}
@@ -113,6 +184,12 @@ const FileUpload = ({ onFilesSelected }) => {
                 <div className="file-name">{pdfFile.name}</div>
                 <div className="file-size">{(pdfFile.size / 1024).toFixed(2)} KB</div>
               </div>
+            ) : selectedTemplate ? (
+              <div className="file-info">
+                <div className="file-icon">LIB</div>
+                <div className="file-name">{selectedTemplate.name}</div>
+                <div className="file-size">{(selectedTemplate.size / 1024).toFixed(2)} KB from template library</div>
+              </div>
             ) : (
               <>
                 <div className="upload-icon">PDF</div>
@@ -121,9 +198,79 @@ const FileUpload = ({ onFilesSelected }) => {
               </>
             )}
           </div>
+
+          {pdfFile && (
+            <div className="template-meta">
+              <input
+                type="text"
+                placeholder="Template name (optional)"
+                value={templateName}
+                onChange={(e) => setTemplateName(e.target.value)}
+              />
+              <input
+                type="text"
+                placeholder="Tags, comma-separated (optional)"
+                value={templateTags}
+                onChange={(e) => setTemplateTags(e.target.value)}
+              />
+            </div>
+          )}
+
+          <div className="template-library">
+            <button
+              type="button"
+              className="toggle-mode-btn"
+              onClick={() => setShowLibrary(!showLibrary)}
+            >
+              {showLibrary ? 'Hide Template Library' : 'Choose From Template Library'}
+            </button>
+
+            {showLibrary && (
+              <>
+                <input
+                  type="search"
+                  className="library-search"
+                  placeholder="Search by name, description or tag"
+                  value={templateQuery}
+                  onChange={(e) => setTemplateQuery(e.target.value)}
+                />
+                <ul className="template-list">
+                  {templates.map((template) => (
+                    <li
+                      key={template.id}
+                      className={selectedTemplate?.id === template.id ? 'selected' : ''}
+                    >
+                      <button
+                        type="button"
+                        className="template-option"
+                        onClick={() => handleTemplateSelect(template)}
+                        title={template.description || template.originalName}
+                      >
+                        <span className="template-name">{template.name}</span>
+                        {template.tags.length > 0 && (
+                          <span className="template-tags">{template.tags.join(', ')}</span>
+                        )}
+                      </button>
+                      <button
+                        type="button"
+                        className="template-delete"
+                        onClick={() => handleTemplateDelete(template)}
+                        aria-label={`Delete ${template.name}`}
+                      >
+                        ×
+                      </button>
+                    </li>
+                  ))}
+                  {templates.length === 0 && (
+                    <li className="template-empty">No templates found</li>
+                  )}
+                </ul>
+              </>
+            )}
+          </div>
         </div>
 
-        {/* Data Upload (CSV or PDF) or Manual Text Input */}
+        {/* Data Upload (CSV, spreadsheet, JSON or PDF) or Manual Text Input */}
         <div className="upload-section">
           <div className="section-header">
             <h3>Data Source</h3>
@@ -149,20 +296,32 @@ const FileUpload = ({ onFilesSelected }) => {
               <input
                 id="data-input"
                 type="file"
-                accept=".csv,.pdf"
+                accept=".csv,.xlsx,.ods,.json,.jsonl,.ndjson,.pdf"
+                multiple
                 onChange={(e) => handleFileChange(e, 'data')}
                 style={{ display: 'none' }}
               />
-              {dataFile ? (
+              {Array.isArray(dataFile) ? (
+                <div className="file-info">
+                  <div className="file-icon">PDF</div>
+                  <div className="file-name">
+                    {dataFile.length === 1 ? dataFile[0].name : `${dataFile.length} PDF files`}
+                  </div>
+                  <div className="file-size">
+                    {(dataFile.reduce((total, file) => total + file.size, 0) / 1024).toFixed(2)} KB
+                  </div>
+                </div>
+              ) : dataFile ? (
                 <div className="file-info">
-                  <div className="file-icon">{dataType.toUpperCase()}</div>
+                  <div className="file-icon">{dataType === 'spreadsheet' ? 'XLS' : dataType.toUpperCase()}</div>
                   <div className="file-name">{dataFile.name}</div>
                   <div className="file-size">{(dataFile.size / 1024).toFixed(2)} KB</div>
                 </div>
               ) : (
                 <>
                   <div className="upload-icon">DATA</div>
-                  <p>Drag and drop CSV or PDF here</p>
+                  <p>Drag and drop CSV, Excel (XLSX/ODS), JSON or PDF here</p>
+                  <p className="upload-hint">Several completed PDFs can be dropped at once</p>
                   <p className="upload-hint">or click to browse</p>
                 </>
               )}
@@ -177,7 +336,7 @@ const FileUpload = ({ onFilesSelected }) => {
                 rows={12}
               />
               <div className="text-input-hint">
-                Tip: Use "Key: Value" format for best results. Each field on a new line.
+                Tip: Use "Key: Value" format for best results. Each field on a new line; separate several records with a blank line or "---".
               </div>
               {manualText.trim() && (
                 <div className="text-input-stats">
@@ -193,7 +352,7 @@ const FileUpload = ({ onFilesSelected }) => {
         <button
           className="btn btn-primary"
           onClick={handleSubmit}
-          disabled={!pdfFile || (inputMode === 'file' ? !dataFile : !manualText.trim())}
+          disabled={!pdfSource || (inputMode === 'file' ? !dataFile : !manualText.trim())}
         >
           Continue
         </button>
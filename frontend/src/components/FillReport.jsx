@@ -0,0 +1,66 @@
+import React from 'react';
+import './FillReport.css';
+
+/**
+ * Format a 0-1 confidence score as a percentage
+ */
+const formatConfidence = (confidence) => {
+  return confidence === null || confidence === undefined ? '—' : `${Math.round(confidence * 100)}%`;
+};
+
+const FillReport = ({ report }) => {
+  if (!report) {
+    return null;
+  }
+
+  const { fields, unmatched } = report;
+
+  return (
+    <div className="fill-report">
+      <h3>Fill Report</h3>
+      <p className="fill-report-summary">
+        {fields.length} value{fields.length !== 1 ? 's' : ''} placed
+        {unmatched.length > 0 && `, ${unmatched.length} not placed anywhere`}
+      </p>
+
+      {unmatched.length > 0 && (
+        <div className="error-message">
+          <strong>Not placed:</strong> {unmatched.map(entry => entry.column).join(', ')}
+        </div>
+      )}
+
+      <div className="table-container">
+        <table className="csv-table">
+          <thead>
+            <tr>
+              <th>Source Column</th>
+              <th>Form Field</th>
+              <th>Value</th>
+              <th>Confidence</th>
+            </tr>
+          </thead>
+          <tbody>
+            {unmatched.map((entry) => (
+              <tr key={`unmatched-${entry.column}`} className="fill-report-unmatched">
+                <td>{entry.column}</td>
+                <td title={entry.reason || ''}>{entry.reason ? `Not placed: ${entry.reason}` : 'Not placed'}</td>
+                <td>{entry.value}</td>
+                <td>—</td>
+              </tr>
+            ))}
+            {fields.map((entry, index) => (
+              <tr key={`${entry.column}-${entry.fieldName}-${index}`}>
+                <td>{entry.column || '—'}</td>
+                <td>{entry.fieldName || entry.description || '—'}</td>
+                <td>{entry.value}</td>
+                <td>{formatConfidence(entry.confidence)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default FillReport;
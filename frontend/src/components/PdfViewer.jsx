@@ -2,15 +2,35 @@ import React, { useState } from 'react';
 import { Document, Page, pdfjs } from 'react-pdf';
 import 'react-pdf/dist/esm/Page/AnnotationLayer.css';
 import 'react-pdf/dist/esm/Page/TextLayer.css';
+import FillReport from './FillReport';
 import './PdfViewer.css';
 
 // Configure PDF.js worker
 pdfjs.GlobalWorkerOptions.workerSrc = `//unpkg.com/pdfjs-dist@${pdfjs.version}/build/pdf.worker.min.js`;
 
-const PdfViewer = ({ pdfUrl, title, onDownload, onBack, fieldsFilledCount }) => {
+// Zones smaller than this (in points) are treated as stray clicks
+const MIN_ZONE_SIZE = 4;
+
+/**
+ * Preview a PDF page by page
+ * With onZonesChange, rectangles can be dragged on the page to draw extraction zones;
+ * zones are { name, page, x, y, width, height, type } in PDF points from the top-left corner.
+ */
+const PdfViewer = ({
+  pdfUrl,
+  title,
+  heading = 'Step 3: Preview & Download',
+  onDownload,
+  onBack,
+  fieldsFilledCount,
+  report,
+  zones = [],
+  onZonesChange
+}) => {
   const [numPages, setNumPages] = useState(null);
   const [pageNumber, setPageNumber] = useState(1);
   const [scale, setScale] = useState(1.0);
+  const [draft, setDraft] = useState(null);
 
   const onDocumentLoadSuccess = ({ numPages }) => {
     setNumPages(numPages);
@@ -32,9 +52,55 @@ const PdfViewer = ({ pdfUrl, title, onDownload, onBack, fieldsFilledCount }) =>
     setScale((prev) => Math.max(prev - 0.2, 0.5));
   };
 
+  // Pointer position in PDF points relative to the page
+  const toPagePoint = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    return { x: (e.clientX - bounds.left) / scale, y: (e.clientY - bounds.top) / scale };
+  };
+
+  const handleDrawStart = (e) => {
+    const start = toPagePoint(e);
+    setDraft({ start, end: start });
+  };
+
+  const handleDrawMove = (e) => {
+    if (draft) {
+      setDraft({ ...draft, end: toPagePoint(e) });
+    }
+  };
+
+  const handleDrawEnd = () => {
+    if (!draft) return;
+    const zone = {
+      x: Math.min(draft.start.x, draft.end.x),
+      y: Math.min(draft.start.y, draft.end.y),
+      width: Math.abs(draft.end.x - draft.start.x),
+      height: Math.abs(draft.end.y - draft.start.y),
+    };
+    setDraft(null);
+
+    if (zone.width >= MIN_ZONE_SIZE && zone.height >= MIN_ZONE_SIZE) {
+      onZonesChange([...zones, { name: `Zone ${zones.length + 1}`, page: pageNumber, type: 'text', ...zone }]);
+    }
+  };
+
+  const zoneStyle = ({ x, y, width, height }) => ({
+    left: x * scale,
+    top: y * scale,
+    width: width * scale,
+    height: height * scale,
+  });
+
+  const draftZone = draft && {
+    x: Math.min(draft.start.x, draft.end.x),
+    y: Math.min(draft.start.y, draft.end.y),
+    width: Math.abs(draft.end.x - draft.start.x),
+    height: Math.abs(draft.end.y - draft.start.y),
+  };
+
   return (
     <div className="pdf-viewer-container">
-      <h2>Step 3: Preview & Download</h2>
+      {heading && <h2>{heading}</h2>}
       <p className="subtitle">{title}</p>
 
       {fieldsFilledCount !== undefined && (
@@ -85,24 +151,57 @@ const PdfViewer = ({ pdfUrl, title, onDownload, onBack, fieldsFilledCount }) =>
             </div>
           }
         >
-          <Page
-            pageNumber={pageNumber}
-            scale={scale}
-            renderTextLayer={true}
-            renderAnnotationLayer={true}
-          />
+          <div className="pdf-page-frame">
+            <Page
+              pageNumber={pageNumber}
+              scale={scale}
+              renderTextLayer={!onZonesChange}
+              renderAnnotationLayer={!onZonesChange}
+            />
+            {onZonesChange && (
+              <div
+                className="zone-layer"
+                onMouseDown={handleDrawStart}
+                onMouseMove={handleDrawMove}
+                onMouseUp={handleDrawEnd}
+                onMouseLeave={handleDrawEnd}
+              >
+                {zones.map((zone, index) => zone.page === pageNumber && (
+                  <div key={index} className="zone-rect" style={zoneStyle(zone)}>
+                    <span className="zone-name">{zone.name}</span>
+                  </div>
+                ))}
+                {draftZone && <div className="zone-rect zone-draft" style={zoneStyle(draftZone)} />}
+              </div>
+            )}
+          </div>
         </Document>
       </div>
 
+      {/* Per-field review */}
+      <FillReport report={report} />
+
       {/* Actions */}
-      <div className="pdf-actions">
-        <button className="btn btn-secondary" onClick={onBack}>
-          Start Over
-        </button>
-        <button className="btn btn-success" onClick={onDownload}>
-          Download Filled PDF
-        </button>
-      </div>
+      {onDownload && (
+        <>
+          <p className="download-hint">
+            The flattened PDF has the values burned into the page, so they can no longer be edited.
+          </p>
+          <div className="pdf-actions">
+            <button className="btn btn-secondary" onClick={onBack}>
+              Start Over
+            </button>
+            <div className="pdf-actions-group">
+              <button className="btn btn-secondary" onClick={() => onDownload(false)}>
+                Download Editable PDF
+              </button>
+              <button className="btn btn-success" onClick={() => onDownload(true)}>
+                Download Flattened PDF
+              </button>
+            </div>
+          </div>
+        </>
+      )}
     </div>
   );
 };
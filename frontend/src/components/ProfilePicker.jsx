@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { listProfiles, createProfile, updateProfile, deleteProfile } from '../services/api';
+import './ProfilePicker.css';
+
+const ProfilePicker = ({ fingerprint, suggestedProfile, currentProfile, onApply }) => {
+  const [profiles, setProfiles] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [status, setStatus] = useState(null);
+
+  const loadProfiles = async () => {
+    try {
+      setProfiles(await listProfiles(fingerprint));
+    } catch (err) {
+      setStatus('Could not load mapping profiles');
+    }
+  };
+
+  useEffect(() => {
+    loadProfiles();
+
+    // Apply the profile saved for this template automatically
+    if (suggestedProfile) {
+      setSelectedId(suggestedProfile.id);
+      onApply(suggestedProfile);
+      setStatus(`Applied saved profile "${suggestedProfile.name}"`);
+    }
+  }, [fingerprint]);
+
+  const selectedProfile = profiles.find((profile) => profile.id === selectedId);
+
+  const handleSelect = (profileId) => {
+    setSelectedId(profileId);
+    const profile = profiles.find((p) => p.id === profileId);
+    if (profile) {
+      onApply(profile);
+      setStatus(`Applied profile "${profile.name}"`);
+    }
+  };
+
+  const handleSaveNew = async () => {
+    const name = window.prompt('Profile name', selectedProfile ? `${selectedProfile.name} (copy)` : '');
+    if (!name || !name.trim()) return;
+
+    try {
+      const profile = await createProfile({ name, fingerprint, ...currentProfile });
+      await loadProfiles();
+      setSelectedId(profile.id);
+      setStatus(`Saved profile "${profile.name}"`);
+    } catch (err) {
+      setStatus(err.response?.data?.error || 'Could not save profile');
+    }
+  };
+
+  const handleUpdate = async () => {
+    try {
+      const profile = await updateProfile(selectedId, currentProfile);
+      await loadProfiles();
+      setStatus(`Updated profile "${profile.name}"`);
+    } catch (err) {
+      setStatus(err.response?.data?.error || 'Could not update profile');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete profile "${selectedProfile.name}"?`)) return;
+
+    try {
+      await deleteProfile(selectedId);
+      setSelectedId('');
+      await loadProfiles();
+      setStatus('Profile deleted');
+    } catch (err) {
+      setStatus(err.response?.data?.error || 'Could not delete profile');
+    }
+  };
+
+  if (!fingerprint) {
+    return null;
+  }
+
+  return (
+    <div className="profile-picker">
+      <label htmlFor="mapping-profile">
+        <strong>Mapping Profile:</strong>
+      </label>
+      <select
+        id="mapping-profile"
+        value={selectedId}
+        onChange={(e) => handleSelect(e.target.value)}
+      >
+        <option value="">{profiles.length ? 'Choose a saved profile...' : 'No saved profiles for this form'}</option>
+        {profiles.map((profile) => (
+          <option key={profile.id} value={profile.id}>{profile.name}</option>
+        ))}
+      </select>
+      <div className="profile-actions">
+        <button type="button" className="control-btn" onClick={handleSaveNew}>
+          Save as New
+        </button>
+        <button type="button" className="control-btn" onClick={handleUpdate} disabled={!selectedProfile}>
+          Update
+        </button>
+        <button type="button" className="control-btn" onClick={handleDelete} disabled={!selectedProfile}>
+          Delete
+        </button>
+      </div>
+      {status && <div className="profile-status">{status}</div>}
+    </div>
+  );
+};
+
+export default ProfilePicker;
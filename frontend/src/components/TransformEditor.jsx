@@ -0,0 +1,123 @@
+import React from 'react';
+import './TransformEditor.css';
+
+// Transform types, the defaults a new transform starts with and the options that can be edited
+const TRANSFORMS = {
+  date: {
+    label: 'Date format',
+    defaults: { from: 'DD/MM/YYYY', to: 'YYYY-MM-DD' },
+    options: [
+      { key: 'from', label: 'From', placeholder: 'auto' },
+      { key: 'to', label: 'To', placeholder: 'YYYY-MM-DD' },
+    ],
+  },
+  case: {
+    label: 'Case',
+    defaults: { mode: 'upper' },
+    options: [{ key: 'mode', label: 'Case', choices: ['upper', 'lower', 'title'] }],
+  },
+  trim: {
+    label: 'Trim spaces',
+    defaults: {},
+    options: [{ key: 'maxLength', label: 'Max length', type: 'number' }],
+  },
+  pad: {
+    label: 'Pad',
+    defaults: { length: 10, char: '0', side: 'left' },
+    options: [
+      { key: 'length', label: 'Length', type: 'number' },
+      { key: 'char', label: 'With' },
+      { key: 'side', label: 'Side', choices: ['left', 'right'] },
+    ],
+  },
+  replace: {
+    label: 'Replace text',
+    defaults: { search: '', replacement: '' },
+    options: [
+      { key: 'search', label: 'Find', placeholder: '-' },
+      { key: 'replacement', label: 'Replace with' },
+    ],
+  },
+  number: {
+    label: 'Number format',
+    defaults: { decimals: 2, decimalSeparator: '.', thousandsSeparator: '' },
+    options: [
+      { key: 'decimals', label: 'Decimals', type: 'number' },
+      { key: 'decimalSeparator', label: 'Decimal mark' },
+      { key: 'thousandsSeparator', label: 'Thousands' },
+    ],
+  },
+  iban: {
+    label: 'IBAN groups of 4',
+    defaults: {},
+    options: [],
+  },
+  phone: {
+    label: 'Phone with country code',
+    defaults: { countryCode: '40' },
+    options: [{ key: 'countryCode', label: 'Country code', placeholder: '40' }],
+  },
+};
+
+/**
+ * Edit the chain of value transforms of one mapped column
+ * Transforms run top to bottom on the server before the value is filled in.
+ */
+const TransformEditor = ({ transforms = [], onChange }) => {
+  const handleAdd = (type) => {
+    if (type) {
+      onChange([...transforms, { type, ...TRANSFORMS[type].defaults }]);
+    }
+  };
+
+  const handleOptionChange = (index, key, value) => {
+    onChange(transforms.map((transform, transformIndex) => (
+      transformIndex === index ? { ...transform, [key]: value } : transform
+    )));
+  };
+
+  const handleRemove = (index) => {
+    onChange(transforms.filter((transform, transformIndex) => transformIndex !== index));
+  };
+
+  return (
+    <details className="transform-editor" open={transforms.length > 0}>
+      <summary>Transforms{transforms.length > 0 ? ` (${transforms.length})` : ''}</summary>
+      {transforms.map((transform, index) => (
+        <div key={index} className="transform-item">
+          <span className="transform-name">{TRANSFORMS[transform.type]?.label || transform.type}</span>
+          {(TRANSFORMS[transform.type]?.options || []).map((option) => (
+            <label key={option.key}>
+              <span>{option.label}</span>
+              {option.choices ? (
+                <select value={transform[option.key]} onChange={(e) => handleOptionChange(index, option.key, e.target.value)}>
+                  {option.choices.map((choice) => (
+                    <option key={choice} value={choice}>{choice}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type={option.type || 'text'}
+                  placeholder={option.placeholder}
+                  value={transform[option.key] ?? ''}
+                  onChange={(e) => handleOptionChange(index, option.key, e.target.value)}
+                />
+              )}
+            </label>
+          ))}
+          <button type="button" className="transform-remove" onClick={() => handleRemove(index)} title="Remove transform">
+            ×
+          </button>
+        </div>
+      ))}
+      <select className="transform-add" value="" onChange={(e) => handleAdd(e.target.value)}>
+        <option value="">Add transform...</option>
+        {Object.entries(TRANSFORMS).map(([type, { label }]) => (
+          <option key={type} value={type}>{label}</option>
+        ))}
+      </select>
+    </details>
+  );
+};
+
+export default TransformEditor;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import PdfViewer from './PdfViewer';
+import { listExtractionTemplates, createExtractionTemplate, deleteExtractionTemplate, getPreviewUrl } from '../services/api';
+import './ZoneTemplateEditor.css';
+
+const ZONE_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'checkbox', label: 'Checkbox' },
+];
+
+const ZoneTemplateEditor = ({ sample, onSaved, onClose }) => {
+  const [name, setName] = useState('');
+  const [zones, setZones] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [status, setStatus] = useState(null);
+
+  const loadTemplates = async () => {
+    try {
+      setTemplates(await listExtractionTemplates());
+    } catch (err) {
+      setStatus('Could not load extraction templates');
+    }
+  };
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  const handleZoneChange = (index, changes) => {
+    setZones(zones.map((zone, zoneIndex) => (zoneIndex === index ? { ...zone, ...changes } : zone)));
+  };
+
+  const handleZoneRemove = (index) => {
+    setZones(zones.filter((zone, zoneIndex) => zoneIndex !== index));
+  };
+
+  const handleSave = async () => {
+    try {
+      const template = await createExtractionTemplate({ name, dataPdfFileId: sample.fileId, zones });
+      setStatus(`Saved template "${template.name}"`);
+      setZones([]);
+      setName('');
+      await loadTemplates();
+      onSaved(template);
+    } catch (err) {
+      setStatus(err.response?.data?.error || 'Could not save template');
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete extraction template "${template.name}"?`)) return;
+
+    try {
+      await deleteExtractionTemplate(template.id);
+      await loadTemplates();
+      setStatus('Template deleted');
+    } catch (err) {
+      setStatus(err.response?.data?.error || 'Could not delete template');
+    }
+  };
+
+  return (
+    <div className="zone-template-editor">
+      <PdfViewer
+        pdfUrl={getPreviewUrl(sample.fileId)}
+        heading="Extraction Zones"
+        title={`Drag on ${sample.originalName} to draw a zone for each value, then name it after its column`}
+        zones={zones}
+        onZonesChange={setZones}
+      />
+
+      {zones.length > 0 && (
+        <div className="zone-list">
+          {zones.map((zone, index) => (
+            <div key={index} className="zone-item">
+              <input
+                type="text"
+                value={zone.name}
+                onChange={(e) => handleZoneChange(index, { name: e.target.value })}
+              />
+              <select value={zone.type} onChange={(e) => handleZoneChange(index, { type: e.target.value })}>
+                {ZONE_TYPES.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <span className="zone-page">Page {zone.page}</span>
+              <button type="button" className="control-btn" onClick={() => handleZoneRemove(index)}>
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="zone-actions">
+        <input
+          type="text"
+          placeholder="Template name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button type="button" className="btn btn-primary" onClick={handleSave} disabled={!name.trim() || zones.length === 0}>
+          Save Template
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {status && <div className="zone-status">{status}</div>}
+
+      {templates.length > 0 && (
+        <div className="zone-templates">
+          <h4>Saved templates</h4>
+          <p className="zone-hint">Data PDFs with the same page size and heading text are read with a saved template automatically.</p>
+          {templates.map((template) => (
+            <div key={template.id} className="zone-item">
+              <span className="zone-template-name">{template.name}</span>
+              <span className="zone-page">{template.zones.length} zone{template.zones.length === 1 ? '' : 's'}</span>
+              <button type="button" className="control-btn" onClick={() => handleDelete(template)}>
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ZoneTemplateEditor;
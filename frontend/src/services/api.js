@@ -2,20 +2,46 @@ import axios from 'axios';
 
 const API_BASE_URL = '/api';
 
+/**
+ * Add the PDF form to an upload: a new file, or a template from the library
+ * @param {FormData} formData - Upload form data
+ * @param {File|object} pdfSource - PDF file, or { templateId } of a library template
+ */
+export const appendPdfSource = (formData, pdfSource) => {
+  if (pdfSource instanceof File) {
+    formData.append('pdf', pdfSource);
+  } else {
+    formData.append('templateId', pdfSource.templateId);
+  }
+};
+
 /**
  * Upload PDF and CSV/PDF files
- * @param {File} pdfFile - The PDF form template
- * @param {File} dataFile - CSV or PDF data file
- * @param {string} dataType - 'csv' or 'pdf'
+ * Data files come back as opaque file handles ({ fileId, ... })
+ * @param {File|object} pdfSource - The PDF form template file, or { templateId } of a library template
+ * @param {File|File[]} dataFile - CSV, XLSX/ODS or JSON/JSONL data file, one or more PDF data files (null in text mode)
+ * @param {string} dataType - 'csv', 'spreadsheet', 'json', 'pdf' or 'text'
+ * @param {object} templateInfo - Optional { name, tags } for a newly uploaded template
  */
-export const uploadFiles = async (pdfFile, dataFile, dataType = 'csv') => {
+export const uploadFiles = async (pdfSource, dataFile, dataType = 'csv', templateInfo = {}) => {
   const formData = new FormData();
-  formData.append('pdf', pdfFile);
+  appendPdfSource(formData, pdfSource);
+
+  if (templateInfo.name) {
+    formData.append('templateName', templateInfo.name);
+  }
+  if (templateInfo.tags) {
+    formData.append('templateTags', templateInfo.tags);
+  }
   
   if (dataType === 'csv') {
     formData.append('csv', dataFile);
-  } else {
-    formData.append('dataPdf', dataFile);
+  } else if (dataType === 'spreadsheet') {
+    formData.append('spreadsheet', dataFile);
+  } else if (dataType === 'json') {
+    formData.append('json', dataFile);
+  } else if (dataType === 'pdf') {
+    [].concat(dataFile).forEach((file) => formData.append('dataPdf', file));
   }
 
   const response = await axios.post(`${API_BASE_URL}/upload`, formData, {
@@ -29,21 +55,62 @@ export const uploadFiles = async (pdfFile, dataFile, dataType = 'csv') => {
 
 /**
  * Parse CSV file
+ * @param {string} csvFileId - File handle returned by uploadFiles
+ * @param {object} options - { delimiter, encoding } overrides (detected when omitted)
  */
-export const parseCSV = async (csvPath) => {
+export const parseCSV = async (csvFileId, { delimiter, encoding } = {}) => {
   const response = await axios.post(`${API_BASE_URL}/parse-csv`, {
-    csvPath,
+    csvFileId,
+    delimiter,
+    encoding,
   });
 
   return response.data;
 };
 
 /**
- * Parse filled PDF file
+ * Parse one sheet of an XLSX/ODS file
+ * @param {string} spreadsheetFileId - File handle returned by uploadFiles
+ * @param {string} sheet - Optional sheet name (defaults to the first sheet)
  */
-export const parsePDF = async (pdfPath) => {
+export const parseSpreadsheet = async (spreadsheetFileId, sheet = null) => {
+  const response = await axios.post(`${API_BASE_URL}/parse-spreadsheet`, {
+    spreadsheetFileId,
+    sheet,
+  });
+
+  return response.data;
+};
+
+/**
+ * Parse a JSON or JSON Lines file into one row per record
+ * @param {string} jsonFileId - File handle returned by uploadFiles
+ * @param {string} arrayPolicy - 'join', 'index', 'first' or 'json' (server default 'join')
+ */
+export const parseJSON = async (jsonFileId, arrayPolicy = null) => {
+  const response = await axios.post(`${API_BASE_URL}/parse-json`, {
+    jsonFileId,
+    arrayPolicy: arrayPolicy || undefined,
+  });
+
+  return response.data;
+};
+
+/**
+ * Parse filled PDF files into one row per document
+ * @param {string[]} dataPdfFileIds - File handles returned by uploadFiles
+ * @param {object} options - Optional { pagesPerDocument } or { pageRanges: '1-2, 3-4' } to split merged PDFs,
+ *   method ('zones', 'form-fields', 'pdf2json', 'text-extraction' or 'ocr') to try first, forceMethod to use only that method,
+ *   diagnostics to run every method and report each per document
+ */
+export const parsePDF = async (dataPdfFileIds, { pagesPerDocument, pageRanges, method, forceMethod, diagnostics } = {}) => {
   const response = await axios.post(`${API_BASE_URL}/parse-pdf`, {
-    pdfPath,
+    dataPdfFileIds,
+    pagesPerDocument,
+    pageRanges,
+    method,
+    forceMethod,
+    diagnostics,
   });
 
   return response.data;
@@ -61,45 +128,325 @@ export const parseText = async (text) => {
 };
 
 /**
- * Fill PDF form with CSV/PDF/Text data
- * @param {string} pdfPath - Path to PDF form template
- * @param {string} dataPath - Path to CSV or PDF data file, OR text data string
- * @param {string} dataType - 'csv', 'pdf', or 'text'
- * @param {number} rowIndex - Row index to use
- * @param {string} context - Optional context
- * @param {object} customMappings - Optional field mappings
+ * Preview the values a row is filled with, after mappings and value transforms
+ * @param {object} row - Data row as shown in the preview
+ * @param {object} customMappings - Column mappings (field name or { field, transforms })
  */
-export const fillForm = async (pdfPath, dataPath, dataType, rowIndex, context = '', customMappings = null) => {
-  const requestBody = {
-    pdfPath,
-    rowIndex,
-    context,
+export const previewFieldData = async (row, customMappings) => {
+  const response = await axios.post(`${API_BASE_URL}/preview-field-data`, {
+    row,
+    customMappings,
+  });
+
+  return response.data.fieldData;
+};
+
+/**
+ * Validate rows before filling (IBAN, SWIFT/BIC, currency, email, postcode and required fields)
+ * @param {string} templateId - Template whose required fields are checked
+ * @param {object[]} rows - Data rows as shown in the preview
+ * @param {object} customMappings - Column mappings (field name or { field, transforms })
+ * @param {string[]} booleanLocales - Yes/no vocabularies for checkboxes and radio groups (null for all)
+ * @returns {object} { valid, errorCount, warningCount, results: [{ rowIndex, issues }] }
+ */
+export const validateRows = async (templateId, rows, customMappings, booleanLocales = null) => {
+  const response = await axios.post(`${API_BASE_URL}/validate`, {
+    templateId,
+    rows,
     customMappings,
-  };
+    booleanLocales,
+  });
+
+  return response.data;
+};
+
+/**
+ * List or search the template library
+ * @param {string} query - Optional free-text search
+ */
+export const listTemplates = async (query = '') => {
+  const response = await axios.get(`${API_BASE_URL}/templates`, {
+    params: query ? { q: query } : {},
+  });
+
+  return response.data.templates;
+};
+
+/**
+ * Remove a template from the library
+ */
+export const deleteTemplate = async (templateId) => {
+  await axios.delete(`${API_BASE_URL}/templates/${templateId}`);
+};
+
+/**
+ * List the AcroForm fields of a library template
+ * @param {string} templateId - Template ID
+ */
+export const getTemplateFields = async (templateId) => {
+  const response = await axios.get(`${API_BASE_URL}/templates/${templateId}/fields`);
+
+  return response.data.fields;
+};
+
+/**
+ * Suggest a template field for every data column
+ * @param {string} templateId - Template ID
+ * @param {string[]} headers - Column headers of the data
+ * @returns {object} { mappings, suggestions: { mapping_key: [{ field, score }] } or null }
+ */
+export const suggestFieldMappings = async (templateId, headers) => {
+  const response = await axios.post(`${API_BASE_URL}/templates/${templateId}/mappings`, { headers });
+
+  return response.data;
+};
+
+/**
+ * List saved mapping profiles
+ * @param {string} fingerprint - Optional template fingerprint to filter by
+ */
+export const listProfiles = async (fingerprint = null) => {
+  const response = await axios.get(`${API_BASE_URL}/profiles`, {
+    params: fingerprint ? { fingerprint } : {},
+  });
+
+  return response.data.profiles;
+};
+
+/**
+ * Save a named mapping profile for a template
+ * @param {object} profile - { name, fingerprint, mappings, context, options }
+ */
+export const createProfile = async (profile) => {
+  const response = await axios.post(`${API_BASE_URL}/profiles`, profile);
+
+  return response.data.profile;
+};
 
+/**
+ * Update a mapping profile
+ * @param {string} profileId - Profile ID
+ * @param {object} changes - Any of { name, mappings, context, options }
+ */
+export const updateProfile = async (profileId, changes) => {
+  const response = await axios.put(`${API_BASE_URL}/profiles/${profileId}`, changes);
+
+  return response.data.profile;
+};
+
+/**
+ * Delete a mapping profile
+ */
+export const deleteProfile = async (profileId) => {
+  await axios.delete(`${API_BASE_URL}/profiles/${profileId}`);
+};
+
+/**
+ * List saved zone extraction templates
+ */
+export const listExtractionTemplates = async () => {
+  const response = await axios.get(`${API_BASE_URL}/extraction-templates`);
+
+  return response.data.templates;
+};
+
+/**
+ * Save zones drawn on a sample data PDF as an extraction template
+ * @param {object} template - { name, dataPdfFileId, zones: [{ name, page, x, y, width, height, type }] }
+ */
+export const createExtractionTemplate = async (template) => {
+  const response = await axios.post(`${API_BASE_URL}/extraction-templates`, template);
+
+  return response.data.template;
+};
+
+/**
+ * Delete a zone extraction template
+ */
+export const deleteExtractionTemplate = async (templateId) => {
+  await axios.delete(`${API_BASE_URL}/extraction-templates/${templateId}`);
+};
+
+/**
+ * Attach the data source to a fill request body
+ * @param {object} requestBody - Request body to extend
+ * @param {string|object} dataSource - { fileId, delimiter, encoding } of a CSV file,
+ *   { fileIds, pagesPerDocument, pageRanges, method, forceMethod } of the PDF data files,
+ *   { fileId, sheet } of a spreadsheet,
+ *   { fileId, arrayPolicy } of a JSON file, OR text data string
+ * @param {string} dataType - 'csv', 'spreadsheet', 'json', 'pdf', or 'text'
+ */
+const withDataSource = (requestBody, dataSource, dataType) => {
   if (dataType === 'csv') {
-    requestBody.csvPath = dataPath;
+    requestBody.csvFileId = dataSource.fileId;
+    requestBody.delimiter = dataSource.delimiter;
+    requestBody.encoding = dataSource.encoding;
+  } else if (dataType === 'spreadsheet') {
+    requestBody.spreadsheetFileId = dataSource.fileId;
+    requestBody.sheet = dataSource.sheet;
+  } else if (dataType === 'json') {
+    requestBody.jsonFileId = dataSource.fileId;
+    requestBody.arrayPolicy = dataSource.arrayPolicy;
   } else if (dataType === 'pdf') {
-    requestBody.dataPdfPath = dataPath;
+    requestBody.dataPdfFileIds = dataSource.fileIds;
+    requestBody.pagesPerDocument = dataSource.pagesPerDocument;
+    requestBody.pageRanges = dataSource.pageRanges;
+    requestBody.method = dataSource.method;
+    requestBody.forceMethod = dataSource.forceMethod;
   } else if (dataType === 'text') {
-    requestBody.textData = dataPath; // dataPath is actually the text string in this case
+    requestBody.textData = dataSource; // the text string itself in this case
   }
 
+  return requestBody;
+};
+
+/**
+ * Build the body of a single-row fill request
+ */
+const buildFillRequest = (templateId, dataSource, dataType, rowIndex, context = '', customMappings = null, options = {}) => {
+  return withDataSource({
+    templateId,
+    rowIndex,
+    context,
+    customMappings,
+    skipValidation: Boolean(options.skipValidation),
+    booleanLocales: options.booleanLocales || null,
+  }, dataSource, dataType);
+};
+
+/**
+ * Build the body of a batch fill request
+ */
+const buildBatchRequest = (templateId, dataSource, dataType, options = {}) => {
+  return withDataSource({
+    templateId,
+    rowIndexes: options.rowIndexes || 'all',
+    output: options.output || 'zip',
+    filenameTemplate: options.filenameTemplate,
+    context: options.context || '',
+    customMappings: options.customMappings || null,
+    flatten: Boolean(options.flatten),
+    booleanLocales: options.booleanLocales || null,
+  }, dataSource, dataType);
+};
+
+/**
+ * Fill PDF form with CSV/PDF/Text data
+ * @param {string} templateId - Library template ID of the PDF form
+ * @param {string|object} dataSource - File ID of the data file ({ fileId, sheet } or { fileId, arrayPolicy }), OR text data string
+ * @param {string} dataType - 'csv', 'spreadsheet', 'json', 'pdf', or 'text'
+ * @param {number} rowIndex - Row index to use
+ * @param {string} context - Optional context
+ * @param {object} customMappings - Optional field mappings
+ * @param {object} options - skipValidation (fill even if the row has validation errors), booleanLocales
+ */
+export const fillForm = async (templateId, dataSource, dataType, rowIndex, context = '', customMappings = null, options = {}) => {
+  const requestBody = buildFillRequest(templateId, dataSource, dataType, rowIndex, context, customMappings, options);
   const response = await axios.post(`${API_BASE_URL}/fill-form`, requestBody);
 
   return response.data;
 };
 
+/**
+ * Fill PDF form once per selected row
+ * @param {string} templateId - Library template ID of the PDF form
+ * @param {string|object} dataSource - File ID of the data file ({ fileId, sheet } or { fileId, arrayPolicy }), OR text data string
+ * @param {string} dataType - 'csv', 'spreadsheet', 'json', 'pdf', or 'text'
+ * @param {object} options - rowIndexes (array or 'all'), output ('zip' or 'merged'), filenameTemplate, flatten, context, customMappings, booleanLocales
+ */
+export const fillBatch = async (templateId, dataSource, dataType, options = {}) => {
+  const requestBody = buildBatchRequest(templateId, dataSource, dataType, options);
+  const response = await axios.post(`${API_BASE_URL}/fill-batch`, requestBody);
+
+  return response.data;
+};
+
+/**
+ * Submit a single-row fill as a background job
+ * Same parameters as fillForm; resolves with the job ID
+ */
+export const submitFillJob = async (templateId, dataSource, dataType, rowIndex, context = '', customMappings = null, options = {}) => {
+  const requestBody = buildFillRequest(templateId, dataSource, dataType, rowIndex, context, customMappings, options);
+  const response = await axios.post(`${API_BASE_URL}/jobs`, { type: 'fill', ...requestBody });
+
+  return response.data.jobId;
+};
+
+/**
+ * Submit a batch fill as a background job
+ * Same parameters as fillBatch; resolves with the job ID
+ */
+export const submitBatchJob = async (templateId, dataSource, dataType, options = {}) => {
+  const requestBody = buildBatchRequest(templateId, dataSource, dataType, options);
+  const response = await axios.post(`${API_BASE_URL}/jobs`, { type: 'batch', ...requestBody });
+
+  return response.data.jobId;
+};
+
+/**
+ * Get the current status of a job
+ */
+export const getJob = async (jobId) => {
+  const response = await axios.get(`${API_BASE_URL}/jobs/${jobId}`);
+
+  return response.data.job;
+};
+
+/**
+ * Wait for a job to finish, reporting progress from the SSE stream
+ * @param {string} jobId - Job ID returned by submitFillJob/submitBatchJob
+ * @param {function} onProgress - Called with every job status update
+ * @returns {Promise<object>} The job result; a failed job rejects with its message,
+ *   `status` and, for rows with validation errors, `validation` issues
+ */
+export const waitForJob = (jobId, onProgress = () => {}) => {
+  return new Promise((resolve, reject) => {
+    const events = new EventSource(`${API_BASE_URL}/jobs/${jobId}/events`);
+
+    const handleStatus = (job) => {
+      onProgress(job);
+      if (job.state === 'completed') {
+        events.close();
+        resolve(job.result);
+      } else if (job.state === 'failed') {
+        events.close();
+        reject(Object.assign(new Error(job.error?.message || 'Job failed'), {
+          status: job.error?.status,
+          validation: job.error?.validation
+        }));
+      }
+    };
+
+    events.onmessage = (event) => {
+      handleStatus(JSON.parse(event.data));
+    };
+
+    // The stream closes when the job finishes or the connection drops;
+    // fetch the status once so a missed final update is not lost
+    events.onerror = async () => {
+      if (events.readyState === EventSource.CLOSED) {
+        try {
+          handleStatus(await getJob(jobId));
+        } catch (err) {
+          reject(err);
+        }
+      }
+    };
+  });
+};
+
 /**
  * Get download URL for filled PDF
+ * @param {string} fileId - File handle of the fill result
+ * @param {boolean} flatten - Download a flattened (non-editable) copy
  */
-export const getDownloadUrl = (filename) => {
-  return `${API_BASE_URL}/download/${filename}`;
+export const getDownloadUrl = (fileId, flatten = false) => {
+  return `${API_BASE_URL}/download/${fileId}${flatten ? '?flatten=true' : ''}`;
 };
 
 /**
  * Get preview URL for PDF
  */
-export const getPreviewUrl = (filename) => {
-  return `${API_BASE_URL}/preview/${filename}`;
+export const getPreviewUrl = (fileId) => {
+  return `${API_BASE_URL}/preview/${fileId}`;
 };